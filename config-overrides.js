@@ -9,3 +9,13 @@ module.exports = function override(config, env) {
   
   return config;
 };
+
+module.exports.jest = function override(config) {
+  // three's examples (fflate, loaders, CSS2DRenderer...) are ES modules, so Babel has to transform them too
+  config.transformIgnorePatterns = [
+    "[/\\\\]node_modules[/\\\\](?!three[/\\\\]examples[/\\\\]).+\\.(js|jsx|mjs|cjs|ts|tsx)$",
+    "^.+\\.module\\.(css|sass|scss)$",
+  ];
+
+  return config;
+};
@@ -0,0 +1,32 @@
+// Copies the decoder binaries the loaders fetch at runtime from node_modules into
+// public/, so they are served next to the app and match the installed packages.
+// Runs after `npm install`; the copies are git-ignored.
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+
+const DECODERS = [
+  {
+    // DRACOLoader (Draco-compressed glTF)
+    from: 'node_modules/three/examples/jsm/libs/draco/gltf',
+    to: 'public/draco',
+    files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']
+  },
+  {
+    // web-ifc (IFC files); the loader runs it single-threaded
+    from: 'node_modules/web-ifc',
+    to: 'public/web-ifc',
+    files: ['web-ifc.wasm']
+  }
+];
+
+DECODERS.forEach(({ from, to, files }) => {
+  const target = path.join(root, to);
+  fs.mkdirSync(target, { recursive: true });
+  files.forEach(file => {
+    fs.copyFileSync(path.join(root, from, file), path.join(target, file));
+  });
+  console.log(`Copied ${files.length} files to ${to}`);
+});
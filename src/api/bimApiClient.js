@@ -0,0 +1,115 @@
+// Client for the BIM API (projects, versions, geometry and metadata URLs)
+
+const SETTINGS_KEY = 'bimApiSettings';
+// Unless remembered, the token only lives as long as the browser tab
+const SESSION_TOKEN_KEY = 'bimApiToken';
+
+export const DEFAULT_API_SETTINGS = {
+  baseUrl: process.env.REACT_APP_BIM_API_URL || 'http://localhost:5000',
+  token: '',
+  rememberToken: false
+};
+
+// Endpoint paths, relative to the base URL
+const ENDPOINTS = {
+  projects: () => '/api/BimProject',
+  versions: (projectId) => `/api/BimVersion/project/${encodeURIComponent(projectId)}`,
+  geometry: (versionId, format) => `/api/BimVersion/geometry/${encodeURIComponent(versionId)}?format=${format}`,
+  metadata: (versionId) => `/api/BimVersion/metadata/${encodeURIComponent(versionId)}`
+};
+
+export const loadApiSettings = () => {
+  try {
+    const stored = { ...DEFAULT_API_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+    return stored.rememberToken
+      ? stored
+      : { ...stored, token: sessionStorage.getItem(SESSION_TOKEN_KEY) || '' };
+  } catch (e) {
+    return { ...DEFAULT_API_SETTINGS };
+  }
+};
+
+// The bearer token goes to sessionStorage, or to localStorage only when rememberToken is set
+export const saveApiSettings = ({ baseUrl, token, rememberToken }) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+    baseUrl,
+    rememberToken,
+    token: rememberToken ? token : ''
+  }));
+  if (rememberToken || !token) {
+    sessionStorage.removeItem(SESSION_TOKEN_KEY);
+  } else {
+    sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+  }
+};
+
+// Helper: Normalize list items, the API uses either id/name or projectId/projectName style keys
+const normalizeProject = (project) => ({
+  id: project.id ?? project.projectId,
+  name: project.name ?? project.projectName ?? `Project ${project.id ?? project.projectId}`,
+  raw: project
+});
+
+const normalizeVersion = (version) => ({
+  id: version.id ?? version.versionId,
+  name: version.name ?? version.versionName ?? (version.versionNumber !== undefined ? `v${version.versionNumber}` : `Version ${version.id ?? version.versionId}`),
+  createdAt: version.createdAt ?? version.uploadedAt ?? null,
+  raw: version
+});
+
+const unwrapList = (data) => {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.items)) return data.items;
+  if (data && Array.isArray(data.data)) return data.data;
+  return [];
+};
+
+/**
+ * Creates an API client bound to a base URL and an optional bearer token.
+ *
+ * @param {{baseUrl: string, token?: string}} settings
+ */
+export const createBimApiClient = ({ baseUrl, token } = DEFAULT_API_SETTINGS) => {
+  const root = (baseUrl || '').replace(/\/+$/, '');
+
+  const getAuthHeaders = () => (token ? { Authorization: `Bearer ${token}` } : {});
+
+  const buildUrl = (path) => `${root}${path}`;
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(buildUrl(path), {
+      ...options,
+      headers: { Accept: 'application/json', ...getAuthHeaders(), ...options.headers }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`API request failed (${response.status} ${response.statusText}): ${path}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  };
+
+  const listProjects = async () => {
+    const response = await request(ENDPOINTS.projects());
+    return unwrapList(await response.json()).map(normalizeProject);
+  };
+
+  const listVersions = async (projectId) => {
+    const response = await request(ENDPOINTS.versions(projectId));
+    return unwrapList(await response.json()).map(normalizeVersion);
+  };
+
+  const getGeometryUrl = (versionId, format = 'collada') => buildUrl(ENDPOINTS.geometry(versionId, format));
+
+  const getMetadataUrl = (versionId) => buildUrl(ENDPOINTS.metadata(versionId));
+
+  return {
+    baseUrl: root,
+    getAuthHeaders,
+    listProjects,
+    listVersions,
+    getGeometryUrl,
+    getMetadataUrl
+  };
+};
@@ -1,13 +1,102 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useDeferredValue, useEffect, useMemo, useRef, useState } from 'react';
 import * as THREE from 'three';
-import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+import { CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer';
+import { loadModelFile, loadMetadataFile } from '../loaders/modelLoader';
+import { detectFormatFromName } from '../loaders/modelFormats';
+import OpenFromServerDialog from './OpenFromServerDialog';
+import PropertiesPanel from './PropertiesPanel';
+import MatchReportDialog from './MatchReportDialog';
+import CategoryRulesEditor from './CategoryRulesEditor';
+import ElementContextMenu from './ElementContextMenu';
+import ViewCube from './ViewCube';
+import MemoryReadout from './MemoryReadout';
+import VirtualList from './VirtualList';
+import { ModelTreeNodeRow, ModelTreeItemRow } from './ModelTreeRow';
+import { createBimApiClient, loadApiSettings } from '../api/bimApiClient';
+import { collectDroppedFiles, expandArchives, createModelPackage } from '../loaders/packageResolver';
+import { METRIC_Y_UP_ASSET, createModelFrame, viewerToProject, formatLength, getUnitSymbol } from '../utils/modelFrame';
+import { inspectModelScene, normalizeModel, getNodeDepth } from '../loaders/modelPipeline';
+import { disposeModel, revokeObjectUrls } from '../loaders/modelLifecycle';
+import { buildMetadataIndex, buildMatchReport, matchElement } from '../loaders/metadataMatcher';
+import {
+  pickObject,
+  createPointerRaycaster,
+  createSelectionHighlight,
+  isObjectShown,
+  selectInRegion,
+  getPolygonWinding,
+  REGION_MODE
+} from '../utils/selection';
+import {
+  EMPTY_VIEW_FILTER,
+  isViewFilterActive,
+  isolateObjects,
+  hideObjects,
+  createViewFilterTest,
+  createGhostMode
+} from '../utils/viewFilters';
+import {
+  MAX_SECTION_PLANES,
+  EMPTY_SECTIONS,
+  isSectionActive,
+  createAxisPlane,
+  createFacePlane,
+  flipPlane,
+  getPlaneRange,
+  fitSectionBox,
+  moveSectionBoxFace,
+  getDragDistance,
+  createSectionController
+} from '../utils/sectionPlanes';
+import {
+  MEASURE_TOOLS,
+  formatMeasurement,
+  measurementsToCsv,
+  snapToGeometry,
+  createMeasurementOverlay
+} from '../utils/measurements';
+import {
+  RENDER_MODES,
+  buildObjectKeys,
+  createViewpoint,
+  resolveViewpoint,
+  captureThumbnail,
+  exportViewpoints,
+  importViewpoints
+} from '../utils/viewpoints';
+import { animateCamera } from '../utils/cameraTransitions';
+import { EYE_HEIGHT, createWalkController } from '../utils/walkNavigation';
+import {
+  CAMERA_FOV,
+  PROJECTIONS,
+  HOME_DIRECTION,
+  createOrthographicCamera,
+  updateCameraAspect,
+  switchProjection,
+  getFramingView
+} from '../utils/cameraViews';
+import { compareModels, DIFF_STATUS, DIFF_LABELS, DIFF_COLORS } from '../utils/modelDiff';
+import { loadCategoryRules, saveCategoryRules, compileCategoryRules, resolveCategory } from '../utils/categoryRules';
+import {
+  GROUPING_KEYS,
+  buildHierarchy,
+  filterItems,
+  countVisibleObjects,
+  getVisibilityState,
+  flattenHierarchy,
+  findItemPath,
+  loadTreeGrouping,
+  saveTreeGrouping
+} from '../utils/modelHierarchy';
 import './BimViewer.css';
 
 // IndexedDB helper functions
 const DB_NAME = 'BimViewerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_NAME = 'fileHistory';
+// Saved viewpoints, indexed by the name of the model they belong to
+const VIEWPOINT_STORE_NAME = 'viewpoints';
 
 const openDB = () => {
   return new Promise((resolve, reject) => {
@@ -21,6 +110,10 @@ const openDB = () => {
       if (!db.objectStoreNames.contains(STORE_NAME)) {
         db.createObjectStore(STORE_NAME, { keyPath: 'id' });
       }
+      if (!db.objectStoreNames.contains(VIEWPOINT_STORE_NAME)) {
+        const viewpointStore = db.createObjectStore(VIEWPOINT_STORE_NAME, { keyPath: 'id' });
+        viewpointStore.createIndex('modelKey', 'modelKey');
+      }
     };
   });
 };
@@ -85,6 +178,79 @@ const clearIndexedDB = async () => {
   });
 };
 
+const saveViewpointToIndexedDB = async (viewpoint) => {
+  const db = await openDB();
+  const transaction = db.transaction([VIEWPOINT_STORE_NAME], 'readwrite');
+  transaction.objectStore(VIEWPOINT_STORE_NAME).put(viewpoint);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(viewpoint);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const loadViewpointsFromIndexedDB = async (modelKey) => {
+  const db = await openDB();
+  const transaction = db.transaction([VIEWPOINT_STORE_NAME], 'readonly');
+  const request = transaction.objectStore(VIEWPOINT_STORE_NAME).index('modelKey').getAll(modelKey);
+
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const deleteViewpointFromIndexedDB = async (id) => {
+  const db = await openDB();
+  const transaction = db.transaction([VIEWPOINT_STORE_NAME], 'readwrite');
+  transaction.objectStore(VIEWPOINT_STORE_NAME).delete(id);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const LOAD_STAGES = [
+  { id: 'metadata', label: 'Fetch metadata' },
+  { id: 'download', label: 'Download model' },
+  { id: 'parse', label: 'Parse' },
+  { id: 'normalize', label: 'Normalize materials' },
+  { id: 'tree', label: 'Build tree' },
+  { id: 'match', label: 'Match metadata' }
+];
+
+// Model browser row heights (px); the model row holds the header and the opacity slider
+const MODEL_ROW_HEIGHT = 68;
+const TREE_ROW_HEIGHT = 30;
+const getBrowserRowHeight = (row) => (row.kind === 'model' ? MODEL_ROW_HEIGHT : TREE_ROW_HEIGHT);
+
+// Max pointer movement (px) between down and up for a click on the viewport
+const CLICK_TOLERANCE = 4;
+// Min distance (px) between recorded lasso points
+const LASSO_POINT_SPACING = 4;
+// Time (ms) the pointer has to rest on an element before its tooltip shows
+const HOVER_DELAY = 120;
+// Walk mode: distance (m) kept back from the surface it starts at, and of the orbit target
+// ahead of the camera when leaving it
+const WALK_START_OFFSET = 1;
+const WALK_EXIT_TARGET_DISTANCE = 5;
+
+const EMPTY_MEASURE_DRAFT = { points: [], normal: null };
+
+const SELECTION_TOOLS = {
+  pick: 'pick',
+  box: 'box',
+  lasso: 'lasso'
+};
+
+// Let the browser paint the loading overlay between synchronous loading stages
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+
+// Identity of a local model file: the same file dropped again or reopened from the history
+// replaces its model; another file with the same name is added next to it
+const getFileSourceKey = (file) => `file:${file.name}:${file.size}:${file.lastModified}`;
+
 const BimViewer = () => {
   const containerRef = useRef(null);
   const [loading, setLoading] = useState(true);
@@ -97,600 +263,464 @@ const BimViewer = () => {
   const [expandedCategories, setExpandedCategories] = useState({});
   const [objectVisibility, setObjectVisibility] = useState({});
   const [modelBrowserSearch, setModelBrowserSearch] = useState('');
+  const [treeGrouping, setTreeGrouping] = useState(loadTreeGrouping);
   const [showViewsPanel, setShowViewsPanel] = useState(false);
   const [showModelPanel, setShowModelPanel] = useState(true);
   const [fileHistory, setFileHistory] = useState([]);
   const [showHistoryPanel, setShowHistoryPanel] = useState(false);
+  const [loadStages, setLoadStages] = useState([]);
+  const [loadClock, setLoadClock] = useState(Date.now());
+  const [dragActive, setDragActive] = useState(false);
+  const [packageReport, setPackageReport] = useState(null);
+  const [loadWarnings, setLoadWarnings] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionTool, setSelectionTool] = useState(SELECTION_TOOLS.pick);
+  // Isolate / hide commands on top of the browser checkboxes, with the previous filters for "Back"
+  const [viewFilter, setViewFilter] = useState(EMPTY_VIEW_FILTER);
+  const [viewFilterHistory, setViewFilterHistory] = useState([]);
+  const [ghostMode, setGhostMode] = useState(false);
+  // Section planes and box (plain data, see sectionPlanes.js)
+  const [sections, setSections] = useState(EMPTY_SECTIONS);
+  const [showSectionPanel, setShowSectionPanel] = useState(false);
+  // Measurements (plain data, see measurements.js), the active tool and the points clicked so far
+  const [measurements, setMeasurements] = useState([]);
+  const [measureTool, setMeasureTool] = useState(null);
+  const [measureDraft, setMeasureDraft] = useState(EMPTY_MEASURE_DRAFT);
+  const [showMeasurePanel, setShowMeasurePanel] = useState(false);
+  // Saved viewpoints of the current model and the one last saved or restored
+  const [viewpoints, setViewpoints] = useState([]);
+  const [activeViewpointId, setActiveViewpointId] = useState(null);
+  const [projection, setProjection] = useState(PROJECTIONS.perspective);
+  const [walkMode, setWalkMode] = useState(false);
+  // Next viewport click places a section plane on the picked face
+  const [sectionPickMode, setSectionPickMode] = useState(false);
+  // Box or lasso being drawn: { tool, start, points } in canvas pixels
+  const [regionDrag, setRegionDrag] = useState(null);
+  // Element to scroll to in the model browser once its row exists
+  const [revealObjectId, setRevealObjectId] = useState(null);
+  // Element under the resting pointer: { objectId, x, y } in client pixels
+  const [hoverInfo, setHoverInfo] = useState(null);
+  // Open element context menu: { objectId, x, y } in client pixels
+  const [elementMenu, setElementMenu] = useState(null);
+  const [showPropertiesPanel, setShowPropertiesPanel] = useState(true);
+  const [matchReportModelId, setMatchReportModelId] = useState(null);
+  const [showServerDialog, setShowServerDialog] = useState(false);
+  const [compareSelection, setCompareSelection] = useState({ baseId: '', compareId: '' });
+  const [comparison, setComparison] = useState(null);
+  const [expandedDiffGroups, setExpandedDiffGroups] = useState({});
+  const [categoryRules, setCategoryRules] = useState(loadCategoryRules);
+  const [showRulesEditor, setShowRulesEditor] = useState(false);
   const sceneRef = useRef(null);
+  // Camera in use; camerasRef holds both projections, keyed by PROJECTIONS
   const cameraRef = useRef(null);
+  const camerasRef = useRef(null);
   const rendererRef = useRef(null);
   const controlsRef = useRef(null);
   const objectsMapRef = useRef({});
   const colladaRef = useRef(null);
-  const metadataRef = useRef(null);
-
-  // Helper: Parse JSON metadata from ODA TB_JsonExport format
-  const parseJsonMetadata = (jsonData) => {
-    console.log('\n=== PARSING JSON METADATA ===');
-    const elementMap = new Map();
-    
-    const traverse = (obj, depth = 0) => {
-      if (!obj) return;
-      
-      // If this is an element with an object ID
-      if (obj.object && obj.externalId) {
-        const elementId = obj.object;
-        
-        // Extract properties from ODA JSON format
-        let family = '';
-        let type = '';
-        let category = '';
-        let familyAndType = '';
-        
-        if (obj.properties && Array.isArray(obj.properties)) {
-          // Find the "Invalid group" section with element metadata
-          for (let i = 0; i < obj.properties.length; i++) {
-            const item = obj.properties[i];
-            if (item === 'Invalid group' && i + 1 < obj.properties.length) {
-              const metadata = obj.properties[i + 1];
-              family = metadata['Family'] || metadata['Family Name'] || '';
-              type = metadata['Type'] || metadata['Type Name'] || '';
-              category = metadata['Category'] || '';
-              familyAndType = metadata['Family and Type'] || '';
-              break;
-            }
-          }
-        }
-        
-        // Create display name
-        let displayName = familyAndType || family || type || `Element_${elementId}`;
-        
-        elementMap.set(elementId.toString(), {
-          elementId: elementId,
-          externalId: obj.externalId,
-          familyName: family,
-          typeName: type,
-          category: category,
-          displayName: displayName
-        });
-        
-        if (elementMap.size <= 10) {
-          console.log(`  Element ${elementId}: "${displayName}" (${category})`);
-        }
-      }
-      
-      // Recursively traverse objects array
-      if (obj.objects && Array.isArray(obj.objects)) {
-        obj.objects.forEach(child => traverse(child, depth + 1));
-      }
-      if (Array.isArray(obj)) {
-        obj.forEach(child => traverse(child, depth + 1));
+  // Federated models: modelId -> { id, name, root, frame, info }, metadata indexes per model
+  const modelsRef = useRef(new Map());
+  const metadataByModelRef = useRef(new Map());
+  // Shared origin (meters) of all loaded models, set by the first one
+  const sharedOriginRef = useRef(null);
+  const modelCounterRef = useRef(0);
+  // Incremented by every load; results of an older load are stale and get disposed
+  const loadTokenRef = useRef(0);
+  // Materials replaced by the compare colouring (restored on exit) and the base meshes it hides
+  const compareStateRef = useRef(null);
+  const activeLoadRef = useRef(null);
+  const modelFrameRef = useRef(null);
+  const selectionHighlightRef = useRef(null);
+  const ghostModeRef = useRef(null);
+  const sectionControllerRef = useRef(null);
+  // Section handle being dragged: { handle, direction, start }
+  const sectionDragRef = useRef(null);
+  const sectionCounterRef = useRef(0);
+  const labelRendererRef = useRef(null);
+  const measureOverlayRef = useRef(null);
+  const measureCounterRef = useRef(0);
+  // Snapped pointer position while measuring, and the pending animation frame picking it
+  const measureCursorRef = useRef(null);
+  const measureFrameRef = useRef(null);
+  // Latest Enter/Escape handler of the measuring tools, read by the window listener
+  const measureKeyDownRef = useRef(null);
+  // Stops the running camera transition
+  const cameraTransitionRef = useRef(null);
+  const viewpointImportRef = useRef(null);
+  // Point picked when a left drag starts that the camera orbits around: { point, quaternion },
+  // the camera orientation as of the last controls change
+  const orbitPivotRef = useRef(null);
+  // Walk controller while walking; it replaces the orbit controls
+  const walkRef = useRef(null);
+  // Pointer position at pointerdown, to tell clicks from camera drags
+  const pointerDownRef = useRef(null);
+  // Last surface picked for zooming: { x, y, hit, frame }, frame pending until the next pick is allowed
+  const wheelPickRef = useRef(null);
+  const regionDragRef = useRef(null);
+  const hoverTimerRef = useRef(null);
+  // Last model browser search, narrowed further while the user keeps typing
+  const searchCacheRef = useRef(null);
+  // Compiled form of categoryRules, reset when the rules change
+  const compiledCategoryRulesRef = useRef(null);
+
+  // Helper: Metadata index of the model a node belongs to
+  const getNodeMetadataIndex = useCallback((node) => {
+    let current = node;
+    while (current) {
+      if (current.userData?.modelId) {
+        return metadataByModelRef.current.get(current.userData.modelId) || null;
       }
-    };
-    
-    // Start traversal from data.objects
-    if (jsonData && jsonData.data) {
-      traverse(jsonData.data);
-    } else if (jsonData && jsonData.objects) {
-      // Fallback if root has objects
-      traverse(jsonData);
+      current = current.parent;
     }
-    
-    console.log(`✓ Loaded ${elementMap.size} elements from JSON`);
-    return elementMap;
-  };
-
-  // Helper: Get category from OST enum
-  const getCategoryFromOST = (ostCategory) => {
-    const categoryMap = {
-      'OST_CurtainWallPanels': 'Curtain Panels',
-      'OST_CurtainWallMullions': 'Curtain Wall Mullions',
-      'OST_Walls': 'Walls',
-      'OST_Floors': 'Floors',
-      'OST_Roofs': 'Roofs',
-      'OST_Windows': 'Windows',
-      'OST_Doors': 'Doors',
-      'OST_Columns': 'Columns',
-      'OST_StructuralColumns': 'Structural Columns',
-      'OST_StructuralFraming': 'Structural Framing',
-      'OST_Furniture': 'Furniture',
-      'OST_GenericModel': 'Generic Models'
-    };
-    return categoryMap[ostCategory] || ostCategory;
-  };
+    return null;
+  }, []);
 
-  const getElementMetadata = (node) => {
-    if (!metadataRef.current || metadataRef.current.size === 0) {
+  const getElementMetadata = useCallback((node) => {
+    const index = node && getNodeMetadataIndex(node);
+    if (!index || index.size === 0) {
       return null;
     }
+    return matchElement(node, index).metadata;
+  }, [getNodeMetadataIndex]);
+
+  // Loading stages shown in the loading overlay
+  const startLoadStages = () => {
+    setLoadStages(LOAD_STAGES.map(stage => ({
+      ...stage,
+      status: 'pending',
+      percent: null,
+      startedAt: null,
+      endedAt: null
+    })));
+  };
 
-    const searchStrings = [
-      node.name,
-      node.geometry?.name,
-      node.material?.name,
-      node.id?.toString(),
-      node.userData?.revitId,
-      node.userData?.guid,
-      node.userData?.elementId
-    ].filter(s => s).map(s => String(s));
-
-    for (const str of searchStrings) {
-      const guidMatch = str.match(/([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}(?:-[a-f0-9]{8})?)/i);
-      if (guidMatch) {
-        const guid = guidMatch[1].toLowerCase();
-        
-        for (const [, metadata] of metadataRef.current) {
-          if (metadata.externalId && metadata.externalId.toLowerCase().includes(guid)) {
-            return metadata;
-          }
-        }
-      }
-    }
-
-    let elementId = null;
-
-    if (node.name) {
-      const idMatch = node.name.match(/(?:Element_|ID_|element-|id-)(\d+)/i);
-      if (idMatch) {
-        elementId = idMatch[1];
-      }
-    }
+  const updateLoadStage = (stageId, patch) => {
+    setLoadStages(prev => prev.map(stage =>
+      stage.id === stageId ? { ...stage, ...patch } : stage
+    ));
+  };
 
-    if (!elementId && node.geometry?.name) {
-      const idMatch = node.geometry.name.match(/(?:Element_|ID_|element-|id-)(\d+)/i);
-      if (idMatch) {
-        elementId = idMatch[1];
-      }
-    }
+  const beginLoadStage = (stageId) => {
+    setLoadStages(prev => prev.map(stage =>
+      stage.id === stageId && stage.status === 'pending'
+        ? { ...stage, status: 'active', percent: 0, startedAt: Date.now() }
+        : stage
+    ));
+  };
 
-    if (!elementId && node.material?.name) {
-      const idMatch = node.material.name.match(/(?:Element_|ID_|element-|id-)(\d+)/i);
-      if (idMatch) {
-        elementId = idMatch[1];
-      }
-    }
+  const completeLoadStage = (stageId) => {
+    setLoadStages(prev => prev.map(stage => {
+      if (stage.id !== stageId || stage.status === 'done') return stage;
+      const now = Date.now();
+      return { ...stage, status: 'done', percent: 100, startedAt: stage.startedAt || now, endedAt: now };
+    }));
+  };
 
-    if (!elementId && node.userData?.elementId) {
-      elementId = node.userData.elementId.toString();
-    }
+  const finishLoadStages = () => {
+    activeLoadRef.current = null;
+    setLoading(false);
+    setLoadStages([]);
+  };
 
-    if (elementId) {
-      const metadata = metadataRef.current.get(elementId.toString());
-      if (metadata) {
-        return metadata;
-      }
+  const cancelActiveLoad = () => {
+    if (activeLoadRef.current) {
+      activeLoadRef.current.cancel();
+      activeLoadRef.current = null;
     }
+  };
 
-    return null;
+  // Show which references of a dropped package could not be resolved
+  const reportPackage = (modelPackage) => {
+    if (!modelPackage) return;
+    const report = modelPackage.getReport();
+    console.log(`Package: ${report.resolved.length} references resolved, ${report.missing.length} missing`);
+    setPackageReport({
+      modelName: modelPackage.modelEntry.path,
+      fileCount: modelPackage.fileCount,
+      ...report
+    });
   };
 
-  const getNodeDepth = (node) => {
-    let depth = 0;
-    let current = node;
-    while (current.parent) {
-      depth++;
-      current = current.parent;
-    }
-    return depth;
+  // Non-fatal problems of the current load (e.g. missing metadata), shown as a banner
+  const addLoadWarning = (message) => {
+    setLoadWarnings(prev => [...prev, message]);
   };
 
-  const getParentChain = (node) => {
-    const chain = [];
-    let current = node;
-    while (current.parent) {
-      chain.unshift({
-        name: current.parent.name || 'unnamed',
-        type: current.parent.type
-      });
-      current = current.parent;
-    }
-    return chain;
+  // Cancel button: abort the running load, the previous model stays in the scene
+  const cancelLoading = () => {
+    console.log('Loading cancelled by user');
+    cancelActiveLoad();
+    finishLoadStages();
   };
 
-  const loadModel = (modelPath, jsonPath = null) => {
+  // options.modelPackage: dropped/selected files used to resolve textures and other references
+  // options.requestHeader: extra headers for model/metadata requests (BIM API auth)
+  // options.displayName: name shown in the toolbar instead of the URL's last segment
+  // options.objectUrls: blob URLs created for this load, revoked when the model is unloaded
+  // options.sourceKey: identity of the source (file, URL, API version); loading it again replaces the model
+  const loadModel = (modelPath, jsonPath = null, format = null, options = {}) => {
+    const {
+      modelPackage = null,
+      requestHeader = {},
+      displayName = null,
+      onLoaded = null,
+      objectUrls = [],
+      sourceKey = `url:${modelPath}`
+    } = options;
+    const modelName = displayName || (modelPackage ? modelPackage.modelEntry.file.name : modelPath.split('/').pop());
+    modelCounterRef.current += 1;
+    const modelId = `model-${modelCounterRef.current}`;
+    // Only one load at a time: abort downloads and terminate parse workers of the previous one
+    cancelActiveLoad();
+    loadTokenRef.current += 1;
+    const activeLoad = { token: loadTokenRef.current, metadataTask: null, modelTask: null, cancelled: false };
+    // Package URLs are created lazily while textures load, so they are collected on release
+    activeLoad.getObjectUrls = () => [...objectUrls, ...(modelPackage ? modelPackage.objectUrls() : [])];
+    activeLoad.isStale = () => activeLoad.cancelled || activeLoad.token !== loadTokenRef.current;
+    activeLoad.cancel = () => {
+      activeLoad.cancelled = true;
+      if (activeLoad.metadataTask) activeLoad.metadataTask.cancel();
+      if (activeLoad.modelTask) activeLoad.modelTask.cancel();
+      revokeObjectUrls(activeLoad.getObjectUrls());
+    };
+    activeLoadRef.current = activeLoad;
+
+    // The previous model, its tree and metadata stay in place until the new one is committed
     setLoading(true);
     setError(null);
-    setModelInfo(null);
-    setModelTree([]);
-    setObjectVisibility({});
-    objectsMapRef.current = {};
-
-   
-    const metadataPath = jsonPath || modelPath.replace(/\.dae$/i, '.metadata.json');
+    setLoadWarnings([]);
+    setPackageReport(null);
+    startLoadStages();
+
+    const derivedMetadataPath = modelPath.replace(/\.(dae|gltf|glb|ifc)$/i, '.metadata.json');
+    const metadataPath = jsonPath || derivedMetadataPath;
+    // IFC files carry their own metadata, and blob URLs have no sidecar name to derive;
+    // in both cases the sidecar is only used if given explicitly
+    const skipMetadataFetch = !jsonPath && (format === 'ifc' || derivedMetadataPath === modelPath);
     
     console.log(`\n=== LOADING JSON METADATA ===`);
     console.log(`Model path: ${modelPath}`);
-    console.log(`JSON path: ${metadataPath}`);
+    console.log(`JSON path: ${skipMetadataFetch ? '(none)' : metadataPath}`);
     console.log(`JSON source: ${jsonPath ? 'uploaded file' : 'auto-detected'}`);
 
-    fetch(metadataPath)
-      .then(response => {
-        if (response.ok) {
-          return response.json();
-        } else {
-          console.warn('No JSON metadata found, using fallback naming');
-          return null;
-        }
-      })
-      .then(jsonData => {
-        if (jsonData) {
-          metadataRef.current = parseJsonMetadata(jsonData);
-          console.log('✓ JSON metadata loaded successfully');
-        }
-        
-        const loader = new ColladaLoader();
-
-        loader.load(
-          modelPath,
-          (collada) => {
-            console.log('\n=== COLLADA LOADED ===');
-            
-            colladaRef.current = collada;
-            
-            console.log('Collada object:', collada);
-            console.log('Scene:', collada.scene);
-            console.log('Library:', collada.library);
-
-        console.log('\n=== COLLADA LIBRARY ANALYSIS ===');
-        if (collada.library) {
-          console.log('Library keys:', Object.keys(collada.library));
-          
-          if (collada.library.nodes) {
-            console.log('Nodes in library:', Object.keys(collada.library.nodes).length);
-            const firstNodes = Object.entries(collada.library.nodes).slice(0, 5);
-            firstNodes.forEach(([key, node]) => {
-              console.log(`\nNode [${key}]:`, {
-                name: node.name,
-                id: node.id,
-                type: node.type,
-                children: node.children?.length,
-                userData: node.userData,
-                extra: node.extra
-              });
-            });
-          }
-
-          if (collada.library.visualScenes) {
-            console.log('\nVisual Scenes:', Object.keys(collada.library.visualScenes));
-          }
-
-          if (collada.library.geometries) {
-            console.log('Geometries:', Object.keys(collada.library.geometries).length);
-            const firstGeoms = Object.entries(collada.library.geometries).slice(0, 3);
-            firstGeoms.forEach(([key, geom]) => {
-              console.log(`\nGeometry [${key}]:`, {
-                name: geom.name,
-                type: geom.type,
-                userData: geom.userData
-              });
-            });
-          }
-
-          if (collada.library.materials) {
-            console.log('Materials:', Object.keys(collada.library.materials).length);
-          }
-
-          if (collada.library.images) {
-            console.log('Images:', Object.keys(collada.library.images).length);
-          }
-        }
-
-        const previousModel = sceneRef.current.getObjectByName('model');
-        if (previousModel) {
-          sceneRef.current.remove(previousModel);
-        }
-
-        // Check if scene exists
-        if (!collada.scene) {
-          console.error('ERROR: Collada scene is null or undefined');
-          setError('Model loaded but scene is empty. The DAE file may be corrupted or in an unsupported format.');
-          setLoading(false);
-          return;
-        }
-
-        collada.scene.name = 'model';
-        sceneRef.current.add(collada.scene);
+    const onDownloadProgress = (progress) => {
+      if (progress.total > 0) {
+        updateLoadStage('download', { percent: (progress.loaded / progress.total) * 100 });
+      }
+    };
 
-        console.log('\n=== SCENE STRUCTURE ===');
-        console.log('Scene children count:', collada.scene.children.length);
-        
-        let meshCount = 0;
-        let nodeCount = 0;
-        const nodeTypes = {};
-        const hierarchyMap = new Map();
-        
-        collada.scene.traverse((child) => {
-          nodeCount++;
-          nodeTypes[child.type] = (nodeTypes[child.type] || 0) + 1;
-          
-          const depth = getNodeDepth(child);
-          const parentName = child.parent ? (child.parent.name || child.parent.type) : 'ROOT';
-          
-          if (!hierarchyMap.has(depth)) {
-            hierarchyMap.set(depth, []);
-          }
-          
-          hierarchyMap.get(depth).push({
-            name: child.name || 'unnamed',
-            type: child.type,
-            id: child.id,
-            uuid: child.uuid,
-            parent: parentName,
-            isMesh: child.isMesh,
-            childrenCount: child.children.length,
-            userData: child.userData,
-            extra: child.extra,
-            properties: child.properties,
-            customData: child.customData
-          });
-          
-          if (child.isMesh) {
-            meshCount++;
-            
-            if (meshCount <= 5) {
-              console.log(`\n=== MESH ${meshCount} DETAILS ===`);
-              console.log(`  Name: ${child.name}`);
-              console.log(`  ID: ${child.id}`);
-              console.log(`  UUID: ${child.uuid}`);
-              console.log(`  Type: ${child.type}`);
-              console.log(`  Parent chain:`, getParentChain(child));
-              console.log(`  userData:`, child.userData);
-              console.log(`  extra:`, child.extra);
-              console.log(`  properties:`, child.properties);
-              console.log(`  Geometry:`, {
-                name: child.geometry.name,
-                type: child.geometry.type,
-                userData: child.geometry.userData,
-                attributes: Object.keys(child.geometry.attributes)
-              });
-              console.log(`  Material:`, {
-                name: child.material?.name,
-                type: child.material?.type,
-                userData: child.material?.userData
-              });
-              console.log(`  Position:`, child.position);
-              console.log(`  Scale:`, child.scale);
-              console.log(`  Visible:`, child.visible);
-              
-              if (child.geometry) {
-                console.log(`  Vertices: ${child.geometry.attributes.position?.count || 0}`);
-                console.log(`  Has normals: ${!!child.geometry.attributes.normal}`);
-                console.log(`  Has UVs: ${!!child.geometry.attributes.uv}`);
-              }
-            }
-          }
-        });
+    const loadOptions = {
+      onParseProgress: (percent) => {
+        completeLoadStage('download');
+        beginLoadStage('parse');
+        updateLoadStage('parse', { percent });
+      },
+      manager: modelPackage ? modelPackage.manager : undefined,
+      requestHeader
+    };
 
-        console.log('\n=== HIERARCHY BY DEPTH ===');
-        for (const [depth, nodes] of hierarchyMap) {
-          console.log(`\nDepth ${depth}: ${nodes.length} nodes`);
-          if (depth <= 3) { 
-            nodes.slice(0, 10).forEach(node => {
-              console.log(`  - ${node.name} (${node.type}) [parent: ${node.parent}] [children: ${node.childrenCount}]`);
-              if (node.userData && Object.keys(node.userData).length > 0) {
-                console.log(`    userData:`, node.userData);
-              }
-            });
-            if (nodes.length > 10) {
-              console.log(`  ... and ${nodes.length - 10} more`);
-            }
+    // Stage: metadata. JSON.parse and the ODA traversal run in the parse worker
+    if (skipMetadataFetch) {
+      updateLoadStage('metadata', { status: 'skipped' });
+    } else {
+      beginLoadStage('metadata');
+      activeLoad.metadataTask = loadMetadataFile(metadataPath, (percent) => {
+        updateLoadStage('metadata', { percent });
+      }, requestHeader);
+    }
+    const metadataRequest = activeLoad.metadataTask
+      ? activeLoad.metadataTask.promise
+      : Promise.resolve(null);
+
+    // A metadata failure is a warning: the model goes through the same stages without it
+    metadataRequest
+      .then(
+        jsonElementMap => {
+          if (activeLoad.isStale() || skipMetadataFetch) return jsonElementMap;
+          if (jsonElementMap) {
+            console.log('✓ JSON metadata loaded successfully');
+            completeLoadStage('metadata');
+          } else if (jsonPath) {
+            console.warn(`Metadata not found: ${jsonPath}`);
+            updateLoadStage('metadata', { status: 'failed' });
+            addLoadWarning('Metadata file not found. Elements use fallback names.');
+          } else {
+            console.warn('No JSON metadata found, using fallback naming');
+            completeLoadStage('metadata');
           }
+          return jsonElementMap;
+        },
+        error => {
+          if (activeLoad.isStale()) return null;
+          console.error('Error loading JSON metadata:', error);
+          updateLoadStage('metadata', { status: 'failed' });
+          addLoadWarning(`Metadata could not be loaded (${error.message}). Elements use fallback names.`);
+          return null;
         }
+      )
+      .then(jsonElementMap => {
+        if (activeLoad.isStale()) return;
 
-        console.log(`\nTotal nodes: ${nodeCount}`);
-        console.log('Node types:', nodeTypes);
-        console.log(`Total meshes: ${meshCount}`);
-
-        if (meshCount === 0) {
-          console.error('ERROR: No meshes found in the COLLADA scene!');
-          setError('Model loaded but contains no mesh geometry. Check the DAE file structure.');
-          setLoading(false);
-          return;
-        }
-
-        const scaleFactor = 0.001; // Assume mm to meters
-        console.log(`\nApplying scale factor: ${scaleFactor}`);
-        collada.scene.scale.setScalar(scaleFactor);
-
-        let box = new THREE.Box3().setFromObject(collada.scene);
-        let center = box.getCenter(new THREE.Vector3());
-        let size = box.getSize(new THREE.Vector3());
-
-        console.log('\nBounding box:');
-        console.log('  Min:', box.min);
-        console.log('  Max:', box.max);
-        console.log('  Center:', center);
-        console.log('  Size:', size);
-
-        const maxDim = Math.max(size.x, size.y, size.z);
-
-        if (maxDim > 0) {
-          const desiredSize = 20.0; // Larger viewing size
-          const additionalScale = desiredSize / maxDim;
-          console.log(`Additional scale for fitting: ${additionalScale}`);
-          collada.scene.scale.multiplyScalar(additionalScale);
-
-          // Recompute bounds after scaling
-          box = new THREE.Box3().setFromObject(collada.scene);
-          center = box.getCenter(new THREE.Vector3());
-          size = box.getSize(new THREE.Vector3());
-          
-          console.log('\nAfter scaling:');
-          console.log('  Final size:', size);
-          console.log('  Final center:', center);
-        }
-
-        // Center model at origin
-        collada.scene.position.sub(center);
-
-        // Position camera to look at the model
-        const newMaxDim = Math.max(size.x, size.y, size.z);
-        const fov = cameraRef.current.fov * (Math.PI / 180);
-        let cameraDistance = Math.abs(newMaxDim / Math.tan(fov / 2));
-        cameraDistance *= 2.5;
+        beginLoadStage('download');
+        activeLoad.modelTask = loadModelFile(
+          modelPath,
+          format,
+          (result) => processLoadedModel(result, jsonElementMap, {
+            activeLoad,
+            modelId,
+            modelName,
+            sourceKey,
+            modelPackage,
+            onLoaded
+          }),
+          onDownloadProgress,
+          (error) => {
+            if (activeLoad.isStale()) return;
+            console.error('Error loading model:', error);
+            setError('Failed to load model: ' + error.message);
+            revokeObjectUrls(activeLoad.getObjectUrls());
+            finishLoadStages();
+          },
+          loadOptions
+        );
+      });
+  };
 
-        if (!isFinite(cameraDistance) || cameraDistance <= 0) {
-          cameraDistance = 20;
-        }
+  // Helper: Name not used by a loaded model: "Building.dae", then "Building.dae (2)"...
+  const getUniqueModelName = (name) => {
+    const names = new Set(Array.from(modelsRef.current.values()).map(model => model.name));
+    let uniqueName = name;
+    for (let copy = 2; names.has(uniqueName); copy++) {
+      uniqueName = `${name} (${copy})`;
+    }
+    return uniqueName;
+  };
 
-        console.log(`\nCamera distance: ${cameraDistance}`);
-        cameraRef.current.position.set(cameraDistance, cameraDistance, cameraDistance);
-        cameraRef.current.lookAt(0, 0, 0);
-        controlsRef.current.target.set(0, 0, 0);
-        controlsRef.current.update();
-
-        // Count objects and fix materials for Autodesk DAE files
-        let objectCount = 0;
-        let triangleCount = 0;
-        let materialFixCount = 0;
-
-        collada.scene.traverse((child) => {
-          if (child.isMesh) {
-            objectCount++;
-
-            if (child.geometry) {
-              const posCount = child.geometry.attributes.position?.count || 0;
-              triangleCount += child.geometry.index
-                ? child.geometry.index.count / 3
-                : posCount / 3;
-            }
+  // Runs the stages after parsing: inspect, normalize, tree, match and commit
+  const processLoadedModel = async (collada, jsonElementMap, {
+    activeLoad, modelId, modelName: requestedName, sourceKey, modelPackage, onLoaded
+  }) => {
+    // A superseded or cancelled load must not reach the scene; free what it parsed
+    const discardIfStale = () => {
+      if (!activeLoad.isStale()) return false;
+      console.log(`Discarding stale load result: ${requestedName}`);
+      if (collada.scene) disposeModel(collada.scene);
+      metadataByModelRef.current.delete(modelId);
+      return true;
+    };
 
-            //  Autodesk/Revit DAE files:
-            if (child.material) {
-              materialFixCount++;
-
-              if (Array.isArray(child.material)) {
-                const originalMaterials = [];
-                const displayMaterials = [];
-
-                child.material.forEach((mat, idx) => {
-                  originalMaterials.push(mat.clone());
-
-                  const displayMat = mat.clone();
-                  displayMat.side = THREE.DoubleSide;
-                  displayMat.needsUpdate = true;
-
-                  displayMat.opacity = 1.0;
-                  displayMat.transparent = false;
-                  displayMat.depthWrite = true;
-                  displayMat.depthTest = true;
-
-                  if (displayMat.color) {
-                    const brightness = displayMat.color.r + displayMat.color.g + displayMat.color.b;
-                    if (brightness < 0.5) {
-                      displayMat.color.set(0x808080);
-                    }
-                  } else {
-                    displayMat.color = new THREE.Color(0x999999);
-                  }
-
-                  displayMaterials.push(displayMat);
-                });
-
-                child.material = displayMaterials;
-                child.userData.originalMaterials = originalMaterials;
-                child.userData.displayMaterials = displayMaterials;
-              } else {
-                child.userData.originalMaterial = child.material.clone();
-
-                const displayMat = child.material.clone();
-                displayMat.side = THREE.DoubleSide;
-                displayMat.needsUpdate = true;
-
-                displayMat.opacity = 1.0;
-                displayMat.transparent = false;
-                displayMat.depthWrite = true;
-                displayMat.depthTest = true;
-
-                if (displayMat.color) {
-                  const brightness = displayMat.color.r + displayMat.color.g + displayMat.color.b;
-                  if (brightness < 0.5) {
-                    displayMat.color.set(0x808080);
-                  }
-                } else {
-                  displayMat.color = new THREE.Color(0x999999);
-                }
-
-                child.material = displayMat;
-                child.userData.displayMaterial = displayMat;
-              }
-            }
+    if (discardIfStale()) return;
+    completeLoadStage('parse');
+    console.log(`\n=== MODEL LOADED (${collada.format}) ===`);
 
-            const triangles = child.geometry.index
-              ? child.geometry.index.count / 3
-              : (child.geometry.attributes.position?.count || 0) / 3;
+    let pendingMetadata = jsonElementMap;
+    if (collada.elementMap && !jsonElementMap) {
+      pendingMetadata = collada.elementMap;
+      console.log('✓ Using metadata embedded in IFC file');
+    }
 
-            if (triangles < 100) {
-              child.userData.isText = true;
-            }
+    console.log('Model object:', collada);
+    console.log('Scene:', collada.scene);
 
-            // Ensure geometry normals exist
-            if (child.geometry && !child.geometry.attributes.normal) {
-              child.geometry.computeVertexNormals();
-            }
+    if (collada.librarySummary) {
+      console.log('\n=== COLLADA LIBRARY ANALYSIS ===');
+      Object.entries(collada.librarySummary).forEach(([key, count]) => {
+        console.log(`  ${key}: ${count}`);
+      });
+    }
 
-            child.visible = true;
-            child.frustumCulled = false;
-          }
-        });
+    try {
+      inspectModelScene(collada.scene);
+    } catch (e) {
+      console.error('ERROR:', e.message);
+      setError(e.message);
+      if (collada.scene) disposeModel(collada.scene);
+      revokeObjectUrls(activeLoad.getObjectUrls());
+      finishLoadStages();
+      return;
+    }
 
-        console.log(`\nMaterial fixes applied: ${materialFixCount}`);
-        console.log(`Model loaded: ${objectCount} objects, ${Math.round(triangleCount)} triangles`);
+    beginLoadStage('normalize');
+    await nextFrame();
+    if (discardIfStale()) return;
+
+    const asset = collada.asset || METRIC_Y_UP_ASSET;
+    const { origin, size, objectCount, triangleCount } = normalizeModel(collada.scene, asset, sharedOriginRef.current);
+    const modelFrame = createModelFrame(asset, origin);
+    console.log('Origin offset (m):', modelFrame.originOffset);
+    completeLoadStage('normalize');
+
+    // Tree building reads the model's metadata map; drop it again if the load is cancelled
+    beginLoadStage('tree');
+    await nextFrame();
+    if (discardIfStale()) return;
+    collada.scene.userData.modelId = modelId;
+    const metadataIndex = buildMetadataIndex(pendingMetadata);
+    metadataByModelRef.current.set(modelId, metadataIndex);
+    const builtTree = buildModelTree(collada.scene, modelId);
+    completeLoadStage('tree');
+
+    beginLoadStage('match');
+    await nextFrame();
+    if (discardIfStale()) return;
+    const matchReport = buildMatchReport(collada.scene, metadataIndex);
+    logMatchReport(matchReport);
+    completeLoadStage('match');
+
+    // Commit: loading the same source again replaces its model, others are kept. Models from
+    // different sources may share a name (two versions of Building.dae), so the name is made unique.
+    modelsRef.current.forEach(model => {
+      if (model.sourceKey === sourceKey) {
+        unloadModel(model.id);
+      }
+    });
+    const modelName = getUniqueModelName(requestedName);
 
-        // Log object breakdown
-        let textObjects = 0;
-        let solidObjects = 0;
-        sceneRef.current.traverse((child) => {
-          if (child.isMesh) {
-            if (child.userData.isText) textObjects++;
-            else solidObjects++;
-          }
-        });
-        console.log(`Object breakdown: ${solidObjects} solid objects, ${textObjects} text/annotation objects`);
+    if (!sharedOriginRef.current) {
+      sharedOriginRef.current = origin.clone();
+    }
+    collada.scene.name = `model:${modelName}`;
+    sceneRef.current.add(collada.scene);
+    colladaRef.current = collada;
+    modelFrameRef.current = modelFrame;
+
+    const info = {
+      name: modelName,
+      objects: objectCount,
+      triangles: Math.floor(triangleCount),
+      size: size.toArray(),
+      frame: modelFrame
+    };
+    modelsRef.current.set(modelId, {
+      id: modelId,
+      name: modelName,
+      sourceKey,
+      root: collada.scene,
+      frame: modelFrame,
+      info,
+      matchReport,
+      getObjectUrls: activeLoad.getObjectUrls
+    });
+    fitCameraToModels();
+
+    // Log object breakdown
+    let textObjects = 0;
+    let solidObjects = 0;
+    sceneRef.current.traverse((child) => {
+      if (child.isMesh) {
+        if (child.userData.isText) textObjects++;
+        else solidObjects++;
+      }
+    });
+    console.log(`Object breakdown: ${solidObjects} solid objects, ${textObjects} text/annotation objects`);
 
-        setModelInfo({
-          name: modelPath.split('/').pop(),
-          objects: objectCount,
-          triangles: Math.floor(triangleCount),
-        });
+    setModelInfo(info);
+    applyModelTree(modelId, modelName, builtTree, matchReport);
+    finishLoadStages();
+    reportPackage(modelPackage);
 
-        buildModelTree(collada.scene);
-        setLoading(false);
-        
-        console.log('=== LOADING COMPLETE ===\n');
-      },
-      (progress) => {
-        if (progress.total > 0) {
-          console.log('Loading progress:', (progress.loaded / progress.total * 100).toFixed(2) + '%');
-        }
-      },
-      (error) => {
-        console.error('Error loading model:', error);
-        setError('Failed to load model: ' + error.message);
-        setLoading(false);
-      }
-    );
-      })
-      .catch(error => {
-        console.error('Error loading JSON metadata:', error);
-        const loader = new ColladaLoader();
-        loader.load(
-          modelPath,
-          (collada) => {
-            console.log('\n=== COLLADA LOADED (no metadata) ===');
-            colladaRef.current = collada;
-            
-            sceneRef.current.add(collada.scene);
-            setLoading(false);
-          },
-          undefined,
-          (error) => {
-            console.error('Error loading model:', error);
-            setError('Failed to load model: ' + error.message);
-            setLoading(false);
-          }
-        );
-      });
+    console.log('=== LOADING COMPLETE ===\n');
+    if (onLoaded) onLoaded(modelId);
   };
 
   // Load file history from IndexedDB on mount
@@ -706,6 +736,13 @@ const BimViewer = () => {
     loadHistory();
   }, []);
 
+  // Tick the elapsed-time display of the loading stages
+  useEffect(() => {
+    if (loadStages.length === 0) return undefined;
+    const timer = setInterval(() => setLoadClock(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [loadStages.length]);
+
   // Save file to history using IndexedDB
   const addToHistory = async (daeFile, jsonFile = null) => {
     try {
@@ -733,7 +770,11 @@ const BimViewer = () => {
         // Create blob URLs from stored File objects
         const daeUrl = URL.createObjectURL(item.daeFile);
         const jsonUrl = item.jsonFile ? URL.createObjectURL(item.jsonFile) : null;
-        loadModel(daeUrl, jsonUrl);
+        loadModel(daeUrl, jsonUrl, detectFormatFromName(item.daeName), {
+          displayName: item.daeName,
+          objectUrls: [daeUrl, jsonUrl],
+          sourceKey: getFileSourceKey(item.daeFile)
+        });
       } else {
         setError('File data not found. This should not happen with IndexedDB.');
       }
@@ -761,29 +802,62 @@ const BimViewer = () => {
     scene.background = new THREE.Color(0xf0f0f0);
     sceneRef.current = scene;
 
-    // Camera
-    const camera = new THREE.PerspectiveCamera(
-      75,
-      containerRef.current.clientWidth / containerRef.current.clientHeight,
-      0.1,
-      1000
-    );
+    // Cameras: the controls drive the one of the current projection
+    const aspect = containerRef.current.clientWidth / containerRef.current.clientHeight;
+    const camera = new THREE.PerspectiveCamera(CAMERA_FOV, aspect, 0.1, 1000);
     camera.position.set(10, 10, 10);
     cameraRef.current = camera;
+    camerasRef.current = {
+      [PROJECTIONS.perspective]: camera,
+      [PROJECTIONS.orthographic]: createOrthographicCamera(aspect)
+    };
 
     // Renderer
-    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    // The stencil buffer is used by the section caps
+    const renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true });
     renderer.setSize(containerRef.current.clientWidth, containerRef.current.clientHeight);
     renderer.setPixelRatio(window.devicePixelRatio);
     const container = containerRef.current;
+    const models = modelsRef.current;
     container.appendChild(renderer.domElement);
     rendererRef.current = renderer;
 
+    // Measurement labels are HTML elements laid over the canvas
+    const labelRenderer = new CSS2DRenderer();
+    labelRenderer.setSize(container.clientWidth, container.clientHeight);
+    labelRenderer.domElement.className = 'measure-labels';
+    container.appendChild(labelRenderer.domElement);
+    labelRendererRef.current = labelRenderer;
+
     // Controls
     const controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
+    controls.zoomToCursor = true;
     controlsRef.current = controls;
+    // Grabbing the camera ends a running transition
+    controls.addEventListener('start', () => {
+      if (cameraTransitionRef.current) cameraTransitionRef.current();
+    });
+
+    // Orbiting around the pivot: the controls turn the camera around their target; moving
+    // camera and target by what the same turn does to the target around the pivot makes
+    // it a turn around the pivot
+    const turn = new THREE.Quaternion();
+    const pivotToTarget = new THREE.Vector3();
+    const pivotShift = new THREE.Vector3();
+    controls.addEventListener('change', () => {
+      const pivot = orbitPivotRef.current;
+      if (!pivot) return;
+
+      const viewCamera = cameraRef.current;
+      turn.copy(viewCamera.quaternion).multiply(pivot.quaternion.invert());
+      pivot.quaternion.copy(viewCamera.quaternion);
+      pivotToTarget.copy(controls.target).sub(pivot.point);
+      pivotShift.copy(pivotToTarget).applyQuaternion(turn).sub(pivotToTarget);
+      viewCamera.position.add(pivotShift);
+      controls.target.add(pivotShift);
+    });
 
     // Lights - Enhanced for better BIM visibility
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
@@ -801,6 +875,15 @@ const BimViewer = () => {
     directionalLight3.position.set(0, 10, 0);
     scene.add(directionalLight3);
 
+    const selectionHighlight = createSelectionHighlight(scene);
+    selectionHighlightRef.current = selectionHighlight;
+    const ghostModeController = createGhostMode();
+    ghostModeRef.current = ghostModeController;
+    const sectionController = createSectionController();
+    sectionControllerRef.current = sectionController;
+    const measureOverlay = createMeasurementOverlay(scene);
+    measureOverlayRef.current = measureOverlay;
+
     // Grid (hidden for now - can be toggled later)
     // const gridHelper = new THREE.GridHelper(20, 20);
     // scene.add(gridHelper);
@@ -817,10 +900,18 @@ const BimViewer = () => {
     // Set loading to false since we're not auto-loading
     setLoading(false);
 
+    const clock = new THREE.Clock();
     const animate = () => {
       requestAnimationFrame(animate);
-      controls.update();
-      renderer.render(scene, camera);
+      const delta = clock.getDelta();
+      if (walkRef.current) {
+        walkRef.current.update(delta);
+      } else {
+        controls.update();
+      }
+      selectionHighlight.update();
+      sectionController.render(renderer, scene, cameraRef.current);
+      measureOverlay.renderLabels(labelRenderer, cameraRef.current);
     };
     animate();
 
@@ -828,9 +919,9 @@ const BimViewer = () => {
       if (!container) return;
       const width = container.clientWidth;
       const height = container.clientHeight;
-      camera.aspect = width / height;
-      camera.updateProjectionMatrix();
+      Object.values(camerasRef.current).forEach(viewCamera => updateCameraAspect(viewCamera, width / height));
       renderer.setSize(width, height);
+      labelRenderer.setSize(width, height);
     };
     window.addEventListener('resize', handleResize);
 
@@ -840,6 +931,21 @@ const BimViewer = () => {
     }
 
     return () => {
+      cancelActiveLoad();
+      exitComparison();
+      models.forEach(model => {
+        disposeModel(model.root);
+        revokeObjectUrls(model.getObjectUrls());
+      });
+      models.clear();
+      clearTimeout(hoverTimerRef.current);
+      if (walkRef.current) walkRef.current.dispose();
+      selectionHighlight.dispose();
+      ghostModeController.dispose();
+      sectionController.dispose();
+      measureOverlay.dispose();
+      cancelAnimationFrame(measureFrameRef.current);
+      cancelAnimationFrame(wheelPickRef.current?.frame);
       window.removeEventListener('resize', handleResize);
       if (container) {
         resizeObserver.unobserve(container);
@@ -848,6 +954,9 @@ const BimViewer = () => {
       if (container && renderer.domElement && container.contains(renderer.domElement)) {
         container.removeChild(renderer.domElement);
       }
+      if (container && container.contains(labelRenderer.domElement)) {
+        container.removeChild(labelRenderer.domElement);
+      }
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
@@ -858,83 +967,223 @@ const BimViewer = () => {
       const height = containerRef.current.clientHeight;
       if (width > 0 && height > 0) {
         rendererRef.current.setSize(width, height);
-        if (cameraRef.current) {
-          cameraRef.current.aspect = width / height;
-          cameraRef.current.updateProjectionMatrix();
+        labelRendererRef.current.setSize(width, height);
+        if (camerasRef.current) {
+          Object.values(camerasRef.current).forEach(camera => updateCameraAspect(camera, width / height));
         }
       }
     }
   }, [showViewsPanel, showModelPanel]);
 
-  const handleFileUpload = (event) => {
-    const files = Array.from(event.target.files);
-    if (files.length === 0) return;
-
-    // Find the DAE file
-    const daeFile = files.find(f => f.name.toLowerCase().endsWith('.dae'));
-    if (!daeFile) {
-      setError('Please select a DAE file');
+  // Load a set of files (file input, dropped folder or extracted .zip) as one package
+  const loadPackage = (files) => {
+    const modelPackage = createModelPackage(files);
+    if (!modelPackage) {
+      setError('Please select a DAE, glTF, GLB or IFC file');
       return;
     }
 
-    // Look for matching JSON metadata file
-    const baseName = daeFile.name.replace(/\.dae$/i, '');
-    const jsonFile = files.find(f => 
-      f.name === `${baseName}.metadata.json` || 
-      f.name === `${baseName}.json`
-    );
-
-    // Create blob URLs
-    const daeUrl = URL.createObjectURL(daeFile);
-    let jsonUrl = null;
-    
-    if (jsonFile) {
-      jsonUrl = URL.createObjectURL(jsonFile);
-      console.log(`✓ Found matching JSON file: ${jsonFile.name}`);
+    const { modelEntry, metadataEntry } = modelPackage;
+    if (metadataEntry) {
+      console.log(`✓ Found matching JSON file: ${metadataEntry.path}`);
     } else {
-      console.warn(`⚠️ No matching JSON file found for ${daeFile.name}`);
+      const baseName = modelEntry.file.name.replace(/\.(dae|gltf|glb|ifc)$/i, '');
+      console.warn(`⚠️ No matching JSON file found for ${modelEntry.file.name}`);
       console.warn(`   Looking for: ${baseName}.metadata.json or ${baseName}.json`);
     }
 
     // Add to history
-    addToHistory(daeFile, jsonFile);
+    addToHistory(modelEntry.file, metadataEntry ? metadataEntry.file : null);
 
-    loadModel(daeUrl, jsonUrl);
+    loadModel(
+      modelPackage.modelUrl,
+      modelPackage.metadataUrl,
+      detectFormatFromName(modelEntry.file.name),
+      { modelPackage, sourceKey: getFileSourceKey(modelEntry.file) }
+    );
   };
 
-  const resetCamera = () => {
-    if (cameraRef.current && controlsRef.current) {
-      cameraRef.current.position.set(10, 10, 10);
-      controlsRef.current.target.set(0, 0, 0);
-      controlsRef.current.update();
-    }
+  // Load a model version from the BIM API (geometry as Collada + ODA JSON metadata)
+  const loadFromApi = (versionId, client = createBimApiClient(loadApiSettings()), displayName = null, onLoaded = null) => {
+    console.log(`\n=== LOADING FROM API: version ${versionId} (${client.baseUrl}) ===`);
+    loadModel(
+      client.getGeometryUrl(versionId, 'collada'),
+      client.getMetadataUrl(versionId),
+      'dae',
+      {
+        requestHeader: client.getAuthHeaders(),
+        displayName: displayName || `Version ${versionId}`,
+        sourceKey: `api:${client.baseUrl}/versions/${versionId}`,
+        onLoaded
+      }
+    );
   };
 
-  const toggleWireframe = () => {
-    if (sceneRef.current) {
-      sceneRef.current.traverse((child) => {
-        if (child.isMesh && child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(mat => {
-              mat.wireframe = !wireframe;
-            });
-          } else {
-            child.material.wireframe = !wireframe;
-          }
-        }
-      });
-      setWireframe(!wireframe);
-    }
+  const openFromServer = ({ client, project, version }) => {
+    setShowServerDialog(false);
+    loadFromApi(version.id, client, `${project.name} - ${version.name}`);
   };
 
-  const toggleTextVisibility = () => {
-    if (sceneRef.current) {
-      sceneRef.current.traverse((child) => {
-        if (child.isMesh && child.userData.isText) {
-          child.visible = hideText;
-        }
+  // Loads two versions one after the other (a new load cancels the running one), then compares them
+  const compareFromServer = ({ client, project, baseVersion, compareVersion }) => {
+    setShowServerDialog(false);
+    loadFromApi(baseVersion.id, client, `${project.name} - ${baseVersion.name}`, (baseId) => {
+      loadFromApi(compareVersion.id, client, `${project.name} - ${compareVersion.name}`, (compareId) => {
+        startComparison(baseId, compareId);
       });
-      setHideText(!hideText);
+    });
+  };
+
+  const handleFileUpload = async (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+
+    try {
+      const entries = await expandArchives(files.map(file => ({
+        path: file.webkitRelativePath || file.name,
+        file
+      })));
+      loadPackage(entries);
+    } catch (e) {
+      console.error('Failed to read files:', e);
+      setError('Failed to read files: ' + e.message);
+    }
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    if (!dragActive) setDragActive(true);
+  };
+
+  const handleDragLeave = (event) => {
+    // Ignore leave events fired when moving over child elements
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    setDragActive(false);
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    setDragActive(false);
+
+    try {
+      const entries = await collectDroppedFiles(event.dataTransfer);
+      console.log(`Dropped ${entries.length} files`);
+      loadPackage(entries);
+    } catch (e) {
+      console.error('Failed to read dropped files:', e);
+      setError('Failed to read dropped files: ' + e.message);
+    }
+  };
+
+  // Home view: the loaded models seen from the +X+Y+Z diagonal, as framed on load
+  const resetCamera = () => {
+    if (!cameraRef.current || !controlsRef.current) return;
+
+    const box = getModelsBox();
+    if (box.isEmpty()) {
+      moveCamera({ position: new THREE.Vector3(10, 10, 10), target: new THREE.Vector3() }, true);
+    } else {
+      frameBox(box, false, HOME_DIRECTION, true);
+    }
+  };
+
+  // ViewCube and standard views: turn around the orbit target, at the same distance and zoom
+  const viewFromDirection = (direction) => {
+    if (!cameraRef.current || !controlsRef.current) return;
+
+    const target = controlsRef.current.target.clone();
+    const distance = cameraRef.current.position.distanceTo(target);
+    const position = new THREE.Vector3(...direction).setLength(distance).add(target);
+    moveCamera({ position, target }, true);
+  };
+
+  // First-person walk from where the view center meets the model, a step back from it (or
+  // from the camera when nothing is there); gravity then brings the eyes down to the floor
+  const startWalk = () => {
+    if (walkRef.current || !rendererRef.current || !controlsRef.current) return;
+    changeProjection(PROJECTIONS.perspective);
+    if (cameraTransitionRef.current) cameraTransitionRef.current();
+    orbitPivotRef.current = null;
+
+    const camera = cameraRef.current;
+    const canvas = rendererRef.current.domElement;
+    const rect = canvas.getBoundingClientRect();
+    const hit = pickAtPointer({ clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 });
+    if (hit) {
+      const back = camera.getWorldDirection(new THREE.Vector3()).setY(0);
+      if (back.lengthSq() > 0) back.setLength(-WALK_START_OFFSET);
+      camera.position.copy(hit.point).add(back);
+      camera.position.y += EYE_HEIGHT;
+    }
+
+    setSelectionTool(SELECTION_TOOLS.pick);
+    controlsRef.current.enabled = false;
+    walkRef.current = createWalkController({
+      camera,
+      element: canvas,
+      getRoots: () => [...modelsRef.current.values()].map(model => model.root),
+      isSolid: (mesh, point) => !!objectsMapRef.current[mesh.uuid] && sectionControllerRef.current.isPointKept(point),
+      onExit: stopWalk
+    });
+    setWalkMode(true);
+  };
+
+  // Back to orbiting, around a point ahead of the camera
+  const stopWalk = () => {
+    if (!walkRef.current) return;
+    walkRef.current.dispose();
+    walkRef.current = null;
+
+    const camera = cameraRef.current;
+    const ahead = camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(WALK_EXIT_TARGET_DISTANCE);
+    controlsRef.current.target.copy(camera.position).add(ahead);
+    controlsRef.current.enabled = true;
+    controlsRef.current.update();
+    setWalkMode(false);
+  };
+
+  // Swaps the camera for the one of the other projection, keeping the framing
+  const changeProjection = (nextProjection) => {
+    const current = cameraRef.current;
+    const next = camerasRef.current?.[nextProjection];
+    if (!next || next === current) return;
+
+    stopWalk();
+    if (cameraTransitionRef.current) cameraTransitionRef.current();
+    const container = containerRef.current;
+    switchProjection(current, next, controlsRef.current.target, container.clientWidth / container.clientHeight);
+    cameraRef.current = next;
+    controlsRef.current.object = next;
+    controlsRef.current.update();
+    setProjection(nextProjection);
+  };
+
+  const toggleWireframe = () => {
+    if (sceneRef.current) {
+      sceneRef.current.traverse((child) => {
+        if (child.isMesh && child.material) {
+          if (Array.isArray(child.material)) {
+            child.material.forEach(mat => {
+              mat.wireframe = !wireframe;
+            });
+          } else {
+            child.material.wireframe = !wireframe;
+          }
+        }
+      });
+      setWireframe(!wireframe);
+    }
+  };
+
+  const toggleTextVisibility = () => {
+    if (sceneRef.current) {
+      sceneRef.current.traverse((child) => {
+        if (child.isMesh && child.userData.isText) {
+          child.visible = hideText;
+        }
+      });
+      setHideText(!hideText);
     }
   };
 
@@ -1009,7 +1258,8 @@ const BimViewer = () => {
   };
 
 
-  const buildModelTree = (modelScene) => {
+  // Builds the browser tree without touching React state (see applyModelTree)
+  const buildModelTree = (modelScene, modelId) => {
     const objectsMap = {};
     const visibilityMap = {};
 
@@ -1076,9 +1326,32 @@ const BimViewer = () => {
       }
     }
 
-    const tree = [];
+    // Flat element list; the browser hierarchy is grouped from it (see modelHierarchy)
+    const items = [];
     const processedMeshes = new Set();
 
+    // Helper: Browser entry of one mesh with the values it can be grouped by
+    const createTreeItem = (child, displayName, groupName) => {
+      const metadata = getElementMetadata(child);
+      const category = extractCategory(child, displayName);
+      objectsMap[child.uuid] = child;
+      visibilityMap[child.uuid] = child.visible;
+      processedMeshes.add(child.uuid);
+
+      return {
+        id: child.uuid,
+        name: displayName,
+        object: child,
+        type: child.userData.isText ? 'text' : 'mesh',
+        category,
+        level: metadata?.level || '',
+        family: metadata?.familyName || '',
+        typeName: metadata?.typeName || '',
+        group: groupName || category,
+        fullPath: getNodePath(child)
+      };
+    };
+
     if (groupNodes.length > 1) {
       console.log('\n=== BUILDING TREE FROM GROUP NODES ===');
       
@@ -1086,7 +1359,7 @@ const BimViewer = () => {
         const groupNode = findNodeByUuid(modelScene, groupInfo.uuid);
         if (!groupNode) return;
 
-        const meshChildren = [];
+        const groupItems = [];
         let meshIndex = 0;
         groupNode.traverse((child) => {
           if (child.isMesh && child !== groupNode && !processedMeshes.has(child.uuid)) {
@@ -1110,50 +1383,26 @@ const BimViewer = () => {
               }
             }
             
-            const objectId = child.uuid;
-            objectsMap[objectId] = child;
-            visibilityMap[objectId] = child.visible;
-            processedMeshes.add(child.uuid);
-
-            meshChildren.push({
-              id: objectId,
-              name: displayName,
-              object: child,
-              type: child.userData.isText ? 'text' : 'mesh',
-              category: extractCategory(child, displayName),
-              fullPath: getNodePath(child)
-            });
-            
+            groupItems.push(createTreeItem(child, displayName, null));
             meshIndex++;
           }
         });
 
-        if (meshChildren.length > 0) {
-          let categoryName = groupInfo.name;
+        if (groupItems.length > 0) {
+          let groupName = groupInfo.name;
           
-          if (!categoryName || categoryName === 'node' || categoryName === 'unnamed') {
-            if (meshChildren.length > 0) {
-              const firstChild = meshChildren[0];
-              categoryName = extractCategoryFromNode(firstChild.object) || firstChild.category;
-            } else {
-              categoryName = `Group_${tree.length + 1}`;
-            }
+          if (!groupName || groupName === 'node' || groupName === 'unnamed') {
+            groupName = groupItems[0].category;
           }
 
-          tree.push({
-            id: groupInfo.uuid,
-            name: categoryName,
-            count: meshChildren.length,
-            items: meshChildren,
-            expanded: expandedCategories[categoryName] || false,
-            type: 'group',
-            depth: groupInfo.depth
+          groupItems.forEach(item => {
+            item.group = groupName;
+            items.push(item);
           });
         }
       });
     }
 
-    const uncategorizedMeshes = [];
     let uncategorizedIndex = 0;
     modelScene.traverse((child) => {
       if (child.isMesh && !processedMeshes.has(child.uuid)) {
@@ -1176,91 +1425,375 @@ const BimViewer = () => {
           }
         }
         
-        const objectId = child.uuid;
-        objectsMap[objectId] = child;
-        visibilityMap[objectId] = child.visible;
-        processedMeshes.add(child.uuid);
-
-        uncategorizedMeshes.push({
-          id: objectId,
-          name: displayName,
-          object: child,
-          type: child.userData.isText ? 'text' : 'mesh',
-          category: extractCategory(child, displayName),
-          fullPath: getNodePath(child)
-        });
+        const item = createTreeItem(child, displayName, null);
+        items.push(item);
         
-        console.log(`Mesh ${uncategorizedIndex}: "${displayName}" -> Category: ${extractCategory(child, displayName)}`);
+        console.log(`Mesh ${uncategorizedIndex}: "${displayName}" -> Category: ${item.category}`);
         uncategorizedIndex++;
       }
     });
 
-    if (uncategorizedMeshes.length > 0) {
-      console.log(`\n=== CATEGORIZING ${uncategorizedMeshes.length} UNCATEGORIZED MESHES ===`);
-      
-      const categories = {};
-      uncategorizedMeshes.forEach(meshItem => {
-        const category = meshItem.category;
-        if (!categories[category]) {
-          categories[category] = [];
-        }
-        categories[category].push(meshItem);
+    console.log('\n=== FINAL TREE STRUCTURE ===');
+    console.log(`Total elements: ${items.length}`);
+    const categoryCounts = {};
+    items.forEach(item => {
+      categoryCounts[item.category] = (categoryCounts[item.category] || 0) + 1;
+    });
+    Object.entries(categoryCounts).forEach(([categoryName, count], idx) => {
+      console.log(`${idx + 1}. ${categoryName}: ${count} items`);
+    });
+    console.log(`With level: ${items.filter(item => item.level).length}, with family: ${items.filter(item => item.family).length}`);
+
+    return { items, objectsMap, visibilityMap };
+  };
+
+  const logMatchReport = (report) => {
+    if (report.metadataCount === 0) {
+      console.log('\n⚠️ No JSON metadata loaded - using fallback naming');
+      return;
+    }
+
+    console.log('\n=== JSON METADATA MATCHING ===');
+    console.log(`✓ Matched ${report.matched}/${report.total} elements to JSON metadata`);
+    console.log(`Match rate: ${report.total > 0 ? ((report.matched / report.total) * 100).toFixed(1) : 0}%`);
+    report.strategies.forEach(strategy => {
+      console.log(`  ${strategy.label}: ${strategy.count}`);
+    });
+    console.log(`Unmatched meshes: ${report.unmatched.length}, orphan metadata entries: ${report.orphans.length}`);
+  };
+
+  // Adds a loaded model to the browser; modelTree holds one entry per federated model
+  // with its flat element list, grouped for display by treeGrouping
+  const applyModelTree = (modelId, modelName, { items, objectsMap, visibilityMap }, matchReport) => {
+    objectsMapRef.current = { ...objectsMapRef.current, ...objectsMap };
+    setObjectVisibility(prev => ({ ...prev, ...visibilityMap }));
+
+    setExpandedCategories(prev => ({ [modelId]: true, ...prev }));
+    setModelTree(prev => {
+      const existing = prev.find(model => model.id === modelId);
+      const entry = {
+        id: modelId,
+        name: modelName,
+        type: 'model',
+        // A rebuilt tree keeps the model's visibility and opacity
+        visible: existing ? existing.visible : true,
+        opacity: existing ? existing.opacity : 1,
+        matchSummary: { matched: matchReport.matched, total: matchReport.total, metadataCount: matchReport.metadataCount },
+        items
+      };
+      return existing
+        ? prev.map(model => (model.id === modelId ? entry : model))
+        : [...prev, entry];
+    });
+  };
+
+  // Category counts of the loaded models now and under a draft rule set (rules editor preview)
+  const previewCategoryRules = (draftRules) => {
+    const compiledDraft = compileCategoryRules(draftRules);
+    const counts = {};
+    const count = (category, key) => {
+      counts[category] = counts[category] || { category, current: 0, preview: 0 };
+      counts[category][key]++;
+    };
+
+    modelTree.forEach(model => {
+      model.items.forEach(item => {
+        count(item.category, 'current');
+        count(extractCategory(item.object, item.name, compiledDraft), 'preview');
       });
+    });
+    return Object.values(counts).sort((a, b) => b.preview - a.preview || a.category.localeCompare(b.category));
+  };
 
-      Object.entries(categories).forEach(([categoryName, items]) => {
-        tree.push({
-          id: categoryName,
-          name: categoryName,
-          count: items.length,
-          items: items,
-          expanded: expandedCategories[categoryName] || false,
-          type: 'category'
-        });
+  const applyCategoryRules = (rules) => {
+    saveCategoryRules(rules);
+    setCategoryRules(rules);
+    compiledCategoryRulesRef.current = compileCategoryRules(rules);
+    setShowRulesEditor(false);
+    rebuildModelTrees();
+  };
+
+  // Regroups the browser of every loaded model, e.g. after the category rules changed
+  const rebuildModelTrees = () => {
+    modelsRef.current.forEach(model => {
+      applyModelTree(model.id, model.name, buildModelTree(model.root, model.id), model.matchReport);
+    });
+  };
+
+  // Removes one model from the scene and the browser, keeping the others
+  const unloadModel = (modelId) => {
+    const model = modelsRef.current.get(modelId);
+    if (!model) return;
+
+    console.log(`Unloading model: ${model.name}`);
+    if (compareStateRef.current && [compareStateRef.current.baseId, compareStateRef.current.compareId].includes(modelId)) {
+      exitComparison();
+    }
+    modelsRef.current.delete(modelId);
+    metadataByModelRef.current.delete(modelId);
+
+    const removedIds = new Set();
+    model.root.traverse(child => {
+      if (child.isMesh) removedIds.add(child.uuid);
+    });
+    const disposed = disposeModel(model.root);
+    revokeObjectUrls(model.getObjectUrls());
+    console.log(`Disposed ${disposed.geometries} geometries, ${disposed.materials} materials, ${disposed.textures} textures`);
+    const remainingObjects = {};
+    Object.entries(objectsMapRef.current).forEach(([id, object]) => {
+      if (!removedIds.has(id)) remainingObjects[id] = object;
+    });
+    objectsMapRef.current = remainingObjects;
+    setObjectVisibility(prev => {
+      const next = { ...prev };
+      removedIds.forEach(id => delete next[id]);
+      return next;
+    });
+    setModelTree(prev => prev.filter(entry => entry.id !== modelId));
+    setSelectedIds(prev => prev.filter(id => !removedIds.has(id)));
+    setMatchReportModelId(prev => (prev === modelId ? null : prev));
+
+    // The info panel and unit frame follow the most recently loaded model
+    const remaining = Array.from(modelsRef.current.values());
+    const latest = remaining[remaining.length - 1] || null;
+    colladaRef.current = latest ? { scene: latest.root } : null;
+    modelFrameRef.current = latest ? latest.frame : null;
+    setModelInfo(latest ? latest.info : null);
+    if (!latest) {
+      sharedOriginRef.current = null;
+    }
+  };
+
+  const toggleModelVisibility = (modelId) => {
+    const model = modelsRef.current.get(modelId);
+    if (!model) return;
+
+    model.root.visible = !model.root.visible;
+    setModelTree(prev => prev.map(entry =>
+      entry.id === modelId ? { ...entry, visible: model.root.visible } : entry
+    ));
+  };
+
+  // Opacity is applied to the display materials so render mode toggles keep it
+  const setModelOpacity = (modelId, opacity) => {
+    const model = modelsRef.current.get(modelId);
+    if (!model) return;
+
+    const materials = new Set();
+    model.root.traverse(child => {
+      if (!child.isMesh) return;
+      [child.material, child.userData.displayMaterial, child.userData.displayMaterials]
+        .flat()
+        .filter(mat => mat && !mat.userData.isViewerMaterial)
+        .forEach(mat => materials.add(mat));
+    });
+    materials.forEach(mat => {
+      mat.opacity = opacity;
+      mat.transparent = opacity < 1;
+      mat.depthWrite = opacity >= 1;
+      mat.needsUpdate = true;
+    });
+
+    setModelTree(prev => prev.map(entry =>
+      entry.id === modelId ? { ...entry, opacity } : entry
+    ));
+  };
+
+  // Box and lasso tools take over the left mouse button; the camera still pans and zooms
+  useEffect(() => {
+    if (!controlsRef.current) return;
+    controlsRef.current.mouseButtons.LEFT = selectionTool === SELECTION_TOOLS.pick ? THREE.MOUSE.ROTATE : null;
+  }, [selectionTool]);
+
+  // Scene visibility = browser checkbox AND not hidden by a view filter AND not hidden by the comparison
+  useEffect(() => {
+    const isHiddenByView = createViewFilterTest(viewFilter);
+    const comparisonHidden = compareStateRef.current ? compareStateRef.current.hidden : null;
+    Object.entries(objectsMapRef.current).forEach(([objectId, object]) => {
+      object.visible = objectVisibility[objectId] !== false &&
+        !isHiddenByView(objectId) &&
+        !(comparisonHidden && comparisonHidden.has(object));
+    });
+  }, [objectVisibility, viewFilter, comparison]);
+
+  // Ghost mode draws everything but the selection as faint shells (all of it with no selection)
+  useEffect(() => {
+    if (!ghostModeRef.current) return;
+    if (!ghostMode || comparison) {
+      ghostModeRef.current.clear();
+      return;
+    }
+    const selected = new Set(selectedIds);
+    ghostModeRef.current.apply(
+      Object.entries(objectsMapRef.current)
+        .filter(([objectId]) => !selected.has(objectId))
+        .map(([, object]) => object)
+    );
+  }, [ghostMode, selectedIds, comparison, modelTree]);
+
+  // Selection highlight follows the selection, whatever changed it (viewport, browser, properties)
+  useEffect(() => {
+    if (!selectionHighlightRef.current) return;
+    selectionHighlightRef.current.setSelection(
+      selectedIds.map(id => objectsMapRef.current[id]).filter(Boolean)
+    );
+  }, [selectedIds]);
+
+  // Helper: Bounding box of all loaded models
+  const getModelsBox = () => {
+    const box = new THREE.Box3();
+    modelsRef.current.forEach(model => box.expandByObject(model.root));
+    return box;
+  };
+
+  // Frames all loaded models and adapts near/far planes to their combined size
+  const fitCameraToModels = () => {
+    if (modelsRef.current.size === 0) return;
+    frameBox(getModelsBox());
+  };
+
+  // Fits the camera to a box, looking along viewDirection (default: from the +X+Y+Z diagonal)
+  const frameBox = (box, updateClipping = true, viewDirection = HOME_DIRECTION, animate = false) => {
+    if (!cameraRef.current || !controlsRef.current || box.isEmpty()) return;
+
+    const view = getFramingView(box, viewDirection);
+
+    // Near/far planes follow the model size so small details and whole sites both render
+    if (updateClipping) {
+      const size = box.getSize(new THREE.Vector3());
+      const maxDim = Math.max(size.x, size.y, size.z);
+      const cameraDistance = view.position.distanceTo(view.target);
+      console.log(`\nCamera distance: ${cameraDistance}`);
+      Object.values(camerasRef.current).forEach(camera => {
+        camera.near = Math.max(maxDim / 10000, 0.001);
+        camera.far = Math.max(cameraDistance * 10, maxDim * 20, 1000);
+        camera.updateProjectionMatrix();
       });
     }
+    moveCamera(view, animate);
+  };
 
-    console.log('\n=== FINAL TREE STRUCTURE ===');
-    console.log(`Total categories: ${tree.length}`);
-    tree.forEach((category, idx) => {
-      console.log(`${idx + 1}. ${category.name} (${category.type}): ${category.count} items`);
-      if (idx < 5 && category.items.length > 0) {
-        category.items.slice(0, 3).forEach((item, itemIdx) => {
-          console.log(`     ${itemIdx + 1}. ${item.name}`);
-          console.log(`        Path: ${item.fullPath}`);
-        });
+  // Helper: Jumps or flies the camera to { position, target, viewHeight }; viewHeight sets
+  // the zoom of the orthographic camera
+  const moveCamera = (view, animate) => {
+    const camera = cameraRef.current;
+    stopWalk();
+    orbitPivotRef.current = null;
+    if (cameraTransitionRef.current) cameraTransitionRef.current();
+
+    if (animate) {
+      cameraTransitionRef.current = animateCamera(camera, controlsRef.current, view);
+      return;
+    }
+    camera.position.copy(view.position);
+    if (camera.isOrthographicCamera && view.viewHeight > 0) {
+      camera.zoom = (camera.top - camera.bottom) / view.viewHeight;
+      camera.updateProjectionMatrix();
+    }
+    camera.lookAt(view.target);
+    controlsRef.current.target.copy(view.target);
+    controlsRef.current.update();
+  };
+
+  // === VERSION COMPARISON ===
+
+  // Colours the compare model by diff status and shows only the deleted elements of the base model
+  const startComparison = (baseId, compareId) => {
+    const baseModel = modelsRef.current.get(baseId);
+    const compareModel = modelsRef.current.get(compareId);
+    if (!baseModel || !compareModel || baseId === compareId) return;
+
+    exitComparison();
+    console.log(`\n=== COMPARING: ${baseModel.name} -> ${compareModel.name} ===`);
+
+    const result = compareModels(baseModel.root, compareModel.root, getElementMetadata);
+    console.log('Diff counts:', result.counts);
+    console.log('Elements without externalId:', result.unidentified);
+
+    const materials = {};
+    Object.entries(DIFF_COLORS).forEach(([status, color]) => {
+      const ghost = status === DIFF_STATUS.unchanged;
+      materials[status] = new THREE.MeshLambertMaterial({
+        color,
+        side: THREE.DoubleSide,
+        transparent: ghost,
+        opacity: ghost ? 0.25 : 1,
+        depthWrite: !ghost
+      });
+    });
+
+    // Ghost mode would hide the diff colours; comparison has its own ghosting
+    ghostModeRef.current.clear();
+
+    const saved = new Map();
+    const paint = (mesh, status) => {
+      if (!saved.has(mesh)) {
+        saved.set(mesh, mesh.material);
       }
+      mesh.material = materials[status];
+    };
+
+    // Everything not classified (e.g. no externalId) is ghosted in the compare model and hidden in the base.
+    // Hiding goes through the visibility effect, so browser checkboxes still apply on top.
+    const hidden = new Set();
+    compareModel.root.traverse(child => {
+      if (child.isMesh) paint(child, DIFF_STATUS.unchanged);
+    });
+    baseModel.root.traverse(child => {
+      if (child.isMesh) hidden.add(child);
     });
 
-    if (metadataRef.current && metadataRef.current.size > 0) {
-      let matchedCount = 0;
-      let totalElements = 0;
-      
-      tree.forEach(category => {
-        category.items.forEach(item => {
-          totalElements++;
-          const metadata = getElementMetadata(item.object);
-          if (metadata) {
-            matchedCount++;
-          }
+    result.entries.forEach(entry => {
+      if (entry.status === DIFF_STATUS.deleted) {
+        entry.baseObjects.forEach(mesh => {
+          hidden.delete(mesh);
+          paint(mesh, DIFF_STATUS.deleted);
         });
-      });
-      
-      console.log('\n=== JSON METADATA MATCHING ===');
-      console.log(`✓ Matched ${matchedCount}/${totalElements} elements to JSON metadata`);
-      console.log(`Match rate: ${((matchedCount / totalElements) * 100).toFixed(1)}%`);
-    } else {
-      console.log('\n⚠️ No JSON metadata loaded - using fallback naming');
-    }
+      } else {
+        entry.compareObjects.forEach(mesh => paint(mesh, entry.status));
+      }
+    });
+
+    compareStateRef.current = {
+      baseId,
+      compareId,
+      saved,
+      hidden,
+      materials,
+      rootVisibility: [baseModel, compareModel].map(model => [model.root, model.root.visible])
+    };
+    baseModel.root.visible = true;
+    compareModel.root.visible = true;
+
+    setCompareSelection({ baseId, compareId });
+    setExpandedDiffGroups({});
+    setComparison({
+      baseName: baseModel.name,
+      compareName: compareModel.name,
+      ...result
+    });
+  };
 
-    objectsMapRef.current = objectsMap;
-    setObjectVisibility(visibilityMap);
+  const exitComparison = () => {
+    const state = compareStateRef.current;
+    if (!state) return;
 
-    const initialExpanded = {};
-    tree.forEach(category => {
-      initialExpanded[category.id] = category.expanded;
+    state.saved.forEach((material, mesh) => {
+      mesh.material = material;
     });
-    setExpandedCategories(initialExpanded);
-    setModelTree(tree);
+    state.rootVisibility.forEach(([root, visible]) => {
+      root.visible = visible;
+    });
+    Object.values(state.materials).forEach(material => material.dispose());
+
+    compareStateRef.current = null;
+    setComparison(null);
+  };
+
+  const zoomToDiffEntry = (entry) => {
+    const box = new THREE.Box3();
+    [...entry.baseObjects, ...entry.compareObjects].forEach(object => box.expandByObject(object));
+    frameBox(box, false);
   };
 
   const findNodeByUuid = (root, uuid) => {
@@ -1273,35 +1806,6 @@ const BimViewer = () => {
     return found;
   };
 
-  const extractCategoryFromNode = (node) => {
-    // Check material name
-    if (node.material && node.material.name) {
-      const matName = node.material.name.toLowerCase();
-      
-      // Common Revit material patterns
-      if (matName.includes('column')) return 'Structural Columns';
-      if (matName.includes('beam')) return 'Structural Framing';
-      if (matName.includes('wall')) return 'Walls';
-      if (matName.includes('floor') || matName.includes('slab')) return 'Floors';
-      if (matName.includes('door')) return 'Doors';
-      if (matName.includes('window')) return 'Windows';
-      if (matName.includes('roof')) return 'Roofs';
-      if (matName.includes('foundation')) return 'Structural Foundations';
-      if (matName.includes('stair')) return 'Stairs';
-      if (matName.includes('railing')) return 'Railings';
-      if (matName.includes('antenna') || matName.includes('equipment')) return 'Specialty Equipment';
-    }
-
-    // Check geometry name
-    if (node.geometry && node.geometry.name) {
-      const geomName = node.geometry.name.toLowerCase();
-      if (geomName.includes('column')) return 'Structural Columns';
-      if (geomName.includes('beam')) return 'Structural Framing';
-    }
-
-    return null;
-  };
-
   // Helper: Get full path to node
   const getNodePath = (node) => {
     const path = [];
@@ -1313,83 +1817,18 @@ const BimViewer = () => {
     return path.join(' > ');
   };
 
-  // Helper: Extract category from node and its parents
-  const extractCategory = (node, displayName) => {
-    const metadata = getElementMetadata(node);
-    if (metadata && metadata.category) {
-      return getCategoryFromOST(metadata.category);
-    }
-
-    // Check if it's a text/annotation
-    if (node.userData.isText) {
-      return 'Text & Annotations';
-    }
-
-    // Use display name for better category detection
-    const searchStr = (displayName + ' ' + (node.name || '') + ' ' + 
-                      (node.geometry?.name || '') + ' ' +
-                      (node.material?.name || '')).toLowerCase();
-
-    // Revit/BIM categories (matching Autodesk Viewer)
-    const categoryPatterns = {
-      'Curtain Panels': ['curtain panel', 'pannello', 'panel'],
-      'Curtain Wall Mullions': ['mullion', 'montante', 'curtain wall mullion'],
-      'Structural Columns': ['column', 'pilastri', 'pillar', 'post', 'colum'],
-      'Structural Framing': ['beam', 'travi', 'frame', 'brace', 'joist', 'girder', 'purlin'],
-      'Structural Foundations': ['foundation', 'fondazioni', 'footing', 'pile', 'base', 'plinth'],
-      'Structural Connections': ['connection', 'connessioni', 'connector', 'plate', 'bolt', 'weld', 'gusset'],
-      'Walls': ['wall', 'muro', 'pareti', 'partition'],
-      'Floors': ['floor', 'pavimento', 'slab', 'deck', 'pianta'],
-      'Roofs': ['roof', 'tetto', 'copertura'],
-      'Ceilings': ['ceiling', 'soffitto', 'soffit'],
-      'Doors': ['door', 'porta'],
-      'Windows': ['window', 'finestra'],
-      'Stairs': ['stair', 'scala', 'ramp', 'rampa', 'step'],
-      'Railings': ['railing', 'ringhiera', 'handrail', 'guardrail', 'balustrade'],
-      'Specialty Equipment': ['equipment', 'antenna', 'device', 'rru', 'parabola', 'apparatus'],
-      'Generic Models': ['generic', 'model'],
-      'Structural Stiffeners': ['stiffener', 'stiffening', 'brace'],
-      'Pipes': ['pipe', 'tubo', 'conduit', 'piping'],
-      'Ducts': ['duct', 'condotto', 'ductwork'],
-      'Cable Trays': ['cable', 'tray', 'cavo', 'conduit'],
-      'Lighting Fixtures': ['light', 'lamp', 'fixture', 'luminaire'],
-      'Electrical Fixtures': ['electrical', 'elettrico', 'outlet', 'switch'],
-      'Electrical Equipment': ['transformer', 'panel', 'switchboard'],
-      'Plumbing Fixtures': ['plumbing', 'sink', 'toilet', 'faucet'],
-      'Mechanical Equipment': ['hvac', 'mechanical', 'fan', 'pump'],
-      'Site': ['site', 'planimetria', 'topography', 'terrain'],
-      'Data Devices': ['data', 'device', 'sensor'],
-      'Sections': ['sezione', 'section']
-    };
-
-    for (const [category, patterns] of Object.entries(categoryPatterns)) {
-      for (const pattern of patterns) {
-        if (searchStr.includes(pattern)) {
-          return category;
-        }
-      }
-    }
-
-    let current = node.parent;
-    let depth = 0;
-    while (current && current.type !== 'Scene' && depth < 3) {
-      if (current.name) {
-        const parentStr = current.name.toLowerCase();
-        for (const [category, patterns] of Object.entries(categoryPatterns)) {
-          for (const pattern of patterns) {
-            if (parentStr.includes(pattern)) {
-              return category;
-            }
-          }
-        }
-      }
-      current = current.parent;
-      depth++;
+  // Helper: Category of a mesh from the user-editable category rules
+  const getCompiledCategoryRules = () => {
+    if (!compiledCategoryRulesRef.current) {
+      compiledCategoryRulesRef.current = compileCategoryRules(categoryRules);
     }
-
-    return 'Generic Models';
+    return compiledCategoryRulesRef.current;
   };
 
+  const extractCategory = (node, displayName, compiledRules = getCompiledCategoryRules()) => (
+    resolveCategory({ node, displayName, metadata: getElementMetadata(node) }, compiledRules)
+  );
+
   const toggleCategoryExpanded = (categoryId) => {
     setExpandedCategories(prev => ({
       ...prev,
@@ -1397,121 +1836,1055 @@ const BimViewer = () => {
     }));
   };
 
+  // Browser checkboxes only change objectVisibility; the scene follows in the visibility
+  // effect, together with the view filters and the comparison
   const toggleObjectVisibility = (objectId) => {
-    const object = objectsMapRef.current[objectId];
-    if (object) {
-      const newVisibility = !object.visible;
-      object.visible = newVisibility;
-
-      setObjectVisibility(prev => ({
-        ...prev,
-        [objectId]: newVisibility
-      }));
-    }
+    if (!objectsMapRef.current[objectId]) return;
+    setObjectVisibility(prev => ({
+      ...prev,
+      [objectId]: prev[objectId] === false
+    }));
   };
 
-  const toggleCategoryVisibility = (categoryId) => {
-    const category = modelTree.find(cat => cat.id === categoryId);
-    if (!category) return;
+  // Checkbox state of an object (what the browser asks for, before view filters)
+  const isObjectVisible = useCallback((objectId) => objectVisibility[objectId] !== false, [objectVisibility]);
 
-    const allVisible = category.items.every(item => {
-      const obj = objectsMapRef.current[item.id];
-      return obj && obj.visible === true;
-    });
-    const newVisibility = !allVisible;
-
-    category.items.forEach(item => {
-      const obj = objectsMapRef.current[item.id];
-      if (obj) {
-        obj.visible = newVisibility;
-        setObjectVisibility(prev => ({
-          ...prev,
-          [item.id]: newVisibility
-        }));
-      }
+  // Checkbox of a group node: shows everything below it, or hides it if all of it is visible
+  const toggleNodeVisibility = (node) => {
+    const newVisibility = visibleCounts.get(node.id) !== node.count;
+    const changes = {};
+    node.objectIds.forEach(objectId => {
+      changes[objectId] = newVisibility;
     });
+    setObjectVisibility(prev => ({ ...prev, ...changes }));
   };
 
-  const getFilteredModelTree = () => {
-    if (!modelBrowserSearch.trim()) {
-      return modelTree;
-    }
+  const changeTreeGrouping = (grouping) => {
+    saveTreeGrouping(grouping);
+    setTreeGrouping(grouping);
+  };
 
-    const searchLower = modelBrowserSearch.toLowerCase();
-    return modelTree
-      .map(category => {
-        const filteredItems = category.items.filter(item =>
-          item.name.toLowerCase().includes(searchLower) ||
-          category.name.toLowerCase().includes(searchLower)
-        );
-        return {
-          ...category,
-          items: filteredItems,
-          count: filteredItems.length
-        };
-      })
-      .filter(category => category.items.length > 0);
+  // === VIEW FILTERS (isolate, hide, ghost) ===
+
+  const changeViewFilter = (nextFilter) => {
+    setViewFilterHistory(prev => [...prev, viewFilter]);
+    setViewFilter(nextFilter);
   };
 
-  const toggleDebugMaterial = () => {
-    if (sceneRef.current) {
-      const newDebugState = !debugMaterial;
+  const isolateSelection = () => {
+    if (selectedIds.length === 0) return;
+    changeViewFilter(isolateObjects(viewFilter, selectedIds));
+  };
 
-      sceneRef.current.traverse((child) => {
-        if (child.isMesh && child.material) {
-          if (newDebugState) {
-            if (Array.isArray(child.material)) {
-              if (child.userData.displayMaterials) {
-                child.userData.debugMaterials = child.material.map(() =>
-                  new THREE.MeshNormalMaterial({ side: THREE.DoubleSide })
-                );
-                child.material = child.userData.debugMaterials;
-              }
-            } else {
-              if (child.userData.displayMaterial) {
-                child.userData.debugMaterial = new THREE.MeshNormalMaterial({ side: THREE.DoubleSide });
-                child.material = child.userData.debugMaterial;
-              }
-            }
-          } else {
-            if (Array.isArray(child.material)) {
-              if (child.userData.displayMaterials) {
-                child.material = child.userData.displayMaterials.map(mat => mat.clone());
-                delete child.userData.debugMaterials;
-              }
-            } else {
-              if (child.userData.displayMaterial) {
-                child.material = child.userData.displayMaterial.clone();
-                delete child.userData.debugMaterial;
-              }
-            }
-          }
-        }
-      });
-      setDebugMaterial(newDebugState);
-    }
+  const hideSelection = () => {
+    if (selectedIds.length === 0) return;
+    changeViewFilter(hideObjects(viewFilter, selectedIds));
+    setSelectedIds([]);
   };
 
-  const filteredTree = getFilteredModelTree();
-  const containerClass = `bim-viewer-container ${showViewsPanel ? 'left-panel-open' : ''} ${showModelPanel ? 'right-panel-open' : ''}`;
+  // Clears isolate/hide; objects unchecked in the model browser stay hidden
+  const showAllObjects = () => {
+    if (!isViewFilterActive(viewFilter)) return;
+    changeViewFilter(EMPTY_VIEW_FILTER);
+  };
 
-  return (
-    <div className={containerClass}>
-      {/* Top toolbar */}
-      <div className="toolbar">
-        <h1>{modelInfo ? modelInfo.name : 'BIM 3D Viewer'}</h1>
+  const undoViewFilter = () => {
+    if (viewFilterHistory.length === 0) return;
+    setViewFilter(viewFilterHistory[viewFilterHistory.length - 1]);
+    setViewFilterHistory(prev => prev.slice(0, -1));
+  };
+
+  // === SECTIONS ===
+
+  // Bounding box of the models listed in the model tree
+  const modelsBounds = useMemo(() => {
+    const box = new THREE.Box3();
+    modelTree.forEach(entry => {
+      const model = modelsRef.current.get(entry.id);
+      if (model) box.expandByObject(model.root);
+    });
+    return box;
+  }, [modelTree]);
+
+  // Section state -> clipping, caps and handles; rebuilt when models come and go too
+  useEffect(() => {
+    if (!sectionControllerRef.current) return;
+    sectionControllerRef.current.update(sections, modelsBounds, Object.values(objectsMapRef.current));
+  }, [sections, modelsBounds]);
+
+  const nextSectionId = () => `section-${++sectionCounterRef.current}`;
+
+  // Helper: Frame of the project coordinates and units (those of the first model)
+  const getProjectFrame = useCallback(() => modelsRef.current.values().next().value?.frame || null, []);
+
+  const addAxisPlane = (axis) => {
+    if (sections.planes.length >= MAX_SECTION_PLANES || modelsBounds.isEmpty()) return;
+    const plane = createAxisPlane(nextSectionId(), axis, getProjectFrame()?.upAxis, modelsBounds);
+    setSections(prev => ({ ...prev, planes: [...prev.planes, plane] }));
+  };
+
+  const addFacePlane = (point, normal) => {
+    if (sections.planes.length >= MAX_SECTION_PLANES) return;
+    const plane = createFacePlane(nextSectionId(), point, normal);
+    setSections(prev => ({ ...prev, planes: [...prev.planes, plane] }));
+  };
+
+  const updateSectionPlane = (planeId, update) => {
+    setSections(prev => ({
+      ...prev,
+      planes: prev.planes.map(plane => (plane.id === planeId ? update(plane) : plane))
+    }));
+  };
+
+  const removeSectionPlane = (planeId) => {
+    setSections(prev => ({ ...prev, planes: prev.planes.filter(plane => plane.id !== planeId) }));
+  };
+
+  // Section box around the selection, or around all models when nothing is selected
+  const addSectionBox = () => {
+    const box = new THREE.Box3();
+    selectedIds.forEach(objectId => {
+      const object = objectsMapRef.current[objectId];
+      if (object) box.expandByObject(object);
+    });
+    if (box.isEmpty()) box.copy(modelsBounds);
+    if (box.isEmpty()) return;
+    setSections(prev => ({ ...prev, box: fitSectionBox(box) }));
+  };
+
+  const clearSections = () => {
+    setSections(prev => ({ ...EMPTY_SECTIONS, caps: prev.caps }));
+    setSectionPickMode(false);
+  };
+
+  const toggleSectionPickMode = () => {
+    setSelectionTool(SELECTION_TOOLS.pick);
+    setSectionPickMode(!sectionPickMode);
+  };
+
+  // Handles move along the plane normal (or the box axis), following the pointer ray
+  const startSectionDrag = (handle) => {
+    if (handle.kind === 'plane') {
+      const plane = sections.planes.find(candidate => candidate.id === handle.id);
+      sectionDragRef.current = { handle, direction: new THREE.Vector3(...plane.normal), start: plane.offset };
+    } else {
+      sectionDragRef.current = {
+        handle,
+        direction: new THREE.Vector3().setComponent(handle.axis, 1),
+        start: sections.box[handle.side][handle.axis]
+      };
+    }
+  };
+
+  const moveSectionDrag = (event) => {
+    const { handle, direction, start } = sectionDragRef.current;
+    const { ray } = createPointerRaycaster(event, rendererRef.current.domElement, cameraRef.current);
+    const distance = getDragDistance(ray, handle.position, direction);
+    if (distance === null) return;
+
+    if (handle.kind === 'plane') {
+      updateSectionPlane(handle.id, plane => ({ ...plane, offset: start + distance }));
+    } else {
+      setSections(prev => ({
+        ...prev,
+        box: moveSectionBoxFace(prev.box, handle.axis, handle.side, start + distance)
+      }));
+    }
+  };
+
+  // === MEASUREMENTS ===
+
+  useEffect(() => {
+    if (!measureOverlayRef.current) return;
+    measureOverlayRef.current.setMeasurements(measurements, getProjectFrame());
+    // The project frame only changes together with the model tree
+  }, [measurements, modelTree, getProjectFrame]);
+
+  useEffect(() => {
+    if (!measureOverlayRef.current) return;
+    measureOverlayRef.current.setDraft(measureTool, measureDraft, measureCursorRef.current, getProjectFrame());
+  }, [measureTool, measureDraft, getProjectFrame]);
+
+  const chooseMeasureTool = (toolId) => {
+    const nextTool = measureTool === toolId ? null : toolId;
+    setMeasureTool(nextTool);
+    setMeasureDraft(EMPTY_MEASURE_DRAFT);
+    measureCursorRef.current = null;
+    if (nextTool) {
+      // Clicks place measurement points instead of selecting
+      setSelectionTool(SELECTION_TOOLS.pick);
+      setSectionPickMode(false);
+      clearHover();
+    }
+  };
+
+  // Helper: Pointer position snapped to the model geometry, or null off the model
+  const snapAtPointer = (event) => {
+    const hit = pickAtPointer(event);
+    if (!hit) return null;
+    const canvas = rendererRef.current.domElement;
+    return snapToGeometry(hit, toCanvasPoint(event), cameraRef.current, canvas.clientWidth, canvas.clientHeight);
+  };
+
+  // Snaps once per frame while the pointer moves, however many events arrive
+  const scheduleMeasureSnap = (event) => {
+    const { clientX, clientY } = event;
+    cancelAnimationFrame(measureFrameRef.current);
+    measureFrameRef.current = requestAnimationFrame(() => {
+      measureCursorRef.current = snapAtPointer({ clientX, clientY });
+      measureOverlayRef.current.setDraft(measureTool, measureDraft, measureCursorRef.current, getProjectFrame());
+    });
+  };
+
+  const clearMeasureCursor = () => {
+    cancelAnimationFrame(measureFrameRef.current);
+    measureCursorRef.current = null;
+    measureOverlayRef.current?.setDraft(measureTool, measureDraft, null, getProjectFrame());
+  };
+
+  const commitMeasurement = (toolId, points, normal) => {
+    const number = ++measureCounterRef.current;
+    setMeasurements(prev => [...prev, {
+      id: `measure-${number}`,
+      name: `${MEASURE_TOOLS[toolId].label} ${number}`,
+      tool: toolId,
+      points,
+      normal
+    }]);
+    setMeasureDraft(EMPTY_MEASURE_DRAFT);
+  };
+
+  const addMeasurePoint = (event) => {
+    const snap = snapAtPointer(event);
+    if (!snap) return;
+
+    const tool = MEASURE_TOOLS[measureTool];
+    const points = [...measureDraft.points, snap.point.toArray()];
+    // The distance tool measures to the plane of the first face clicked
+    const normal = measureDraft.normal || (snap.normal ? snap.normal.toArray() : null);
+    if (tool.id === MEASURE_TOOLS.distance.id && !normal) return;
+
+    if (tool.points && points.length >= tool.points) {
+      commitMeasurement(tool.id, points, normal);
+    } else {
+      setMeasureDraft({ points, normal });
+    }
+  };
+
+  // Ends a polyline or area; the clicks of a double-click repeat its last point
+  const finishMeasurement = () => {
+    const tool = MEASURE_TOOLS[measureTool];
+    if (!tool || tool.points) return;
+
+    const points = measureDraft.points.filter((point, index) =>
+      index === 0 || point.some((value, axis) => value !== measureDraft.points[index - 1][axis]));
+    if (points.length >= tool.minPoints) {
+      commitMeasurement(tool.id, points, measureDraft.normal);
+    } else {
+      setMeasureDraft(EMPTY_MEASURE_DRAFT);
+    }
+  };
+
+  // Enter finishes a polyline/area, Escape drops the points clicked so far (then the tool)
+  measureKeyDownRef.current = (event) => {
+    if (event.target.tagName === 'INPUT') return;
+    if (event.key === 'Enter') {
+      finishMeasurement();
+    } else if (event.key === 'Escape') {
+      if (measureDraft.points.length > 0) {
+        setMeasureDraft(EMPTY_MEASURE_DRAFT);
+      } else {
+        chooseMeasureTool(null);
+      }
+    }
+  };
+
+  // Listens while a tool is active; the handler above sees the current draft
+  useEffect(() => {
+    if (!measureTool) return undefined;
+    const handleKeyDown = (event) => measureKeyDownRef.current(event);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [measureTool]);
+
+  // Closing the panel also ends measuring
+  const toggleMeasurePanel = () => {
+    if (showMeasurePanel && measureTool) chooseMeasureTool(null);
+    setShowMeasurePanel(!showMeasurePanel);
+    setShowSectionPanel(false);
+  };
+
+  const renameMeasurement = (measurementId, name) => {
+    setMeasurements(prev => prev.map(measurement => (
+      measurement.id === measurementId ? { ...measurement, name } : measurement
+    )));
+  };
+
+  const deleteMeasurement = (measurementId) => {
+    setMeasurements(prev => prev.filter(measurement => measurement.id !== measurementId));
+  };
+
+  const exportMeasurementsCsv = () => {
+    const blob = new Blob([measurementsToCsv(measurements, getProjectFrame())], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'measurements.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // === VIEWPOINTS ===
+
+  // Viewpoints are stored per model: the first loaded one, which also sets the coordinates
+  const viewpointModelKey = modelTree.length > 0 ? modelTree[0].name : null;
+
+  const objectKeys = useMemo(
+    () => buildObjectKeys(modelTree, (object) => getElementMetadata(object)?.externalId),
+    // The metadata only changes together with the model tree
+    [modelTree, getElementMetadata]
+  );
+
+  useEffect(() => {
+    setActiveViewpointId(null);
+    if (!viewpointModelKey) {
+      setViewpoints([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    loadViewpointsFromIndexedDB(viewpointModelKey)
+      .then(stored => {
+        if (!cancelled) {
+          setViewpoints(stored.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+        }
+      })
+      .catch(e => console.error('Failed to load viewpoints:', e));
+    return () => {
+      cancelled = true;
+    };
+  }, [viewpointModelKey]);
+
+  const nextViewpointId = () => `viewpoint-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  const saveViewpoint = async () => {
+    if (!viewpointModelKey || !rendererRef.current) return;
+
+    // Render now: the drawing buffer only holds a frame until the browser presents it
+    sectionControllerRef.current.render(rendererRef.current, sceneRef.current, cameraRef.current);
+    const viewpoint = createViewpoint({
+      id: nextViewpointId(),
+      name: `View ${viewpoints.length + 1}`,
+      modelKey: viewpointModelKey,
+      camera: cameraRef.current,
+      target: controlsRef.current.target,
+      objectVisibility,
+      selectedIds,
+      viewFilter,
+      sections,
+      renderMode: ghostMode ? RENDER_MODES.xray : RENDER_MODES.shaded,
+      thumbnail: captureThumbnail(rendererRef.current.domElement)
+    }, objectKeys.idToKey);
+
+    try {
+      await saveViewpointToIndexedDB(viewpoint);
+      setViewpoints(prev => [...prev, viewpoint]);
+      setActiveViewpointId(viewpoint.id);
+    } catch (e) {
+      console.error('Failed to save viewpoint:', e);
+      setError('Failed to save the view: ' + e.message);
+    }
+  };
+
+  const restoreViewpoint = (viewpoint) => {
+    const state = resolveViewpoint(viewpoint, objectKeys.keyToId);
+    setObjectVisibility(state.objectVisibility);
+    setSelectedIds(state.selectedIds);
+    // Through the view filter history, so "Back" returns to the filter before the view
+    changeViewFilter(state.viewFilter);
+    setGhostMode(state.renderMode === RENDER_MODES.xray);
+    setSections(state.sections);
+    setActiveViewpointId(viewpoint.id);
+
+    changeProjection(state.camera.projection);
+    moveCamera(state.camera, true);
+  };
+
+  // Renaming edits the list; the new name is stored when the field loses focus
+  const renameViewpoint = (viewpointId, name) => {
+    setViewpoints(prev => prev.map(viewpoint => (viewpoint.id === viewpointId ? { ...viewpoint, name } : viewpoint)));
+  };
+
+  const storeViewpoint = async (viewpoint) => {
+    try {
+      await saveViewpointToIndexedDB(viewpoint);
+    } catch (e) {
+      console.error('Failed to save viewpoint:', e);
+    }
+  };
+
+  const deleteViewpoint = async (viewpointId) => {
+    try {
+      await deleteViewpointFromIndexedDB(viewpointId);
+      setViewpoints(prev => prev.filter(viewpoint => viewpoint.id !== viewpointId));
+    } catch (e) {
+      console.error('Failed to delete viewpoint:', e);
+    }
+  };
+
+  const exportViewpointsJson = () => {
+    const blob = new Blob([exportViewpoints(viewpoints, viewpointModelKey)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${viewpointModelKey.replace(/\.[^.]+$/, '')}-views.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Imported views are added to the current model, whatever model they were exported from
+  const importViewpointsJson = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !viewpointModelKey) return;
+
+    try {
+      const imported = importViewpoints(await file.text()).map(viewpoint => ({
+        ...viewpoint,
+        id: nextViewpointId(),
+        modelKey: viewpointModelKey
+      }));
+      await Promise.all(imported.map(saveViewpointToIndexedDB));
+      setViewpoints(prev => [...prev, ...imported]);
+      console.log(`Imported ${imported.length} views from ${file.name}`);
+    } catch (e) {
+      console.error('Failed to import viewpoints:', e);
+      setError(`Could not import ${file.name}: ${e.message}`);
+    }
+  };
+
+  // === SELECTION ===
+
+  // Selects one element. `additive` (Ctrl/Shift) adds it to the selection or removes it
+  // again; `frame` zooms to it; `reveal` expands and scrolls the model browser to it.
+  const selectObject = (objectId, { additive = false, frame = false, reveal = false } = {}) => {
+    if (!objectId) {
+      if (!additive) setSelectedIds([]);
+      return;
+    }
+
+    const removing = additive && selectedIds.includes(objectId);
+    if (additive) {
+      setSelectedIds(prev => (removing ? prev.filter(id => id !== objectId) : [...prev, objectId]));
+    } else {
+      setSelectedIds([objectId]);
+    }
+    if (removing) return;
+
+    if (frame) {
+      frameObjects([objectId]);
+    }
+    if (reveal) {
+      revealInBrowser(objectId);
+    }
+  };
+
+  const frameObjects = (objectIds) => {
+    const box = new THREE.Box3();
+    objectIds.forEach(objectId => {
+      const object = objectsMapRef.current[objectId];
+      if (object) box.expandByObject(object);
+    });
+    // Keep the current viewing direction
+    const direction = cameraRef.current.position.clone().sub(controlsRef.current.target);
+    frameBox(box, false, direction, true);
+  };
+
+  // Expands the browser down to an element; the windowed list then scrolls to its row
+  const revealInBrowser = (objectId) => {
+    const path = findItemPath(browserTree, objectId);
+    if (!path) return;
+    setExpandedCategories(prev => {
+      const next = { ...prev };
+      path.forEach(nodeId => {
+        next[nodeId] = true;
+      });
+      return next;
+    });
+    setRevealObjectId(objectId);
+  };
+
+  // Helper: Pointer position in canvas pixels
+  const toCanvasPoint = (event) => {
+    const rect = rendererRef.current.domElement.getBoundingClientRect();
+    return [event.clientX - rect.left, event.clientY - rect.top];
+  };
+
+  // Region mode of a drag: left-to-right boxes and clockwise lassos take objects fully
+  // inside (window), the opposite direction anything they touch (crossing)
+  const getRegion = (drag) => {
+    if (drag.tool === SELECTION_TOOLS.box) {
+      const [[x1, y1], [x2, y2]] = [drag.start, drag.points[drag.points.length - 1]];
+      return {
+        polygon: [[x1, y1], [x2, y1], [x2, y2], [x1, y2]],
+        mode: x2 >= x1 ? REGION_MODE.window : REGION_MODE.crossing
+      };
+    }
+    return {
+      polygon: drag.points,
+      mode: getPolygonWinding(drag.points) >= 0 ? REGION_MODE.window : REGION_MODE.crossing
+    };
+  };
+
+  // Box/lasso selection; Ctrl adds to the selection, Alt removes from it. Hidden objects
+  // (browser checkboxes, hidden models, comparison) are never selected.
+  const selectRegion = (drag, event) => {
+    const { polygon, mode } = getRegion(drag);
+    const canvas = rendererRef.current.domElement;
+    const candidates = Object.values(objectsMapRef.current).filter(isObjectShown);
+    const ids = selectInRegion(candidates, polygon, mode, cameraRef.current, canvas.clientWidth, canvas.clientHeight)
+      .map(object => object.uuid);
+    console.log(`${drag.tool} selection (${mode}): ${ids.length} objects`);
+
+    if (event.altKey) {
+      const removed = new Set(ids);
+      setSelectedIds(prev => prev.filter(id => !removed.has(id)));
+    } else if (event.ctrlKey || event.metaKey) {
+      setSelectedIds(prev => [...new Set([...prev, ...ids])]);
+    } else {
+      setSelectedIds(ids);
+    }
+  };
+
+  // Viewport picking: a click selects, a double-click also frames. A pointer that moved
+  // between down and up was orbiting the camera (or drawing a box/lasso), not clicking.
+  // Runs before the orbit controls see the event, so grabbing a section handle doesn't orbit
+  const handleViewportPointerDownCapture = (event) => {
+    if (event.button !== 0 || sectionPickMode || !sectionControllerRef.current || !rendererRef.current) return;
+    const handle = sectionControllerRef.current.pickHandle(event, rendererRef.current.domElement, cameraRef.current);
+    if (!handle) return;
+
+    startSectionDrag(handle);
+    controlsRef.current.enabled = false;
+    event.target.setPointerCapture(event.pointerId);
+  };
+
+  const handleViewportPointerDown = (event) => {
+    clearHover();
+    if (sectionDragRef.current) return;
+    // A left drag orbits around the surface point under the pointer (else around the target),
+    // picked once the pointer moves
+    const orbits = event.button === 0 && selectionTool === SELECTION_TOOLS.pick && !walkRef.current;
+    pointerDownRef.current = { x: event.clientX, y: event.clientY, button: event.button, pickPivot: orbits };
+    if (orbits) orbitPivotRef.current = null;
+    // A click may move the camera (double-click frames), so the zoom surface is picked again
+    wheelPickRef.current = null;
+
+    if (selectionTool !== SELECTION_TOOLS.pick && event.button === 0 && rendererRef.current) {
+      const point = toCanvasPoint(event);
+      regionDragRef.current = { tool: selectionTool, start: point, points: [point] };
+      // The orbit controls capture the pointer on the canvas, so moves outside it still arrive here
+      setRegionDrag(regionDragRef.current);
+      // Alt+click would otherwise focus the browser menu on some systems
+      event.preventDefault();
+    }
+  };
+
+  // Runs before the orbit controls turn the camera, so the pivot is picked in the view the drag started from
+  const handleViewportPointerMoveCapture = (event) => {
+    const down = pointerDownRef.current;
+    if (!down?.pickPivot || (event.clientX === down.x && event.clientY === down.y)) return;
+    down.pickPivot = false;
+    const hit = pickAtPointer({ clientX: down.x, clientY: down.y });
+    orbitPivotRef.current = hit ? { point: hit.point, quaternion: cameraRef.current.quaternion.clone() } : null;
+  };
+
+  const handleViewportPointerMove = (event) => {
+    if (sectionDragRef.current) {
+      moveSectionDrag(event);
+      return;
+    }
+
+    const drag = regionDragRef.current;
+    if (!drag) {
+      if (event.buttons !== 0) return;
+      if (measureTool) {
+        scheduleMeasureSnap(event);
+      } else {
+        scheduleHover(event);
+      }
+      return;
+    }
+
+    const point = toCanvasPoint(event);
+    const last = drag.points[drag.points.length - 1];
+    if (drag.tool === SELECTION_TOOLS.box) {
+      regionDragRef.current = { ...drag, points: [drag.start, point] };
+    } else if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= LASSO_POINT_SPACING) {
+      regionDragRef.current = { ...drag, points: [...drag.points, point] };
+    } else {
+      return;
+    }
+    setRegionDrag(regionDragRef.current);
+  };
+
+  // Zooming toward the cursor scales the distance to the orbit target, so it crawls when the
+  // target is far behind what's under the cursor. The target moves to the depth of that
+  // surface first, along the view axis so the view doesn't turn.
+  const handleViewportWheelCapture = (event) => {
+    const camera = cameraRef.current;
+    if (!camera?.isPerspectiveCamera || walkRef.current || !controlsRef.current) return;
+    const hit = getWheelHit(event);
+    if (!hit) return;
+
+    const viewDirection = camera.getWorldDirection(new THREE.Vector3());
+    const depth = hit.point.clone().sub(camera.position).dot(viewDirection);
+    if (depth > 0) {
+      controlsRef.current.target.copy(camera.position).addScaledVector(viewDirection, depth);
+    }
+  };
+
+  // Helper: Surface under the pointer for zooming. Zooming to the cursor keeps that point under
+  // it, so the hit holds while the pointer stays put; otherwise it's picked at most once per frame.
+  const getWheelHit = ({ clientX, clientY }) => {
+    const last = wheelPickRef.current;
+    if (last && (last.frame !== null || (last.x === clientX && last.y === clientY))) return last.hit;
+
+    const pick = { x: clientX, y: clientY, hit: pickAtPointer({ clientX, clientY }), frame: null };
+    pick.frame = requestAnimationFrame(() => {
+      pick.frame = null;
+    });
+    wheelPickRef.current = pick;
+    return pick.hit;
+  };
+
+  // Parts removed by section planes can't be picked
+  const pickAtPointer = (event) => {
+    const roots = [...modelsRef.current.values()].map(model => model.root);
+    if (!rendererRef.current || !cameraRef.current || roots.length === 0) return null;
+    return pickObject(event, rendererRef.current.domElement, cameraRef.current, roots,
+      (mesh, point) => !!objectsMapRef.current[mesh.uuid] && sectionControllerRef.current.isPointKept(point));
+  };
+
+  const handleViewportPointerUp = (event) => {
+    if (sectionDragRef.current) {
+      sectionDragRef.current = null;
+      controlsRef.current.enabled = !walkRef.current;
+      return;
+    }
+
+    const down = pointerDownRef.current;
+    const drag = regionDragRef.current;
+    pointerDownRef.current = null;
+    regionDragRef.current = null;
+    setRegionDrag(null);
+    if (!down || down.button !== event.button) return;
+    const moved = Math.hypot(event.clientX - down.x, event.clientY - down.y) > CLICK_TOLERANCE;
+
+    // Right click: element menu. Opened on pointerup rather than on `contextmenu`, which
+    // some systems fire on pointerdown, before we know whether the right drag pans.
+    if (event.button === 2) {
+      if (moved) return;
+      const hit = pickAtPointer(event);
+      if (hit) openElementMenu(hit.object.uuid, event.clientX, event.clientY);
+      return;
+    }
+
+    if (event.button !== 0) return;
+    if (moved) {
+      if (drag) selectRegion(drag, event);
+      return;
+    }
+
+    if (measureTool) {
+      addMeasurePoint(event);
+      return;
+    }
+
+    if (sectionPickMode) {
+      const hit = pickAtPointer(event);
+      if (hit?.normal) {
+        addFacePlane(hit.point, hit.normal);
+        setSectionPickMode(false);
+      }
+      return;
+    }
+
+    const hit = pickAtPointer(event);
+    selectObject(hit ? hit.object.uuid : null, {
+      additive: event.ctrlKey || event.metaKey || event.shiftKey,
+      reveal: true
+    });
+  };
+
+  const handleViewportDoubleClick = (event) => {
+    if (measureTool) {
+      finishMeasurement();
+      return;
+    }
+
+    const hit = pickAtPointer(event);
+    if (hit) {
+      frameObjects([hit.object.uuid]);
+    }
+  };
+
+  // === HOVER TOOLTIP AND ELEMENT MENU ===
+
+  const clearHover = () => {
+    clearTimeout(hoverTimerRef.current);
+    setHoverInfo(null);
+  };
+
+  // Picks once the pointer rests instead of raycasting on every move
+  const scheduleHover = (event) => {
+    const { clientX, clientY } = event;
+    clearTimeout(hoverTimerRef.current);
+    if (hoverInfo) setHoverInfo(null);
+    if (elementMenu) return;
+    hoverTimerRef.current = setTimeout(() => {
+      const hit = pickAtPointer({ clientX, clientY });
+      setHoverInfo(hit ? { objectId: hit.object.uuid, x: clientX, y: clientY } : null);
+    }, HOVER_DELAY);
+  };
+
+  // Right-clicking outside the selection selects the element first, like a click would
+  const openElementMenu = (objectId, x, y) => {
+    if (!selectedIds.includes(objectId)) {
+      setSelectedIds([objectId]);
+    }
+    clearHover();
+    setElementMenu({ objectId, x, y });
+  };
+
+  // Stable, so the open menu doesn't re-register its listeners on every render
+  const closeElementMenu = useCallback(() => setElementMenu(null), []);
+
+  const handleTreeItemContextMenu = (objectId, event) => {
+    event.preventDefault();
+    openElementMenu(objectId, event.clientX, event.clientY);
+  };
+
+  // Selects every shown element having the same values as the given one for all `keys`
+  // (browser item fields: category, family, typeName...)
+  const selectSameAs = (objectId, keys) => {
+    const source = itemsById.get(objectId);
+    if (!source) return;
+    const matches = modelTree
+      .flatMap(model => model.items)
+      .filter(item => keys.every(key => item[key] === source[key]) && isObjectShown(item.object))
+      .map(item => item.id);
+
+    console.log(`Selected ${matches.length} elements with the same ${keys.join(' / ')}`);
+    setSelectedIds(matches);
+  };
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (e) {
+      console.error('Failed to copy to clipboard:', e);
+    }
+  };
+
+  // Menu entries run the same commands as the toolbar and the model browser. The menu opens
+  // after the element got selected, so they act on the current selection.
+  const getElementMenuActions = (objectId) => {
+    const item = itemsById.get(objectId);
+    const metadata = getElementMetadata(objectsMapRef.current[objectId]);
+    return [
+      { id: 'isolate', label: 'Isolate', onSelect: isolateSelection },
+      { id: 'hide', label: 'Hide', onSelect: hideSelection },
+      'separator',
+      {
+        id: 'same-type',
+        label: 'Select same type',
+        disabled: !item?.typeName,
+        onSelect: () => selectSameAs(objectId, ['family', 'typeName'])
+      },
+      {
+        id: 'same-category',
+        label: 'Select same category',
+        disabled: !item,
+        onSelect: () => selectSameAs(objectId, ['category'])
+      },
+      { id: 'zoom', label: 'Zoom to', onSelect: () => frameObjects(selectedIds) },
+      'separator',
+      {
+        id: 'copy-external-id',
+        label: 'Copy externalId',
+        disabled: !metadata?.externalId,
+        onSelect: () => copyToClipboard(metadata.externalId)
+      },
+      {
+        id: 'properties',
+        label: 'Show properties',
+        onSelect: () => {
+          // The properties panel shows the first selected element
+          if (selectedIds[0] !== objectId) setSelectedIds([objectId]);
+          setShowPropertiesPanel(true);
+        }
+      }
+    ];
+  };
+
+  // Tooltip lines of an element: name, category and family/type
+  const getHoverDetails = (objectId) => {
+    const item = itemsById.get(objectId);
+    const metadata = getElementMetadata(objectsMapRef.current[objectId]);
+    const family = metadata?.familyName || item?.family;
+    const type = metadata?.typeName || item?.typeName;
+    return {
+      name: metadata?.displayName || item?.name || 'Element',
+      category: metadata?.category || item?.category,
+      familyType: [family, type].filter(Boolean).join(' : ')
+    };
+  };
+
+  // Selects every element (of all loaded models) whose property has the given value
+  const selectSameValue = (groupName, propertyName, value) => {
+    const target = JSON.stringify(value);
+    const matches = Object.entries(objectsMapRef.current)
+      .filter(([, object]) => {
+        const metadata = getElementMetadata(object);
+        const groupValues = metadata?.propertyGroups?.[groupName];
+        return groupValues && JSON.stringify(groupValues[propertyName]) === target;
+      })
+      .map(([id]) => id);
+
+    console.log(`Selected ${matches.length} elements with ${groupName} / ${propertyName} = ${target}`);
+    setSelectedIds(matches);
+  };
+
+  // Browser hierarchy of every model, regrouped only when the elements or the grouping change
+  const groupedModels = useMemo(() => modelTree.map(model => ({
+    ...model,
+    count: model.items.length,
+    nodes: buildHierarchy(model.items, treeGrouping, model.id)
+  })), [modelTree, treeGrouping]);
+
+  // Search results. Typing more characters narrows the previous matches instead of
+  // scanning every element again; the deferred value keeps the input responsive.
+  const deferredSearch = useDeferredValue(modelBrowserSearch.trim());
+  const browserTree = useMemo(() => {
+    if (!deferredSearch) {
+      searchCacheRef.current = null;
+      return groupedModels;
+    }
+
+    const previous = searchCacheRef.current;
+    const narrowing = previous && previous.modelTree === modelTree &&
+      deferredSearch.toLowerCase().startsWith(previous.query.toLowerCase());
+    const matchesByModel = new Map();
+    const models = modelTree
+      .map(model => {
+        const source = narrowing ? previous.matchesByModel.get(model.id) || [] : model.items;
+        const items = filterItems(source, deferredSearch);
+        matchesByModel.set(model.id, items);
+        return {
+          ...model,
+          count: items.length,
+          nodes: items.length > 0 ? buildHierarchy(items, treeGrouping, model.id) : []
+        };
+      })
+      .filter(model => model.count > 0);
+
+    searchCacheRef.current = { modelTree, query: deferredSearch, matchesByModel };
+    return models;
+  }, [groupedModels, modelTree, treeGrouping, deferredSearch]);
+
+  // Visible object count of every group node, for the tri-state checkboxes. Cached until
+  // the tree or the visibility changes instead of being recounted on every render.
+  const visibleCounts = useMemo(() => {
+    const counts = new Map();
+    browserTree.forEach(model => countVisibleObjects(model.nodes, isObjectVisible, counts));
+    return counts;
+  }, [browserTree, isObjectVisible]);
+
+  const isHiddenByView = useMemo(() => createViewFilterTest(viewFilter), [viewFilter]);
+
+  // Browser item of every element, for the tooltip and the element menu
+  const itemsById = useMemo(() => {
+    const map = new Map();
+    modelTree.forEach(model => model.items.forEach(item => map.set(item.id, item)));
+    return map;
+  }, [modelTree]);
+
+  // Rows of the expanded part of the tree, rendered through the windowed list
+  const browserRows = useMemo(
+    () => flattenHierarchy(browserTree, expandedCategories),
+    [browserTree, expandedCategories]
+  );
+
+  const renderBrowserRow = (row) => {
+    if (row.kind === 'node') {
+      return (
+        <ModelTreeNodeRow
+          node={row.node}
+          depth={row.depth}
+          expanded={!!expandedCategories[row.id]}
+          visibilityState={getVisibilityState(visibleCounts.get(row.id), row.node.count)}
+          onToggleExpanded={toggleCategoryExpanded}
+          onToggleVisibility={toggleNodeVisibility}
+        />
+      );
+    }
+
+    if (row.kind === 'item') {
+      return (
+        <ModelTreeItemRow
+          item={row.item}
+          depth={row.depth}
+          selected={selectedIds.includes(row.id)}
+          visible={isObjectVisible(row.id)}
+          hiddenByView={isHiddenByView(row.id)}
+          onSelect={(objectId, event) => selectObject(objectId, {
+            additive: event.ctrlKey || event.metaKey || event.shiftKey,
+            frame: true
+          })}
+          onToggleVisibility={toggleObjectVisibility}
+          onContextMenu={handleTreeItemContextMenu}
+        />
+      );
+    }
+
+    const model = row.model;
+    return (
+      <div className="tree-model">
+        <div
+          className="model-header"
+          onClick={() => toggleCategoryExpanded(model.id)}
+        >
+          <span className="expand-icon">
+            {expandedCategories[model.id] ? '▼' : '▶'}
+          </span>
+          <span className="category-name" title={model.name}>{model.name}</span>
+          <span className="category-count">({model.count})</span>
+          {model.matchSummary.metadataCount > 0 && (
+            <span
+              className="model-match"
+              onClick={(e) => {
+                e.stopPropagation();
+                setMatchReportModelId(model.id);
+              }}
+              title="Metadata match report"
+            >
+              {model.matchSummary.total > 0
+                ? Math.round((model.matchSummary.matched / model.matchSummary.total) * 100)
+                : 0}%
+            </span>
+          )}
+          <span
+            className="visibility-toggle"
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleModelVisibility(model.id);
+            }}
+            title="Toggle model visibility"
+          >
+            {model.visible ? '👁️' : '🚫'}
+          </span>
+          <span
+            className="model-unload"
+            onClick={(e) => {
+              e.stopPropagation();
+              unloadModel(model.id);
+            }}
+            title="Unload model"
+          >
+            ×
+          </span>
+        </div>
+        <div className="model-opacity">
+          <label htmlFor={`opacity-${model.id}`}>Opacity</label>
+          <input
+            id={`opacity-${model.id}`}
+            type="range"
+            min="0.1"
+            max="1"
+            step="0.05"
+            value={model.opacity}
+            onChange={(e) => setModelOpacity(model.id, parseFloat(e.target.value))}
+          />
+          <span>{Math.round(model.opacity * 100)}%</span>
+        </div>
+      </div>
+    );
+  };
+
+  const toggleDebugMaterial = () => {
+    if (sceneRef.current) {
+      const newDebugState = !debugMaterial;
+
+      sceneRef.current.traverse((child) => {
+        if (child.isMesh && child.material) {
+          if (newDebugState) {
+            if (Array.isArray(child.material)) {
+              if (child.userData.displayMaterials) {
+                child.userData.debugMaterials = child.material.map(() =>
+                  new THREE.MeshNormalMaterial({ side: THREE.DoubleSide })
+                );
+                child.material = child.userData.debugMaterials;
+              }
+            } else {
+              if (child.userData.displayMaterial) {
+                child.userData.debugMaterial = new THREE.MeshNormalMaterial({ side: THREE.DoubleSide });
+                child.material = child.userData.debugMaterial;
+              }
+            }
+          } else {
+            // Back to the display materials themselves; the debug copies are freed
+            if (Array.isArray(child.material)) {
+              if (child.userData.displayMaterials) {
+                child.material = child.userData.displayMaterials;
+                (child.userData.debugMaterials || []).forEach(mat => mat.dispose());
+                delete child.userData.debugMaterials;
+              }
+            } else {
+              if (child.userData.displayMaterial) {
+                child.material = child.userData.displayMaterial;
+                if (child.userData.debugMaterial) child.userData.debugMaterial.dispose();
+                delete child.userData.debugMaterial;
+              }
+            }
+          }
+        }
+      });
+      setDebugMaterial(newDebugState);
+    }
+  };
+
+  const hoverDetails = hoverInfo && objectsMapRef.current[hoverInfo.objectId]
+    ? getHoverDetails(hoverInfo.objectId)
+    : null;
+
+  const containerClass = `bim-viewer-container ${showViewsPanel ? 'left-panel-open' : ''} ${showModelPanel ? 'right-panel-open' : ''}`;
+
+  return (
+    <div
+      className={containerClass}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {/* Top toolbar */}
+      <div className="toolbar">
+        <h1>{modelInfo ? modelInfo.name : 'BIM 3D Viewer'}</h1>
         <div className="toolbar-actions">
           <input
             type="file"
-            accept=".dae,.json"
+            accept=".dae,.gltf,.glb,.ifc,.json,.zip,.bin,.png,.jpg,.jpeg,.tga,.bmp"
             multiple
             onChange={handleFileUpload}
             id="file-input"
             style={{ display: 'none' }}
           />
           <label htmlFor="file-input" className="btn">
-            Load DAE + JSON
+            Load Model + JSON
           </label>
+          <button onClick={() => setShowServerDialog(true)} className="btn">
+            Open from server
+          </button>
           <button onClick={resetCamera} className="btn">
             Reset Camera
           </button>
@@ -1543,6 +2916,15 @@ const BimViewer = () => {
           >
             Model browser
           </button>
+          <button
+            onClick={() => setShowPropertiesPanel(!showPropertiesPanel)}
+            className={`btn ${showPropertiesPanel ? 'btn-active' : ''}`}
+          >
+            Properties
+          </button>
+          <button onClick={() => setShowRulesEditor(true)} className="btn">
+            Category rules
+          </button>
         </div>
       </div>
 
@@ -1602,32 +2984,83 @@ const BimViewer = () => {
         <div className="left-panel">
           <div className="panel-header">
             <h3>Views</h3>
+            {viewpointModelKey && (
+              <button
+                onClick={saveViewpoint}
+                className="btn"
+                style={{ fontSize: '12px', padding: '4px 8px' }}
+              >
+                Save view
+              </button>
+            )}
           </div>
           <div className="panel-content">
-            <div className="views-section">
-              <div className="view-item active">
-                <span className="view-icon">📐</span>
-                <span>3D View</span>
-              </div>
-            </div>
-            <div className="views-section">
-              <h4>Sheets</h4>
-              <div className="view-item">
-                <span>000 - PROJECT PARAMETERS</span>
-              </div>
-              <div className="view-item">
-                <span>ARC - P 01 - Site Plan</span>
-              </div>
-              <div className="view-item">
-                <span>ARC - PP 02 - Prospect</span>
-              </div>
-              <div className="view-item">
-                <span>ARC - PP 03 - 3D View</span>
-              </div>
-              <div className="view-item">
-                <span>ARC - PS 01 - Elevation X</span>
-              </div>
-            </div>
+            {!viewpointModelKey ? (
+              <div className="empty-state">Load a model to save views.</div>
+            ) : (
+              <>
+                {viewpoints.length === 0 ? (
+                  <div className="empty-state">
+                    No saved views. Set up the camera, visibility and sections, then click "Save view".
+                  </div>
+                ) : (
+                  <div className="viewpoint-list">
+                    {viewpoints.map(viewpoint => (
+                      <div
+                        key={viewpoint.id}
+                        className={`viewpoint-item ${activeViewpointId === viewpoint.id ? 'active' : ''}`}
+                        onClick={() => restoreViewpoint(viewpoint)}
+                        title="Restore this view"
+                      >
+                        {viewpoint.thumbnail ? (
+                          <img className="viewpoint-thumbnail" src={viewpoint.thumbnail} alt="" />
+                        ) : (
+                          <div className="viewpoint-thumbnail" />
+                        )}
+                        <div className="viewpoint-details">
+                          <input
+                            className="viewpoint-name"
+                            value={viewpoint.name}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={(e) => renameViewpoint(viewpoint.id, e.target.value)}
+                            onBlur={() => storeViewpoint(viewpoint)}
+                            title="Rename"
+                          />
+                          <span className="viewpoint-date">
+                            {new Date(viewpoint.timestamp).toLocaleDateString()} {new Date(viewpoint.timestamp).toLocaleTimeString()}
+                          </span>
+                        </div>
+                        <button
+                          className="viewport-panel-icon"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            deleteViewpoint(viewpoint.id);
+                          }}
+                          title="Delete the view"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="viewpoint-actions">
+                  <button className="btn" onClick={exportViewpointsJson} disabled={viewpoints.length === 0}>
+                    Export JSON
+                  </button>
+                  <button className="btn" onClick={() => viewpointImportRef.current.click()}>
+                    Import JSON
+                  </button>
+                  <input
+                    ref={viewpointImportRef}
+                    type="file"
+                    accept=".json,application/json"
+                    style={{ display: 'none' }}
+                    onChange={importViewpointsJson}
+                  />
+                </div>
+              </>
+            )}
           </div>
         </div>
       )}
@@ -1638,71 +3071,159 @@ const BimViewer = () => {
           <div className="panel-header">
             <h3>Model</h3>
           </div>
-          <div className="panel-content">
-            <div className="search-box">
-              <input
-                type="text"
-                placeholder="Search..."
-                value={modelBrowserSearch}
-                onChange={(e) => setModelBrowserSearch(e.target.value)}
-                className="search-input"
-              />
-            </div>
-            <div className="model-tree">
-              {filteredTree.length === 0 ? (
-                <div className="empty-state">
-                  {modelTree.length === 0 ? 'No model loaded' : 'No results found'}
+          <div className="panel-content model-panel-content">
+            {(modelTree.length >= 2 || comparison) && (
+              <div className="compare-box">
+                <div className="compare-selects">
+                  <label>
+                    Base
+                    <select
+                      value={compareSelection.baseId}
+                      onChange={(e) => setCompareSelection({ ...compareSelection, baseId: e.target.value })}
+                    >
+                      <option value="">Select model...</option>
+                      {modelTree.map(model => (
+                        <option key={model.id} value={model.id}>{model.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Compare
+                    <select
+                      value={compareSelection.compareId}
+                      onChange={(e) => setCompareSelection({ ...compareSelection, compareId: e.target.value })}
+                    >
+                      <option value="">Select model...</option>
+                      {modelTree.map(model => (
+                        <option key={model.id} value={model.id}>{model.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <div className="compare-actions">
+                  <button
+                    className="panel-btn"
+                    disabled={!compareSelection.baseId || !compareSelection.compareId || compareSelection.baseId === compareSelection.compareId}
+                    onClick={() => startComparison(compareSelection.baseId, compareSelection.compareId)}
+                  >
+                    Compare
+                  </button>
+                  {comparison && (
+                    <button className="panel-btn panel-btn-secondary" onClick={exitComparison}>
+                      Exit compare
+                    </button>
+                  )}
                 </div>
-              ) : (
-                filteredTree.map((category) => (
-                  <div key={category.id} className="tree-category">
+              </div>
+            )}
+            {comparison && (
+              <div className="diff-list">
+                <div className="diff-title">
+                  {comparison.baseName} → {comparison.compareName}
+                </div>
+                {[DIFF_STATUS.added, DIFF_STATUS.deleted, DIFF_STATUS.geometryChanged, DIFF_STATUS.propertiesChanged].map(status => (
+                  <div key={status} className="diff-group">
                     <div
                       className="category-header"
-                      onClick={() => toggleCategoryExpanded(category.id)}
+                      onClick={() => setExpandedDiffGroups(prev => ({ ...prev, [status]: !prev[status] }))}
                     >
-                      <span className="expand-icon">
-                        {expandedCategories[category.id] ? '▼' : '▶'}
-                      </span>
-                      <span className="category-name">{category.name}</span>
-                      <span className="category-count">({category.count})</span>
+                      <span className="expand-icon">{expandedDiffGroups[status] ? '▼' : '▶'}</span>
                       <span
-                        className="visibility-toggle"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          toggleCategoryVisibility(category.id);
-                        }}
-                        title="Toggle visibility"
-                      >
-                        {category.items.every(item => {
-                          const obj = objectsMapRef.current[item.id];
-                          return obj && obj.visible === true;
-                        }) ? '👁️' : '🚫'}
-                      </span>
+                        className="diff-swatch"
+                        style={{ background: `#${DIFF_COLORS[status].toString(16).padStart(6, '0')}` }}
+                      />
+                      <span className="category-name">{DIFF_LABELS[status]}</span>
+                      <span className="category-count">({comparison.counts[status]})</span>
                     </div>
-                    {expandedCategories[category.id] && (
+                    {expandedDiffGroups[status] && (
                       <div className="category-items">
-                        {category.items.map((item) => (
-                          <div key={item.id} className="tree-item">
-                            <span
-                              className="item-visibility-toggle"
-                              onClick={() => toggleObjectVisibility(item.id)}
-                              title="Toggle visibility"
+                        {comparison.entries
+                          .filter(entry => entry.status === status)
+                          .map(entry => (
+                            <div
+                              key={entry.externalId}
+                              className="tree-item diff-item"
+                              onClick={() => zoomToDiffEntry(entry)}
+                              title={entry.changedProperties.length > 0
+                                ? entry.changedProperties.map(change => `${change.key}: ${change.before ?? '—'} → ${change.after ?? '—'}`).join('\n')
+                                : entry.externalId}
                             >
-                              {(objectVisibility[item.id] !== false && objectsMapRef.current[item.id]?.visible !== false) ? '👁️' : '🚫'}
-                            </span>
-                            <span className="item-name">{item.name}</span>
-                          </div>
-                        ))}
+                              <span className="item-name">{entry.name}</span>
+                            </div>
+                          ))}
                       </div>
                     )}
                   </div>
-                ))
-              )}
+                ))}
+                <div className="diff-summary">
+                  {comparison.counts[DIFF_STATUS.unchanged]} unchanged
+                  {(comparison.unidentified.base + comparison.unidentified.compare) > 0 &&
+                    `, ${comparison.unidentified.base + comparison.unidentified.compare} objects without externalId`}
+                </div>
+              </div>
+            )}
+            <div className="search-box">
+              <input
+                type="text"
+                placeholder="Search..."
+                value={modelBrowserSearch}
+                onChange={(e) => setModelBrowserSearch(e.target.value)}
+                className="search-input"
+              />
             </div>
+            <div className="tree-grouping">
+              <span>Group by</span>
+              {[...treeGrouping, ''].map((keyId, index) => (
+                <select
+                  key={index}
+                  value={keyId}
+                  onChange={(e) => changeTreeGrouping(e.target.value
+                    ? [...treeGrouping.slice(0, index), e.target.value, ...treeGrouping.slice(index + 1)]
+                    // "(none)" drops this level and the ones below it
+                    : treeGrouping.slice(0, index))}
+                >
+                  <option value="">{index === treeGrouping.length ? '+ level' : '(none)'}</option>
+                  {GROUPING_KEYS
+                    .filter(key => key.id === keyId || !treeGrouping.includes(key.id))
+                    .map(key => (
+                      <option key={key.id} value={key.id}>{key.label}</option>
+                    ))}
+                </select>
+              )).slice(0, GROUPING_KEYS.length)}
+            </div>
+            {browserTree.length === 0 ? (
+              <div className="empty-state">
+                {modelTree.length === 0 ? 'No model loaded' : 'No results found'}
+              </div>
+            ) : (
+              <VirtualList
+                className="model-tree"
+                rows={browserRows}
+                getRowHeight={getBrowserRowHeight}
+                getRowKey={(row) => `${row.kind}:${row.id}`}
+                renderRow={renderBrowserRow}
+                scrollToIndex={revealObjectId
+                  ? browserRows.findIndex(row => row.kind === 'item' && row.id === revealObjectId)
+                  : -1}
+                onScrolledTo={() => setRevealObjectId(null)}
+              />
+            )}
           </div>
         </div>
       )}
 
+      {/* Properties of the selected element */}
+      {showPropertiesPanel && (
+        <PropertiesPanel
+          className={showModelPanel ? '' : 'properties-panel-wide'}
+          metadata={selectedIds.length > 0 ? getElementMetadata(objectsMapRef.current[selectedIds[0]]) : null}
+          objectName={selectedIds.length > 0 ? objectsMapRef.current[selectedIds[0]]?.name : null}
+          selectionCount={selectedIds.length}
+          onSelectSameValue={selectSameValue}
+          onClose={() => setShowPropertiesPanel(false)}
+        />
+      )}
+
       {/* Info panel */}
       {modelInfo && (
         <div className="info-panel">
@@ -1710,6 +3231,98 @@ const BimViewer = () => {
           <p><strong>Name:</strong> {modelInfo.name}</p>
           <p><strong>Objects:</strong> {modelInfo.objects}</p>
           <p><strong>Triangles:</strong> {modelInfo.triangles.toLocaleString()}</p>
+          {modelInfo.frame && (
+            <>
+              <p>
+                <strong>Units:</strong> {modelInfo.frame.unitName} ({getUnitSymbol(modelInfo.frame)}), {modelInfo.frame.upAxis}
+              </p>
+              <p>
+                <strong>Size:</strong> {modelInfo.size.map(d => formatLength(d, modelInfo.frame)).join(' × ')}
+              </p>
+              <p>
+                <strong>Origin:</strong> {viewerToProject(new THREE.Vector3(), modelInfo.frame)
+                  .toArray().map(v => v.toFixed(2)).join(', ')}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Metadata match report */}
+      {matchReportModelId && modelsRef.current.has(matchReportModelId) && (
+        <MatchReportDialog
+          modelName={modelsRef.current.get(matchReportModelId).name}
+          report={modelsRef.current.get(matchReportModelId).matchReport}
+          onSelectObject={(objectId) => {
+            selectObject(objectId, { frame: true, reveal: true });
+            setMatchReportModelId(null);
+          }}
+          onClose={() => setMatchReportModelId(null)}
+        />
+      )}
+
+      {/* Category rules editor */}
+      {showRulesEditor && (
+        <CategoryRulesEditor
+          rules={categoryRules}
+          onPreview={previewCategoryRules}
+          onApply={applyCategoryRules}
+          onClose={() => setShowRulesEditor(false)}
+        />
+      )}
+
+      {/* Open from server */}
+      {showServerDialog && (
+        <OpenFromServerDialog
+          onOpen={openFromServer}
+          onCompare={compareFromServer}
+          onClose={() => setShowServerDialog(false)}
+        />
+      )}
+
+      {/* Drop target */}
+      {dragActive && (
+        <div className="drop-overlay">
+          <p>Drop a model file, folder or .zip package</p>
+        </div>
+      )}
+
+      {/* Memory readout: renderer resources and heap */}
+      <MemoryReadout rendererRef={rendererRef} />
+
+      {loadWarnings.length > 0 && (
+        <div className="load-warning">
+          <div className="load-warning-messages">
+            {loadWarnings.map((warning, idx) => (
+              <div key={idx}>⚠️ {warning}</div>
+            ))}
+          </div>
+          <button onClick={() => setLoadWarnings([])} className="package-report-close" title="Dismiss">
+            ×
+          </button>
+        </div>
+      )}
+
+      {/* Package report: references that could not be resolved */}
+      {packageReport && (packageReport.missing.length > 0 || packageReport.resolved.length > 0) && (
+        <div className="package-report">
+          <div className="package-report-header">
+            <strong>Package: {packageReport.modelName}</strong>
+            <button onClick={() => setPackageReport(null)} className="package-report-close" title="Close">
+              ×
+            </button>
+          </div>
+          <p>
+            {packageReport.fileCount} files, {packageReport.resolved.length} references resolved
+            {packageReport.missing.length > 0 && `, ${packageReport.missing.length} missing`}
+          </p>
+          {packageReport.missing.length > 0 && (
+            <ul className="package-report-missing">
+              {packageReport.missing.map(reference => (
+                <li key={reference}>{reference}</li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
 
@@ -1718,6 +3331,37 @@ const BimViewer = () => {
         <div className="loading-overlay">
           <div className="loading-spinner"></div>
           <p>Loading 3D model...</p>
+          {loadStages.length > 0 && (
+            <div className="loading-stages">
+              {loadStages.map(stage => {
+                const elapsed = stage.startedAt
+                  ? ((stage.endedAt || loadClock) - stage.startedAt) / 1000
+                  : null;
+                return (
+                  <div key={stage.id} className={`loading-stage loading-stage-${stage.status}`}>
+                    <div className="loading-stage-header">
+                      <span className="loading-stage-label">{stage.label}</span>
+                      <span className="loading-stage-status">
+                        {stage.status === 'skipped' && 'skipped'}
+                        {stage.status === 'failed' && 'not available'}
+                        {(stage.status === 'active' || stage.status === 'done') &&
+                          `${Math.round(stage.percent || 0)}% · ${Math.max(elapsed, 0).toFixed(1)}s`}
+                      </span>
+                    </div>
+                    <div className="loading-stage-bar">
+                      <div
+                        className="loading-stage-fill"
+                        style={{ width: `${stage.status === 'pending' ? 0 : (stage.percent || 0)}%` }}
+                      />
+                    </div>
+                  </div>
+                );
+              })}
+              <button onClick={cancelLoading} className="btn loading-cancel">
+                Cancel
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -1735,7 +3379,337 @@ const BimViewer = () => {
       )}
 
       {/* 3D Canvas */}
-      <div ref={containerRef} className="bim-canvas" />
+      <div
+        ref={containerRef}
+        className={`bim-canvas ${sectionPickMode || measureTool ? 'picking-point' : ''}`}
+        onPointerDownCapture={handleViewportPointerDownCapture}
+        onPointerDown={handleViewportPointerDown}
+        onPointerMoveCapture={handleViewportPointerMoveCapture}
+        onPointerMove={handleViewportPointerMove}
+        onPointerUp={handleViewportPointerUp}
+        onWheelCapture={handleViewportWheelCapture}
+        onPointerLeave={() => {
+          clearHover();
+          clearMeasureCursor();
+        }}
+        onDoubleClick={handleViewportDoubleClick}
+        onContextMenu={(e) => e.preventDefault()}
+      />
+
+      {/* Hover tooltip */}
+      {hoverDetails && (
+        <div className="hover-tooltip" style={{ left: hoverInfo.x + 14, top: hoverInfo.y + 16 }}>
+          <div className="hover-tooltip-name">{hoverDetails.name}</div>
+          {hoverDetails.category && <div className="hover-tooltip-line">{hoverDetails.category}</div>}
+          {hoverDetails.familyType && <div className="hover-tooltip-line">{hoverDetails.familyType}</div>}
+        </div>
+      )}
+
+      {/* Element context menu */}
+      {elementMenu && objectsMapRef.current[elementMenu.objectId] && (
+        <ElementContextMenu
+          x={elementMenu.x}
+          y={elementMenu.y}
+          title={selectedIds.length > 1
+            ? `${selectedIds.length} selected`
+            : getHoverDetails(elementMenu.objectId).name}
+          actions={getElementMenuActions(elementMenu.objectId)}
+          onClose={closeElementMenu}
+        />
+      )}
+
+      {/* Viewport selection tools */}
+      <div className="viewport-tools">
+        {[
+          { id: SELECTION_TOOLS.pick, label: 'Select', title: 'Click to select, Ctrl/Shift+click to add or remove' },
+          { id: SELECTION_TOOLS.box, label: 'Box', title: 'Drag left-to-right: fully inside; right-to-left: touching. Ctrl adds, Alt removes' },
+          { id: SELECTION_TOOLS.lasso, label: 'Lasso', title: 'Draw clockwise: fully inside; counter-clockwise: touching. Ctrl adds, Alt removes' }
+        ].map(tool => (
+          <button
+            key={tool.id}
+            className={`viewport-tool ${selectionTool === tool.id ? 'active' : ''}`}
+            onClick={() => setSelectionTool(tool.id)}
+            title={tool.title}
+          >
+            {tool.label}
+          </button>
+        ))}
+        <span className="viewport-tools-separator" />
+        <button
+          className="viewport-tool"
+          onClick={isolateSelection}
+          disabled={selectedIds.length === 0}
+          title="Show only the selected objects"
+        >
+          Isolate
+        </button>
+        <button
+          className="viewport-tool"
+          onClick={hideSelection}
+          disabled={selectedIds.length === 0}
+          title="Hide the selected objects"
+        >
+          Hide
+        </button>
+        <button
+          className="viewport-tool"
+          onClick={showAllObjects}
+          disabled={!isViewFilterActive(viewFilter)}
+          title="Undo every isolate and hide (objects unchecked in the model browser stay hidden)"
+        >
+          Show all
+        </button>
+        <button
+          className="viewport-tool"
+          onClick={undoViewFilter}
+          disabled={viewFilterHistory.length === 0}
+          title="Back to the previous isolate/hide state"
+        >
+          Back
+        </button>
+        <button
+          className={`viewport-tool ${ghostMode ? 'active' : ''}`}
+          onClick={() => setGhostMode(!ghostMode)}
+          title="X-ray: draw everything except the selection as transparent shells"
+        >
+          X-ray
+        </button>
+        <span className="viewport-tools-separator" />
+        <button
+          className={`viewport-tool ${showSectionPanel || isSectionActive(sections) ? 'active' : ''}`}
+          onClick={() => {
+            setShowSectionPanel(!showSectionPanel);
+            setShowMeasurePanel(false);
+          }}
+          title="Section planes and section box"
+        >
+          Section
+        </button>
+        <button
+          className={`viewport-tool ${showMeasurePanel || measureTool ? 'active' : ''}`}
+          onClick={toggleMeasurePanel}
+          title="Measurements"
+        >
+          Measure
+        </button>
+        <button
+          className={`viewport-tool ${walkMode ? 'active' : ''}`}
+          onClick={walkMode ? stopWalk : startWalk}
+          disabled={modelsBounds.isEmpty()}
+          title="First-person walk from the point at the view center"
+        >
+          Walk
+        </button>
+      </div>
+
+      {walkMode && (
+        <div className="walk-hint">
+          WASD / arrow keys: walk · Shift: run · drag: look around · Escape: leave
+        </div>
+      )}
+
+      <ViewCube
+        cameraRef={cameraRef}
+        projection={projection}
+        onSelectDirection={viewFromDirection}
+        onHome={resetCamera}
+        onToggleProjection={() => changeProjection(
+          projection === PROJECTIONS.perspective ? PROJECTIONS.orthographic : PROJECTIONS.perspective
+        )}
+      />
+
+      {/* Measurements */}
+      {showMeasurePanel && (
+        <div className="viewport-panel">
+          <div className="viewport-panel-actions">
+            {Object.values(MEASURE_TOOLS).map(tool => (
+              <button
+                key={tool.id}
+                className={`viewport-panel-button ${measureTool === tool.id ? 'active' : ''}`}
+                onClick={() => chooseMeasureTool(tool.id)}
+                disabled={modelsBounds.isEmpty()}
+                title={tool.hint}
+              >
+                {tool.label}
+              </button>
+            ))}
+          </div>
+          {measureTool && (
+            <div className="measure-hint">
+              {MEASURE_TOOLS[measureTool].hint}. Snaps to vertices, edge midpoints and edges; Escape cancels.
+            </div>
+          )}
+
+          {measurements.length === 0 ? (
+            <div className="viewport-panel-empty">No measurements</div>
+          ) : (
+            <div className="measure-list">
+              {measurements.map(measurement => (
+                <div key={measurement.id} className="viewport-panel-row">
+                  <input
+                    className="measure-name"
+                    value={measurement.name}
+                    onChange={(e) => renameMeasurement(measurement.id, e.target.value)}
+                    title="Rename"
+                  />
+                  <span className="measure-value">{formatMeasurement(measurement, getProjectFrame())}</span>
+                  <button
+                    className="viewport-panel-icon"
+                    onClick={() => deleteMeasurement(measurement.id)}
+                    title="Delete the measurement"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="viewport-panel-footer">
+            <button
+              className="viewport-panel-button"
+              onClick={exportMeasurementsCsv}
+              disabled={measurements.length === 0}
+            >
+              Export CSV
+            </button>
+            <button
+              className="viewport-panel-button"
+              onClick={() => setMeasurements([])}
+              disabled={measurements.length === 0}
+            >
+              Clear all
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Section planes */}
+      {showSectionPanel && (
+        <div className="viewport-panel">
+          <div className="viewport-panel-actions">
+            {['X', 'Y', 'Z'].map(axis => (
+              <button
+                key={axis}
+                className="viewport-panel-button"
+                onClick={() => addAxisPlane(axis)}
+                disabled={sections.planes.length >= MAX_SECTION_PLANES || modelsBounds.isEmpty()}
+                title={`Add a plane across the project ${axis} axis`}
+              >
+                + {axis}
+              </button>
+            ))}
+            <button
+              className={`viewport-panel-button ${sectionPickMode ? 'active' : ''}`}
+              onClick={toggleSectionPickMode}
+              disabled={sections.planes.length >= MAX_SECTION_PLANES || modelsBounds.isEmpty()}
+              title="Click a face in the viewport to cut along it"
+            >
+              Pick face
+            </button>
+            <button
+              className="viewport-panel-button"
+              onClick={addSectionBox}
+              disabled={modelsBounds.isEmpty()}
+              title="Box around the selection (or all models when nothing is selected)"
+            >
+              {sections.box ? 'Refit box' : 'Section box'}
+            </button>
+          </div>
+
+          {sections.planes.length === 0 && !sections.box && (
+            <div className="viewport-panel-empty">
+              {sectionPickMode ? 'Click a face in the viewport' : 'No section planes'}
+            </div>
+          )}
+          {sections.planes.map(plane => {
+            const range = getPlaneRange(plane, modelsBounds);
+            return (
+              <div key={plane.id} className="viewport-panel-row">
+                <input
+                  type="checkbox"
+                  checked={plane.enabled}
+                  onChange={() => updateSectionPlane(plane.id, current => ({ ...current, enabled: !current.enabled }))}
+                  title="Enable or disable the plane"
+                />
+                <span className="section-label">{plane.label}</span>
+                <input
+                  type="range"
+                  className="section-slider"
+                  min={range.min}
+                  max={range.max}
+                  step={(range.max - range.min) / 500 || 0.01}
+                  value={plane.offset}
+                  disabled={!plane.enabled}
+                  onChange={(e) => updateSectionPlane(plane.id, current => ({
+                    ...current,
+                    offset: parseFloat(e.target.value)
+                  }))}
+                />
+                <button
+                  className="viewport-panel-icon"
+                  onClick={() => updateSectionPlane(plane.id, flipPlane)}
+                  title="Keep the other side"
+                >
+                  ⇅
+                </button>
+                <button
+                  className="viewport-panel-icon"
+                  onClick={() => removeSectionPlane(plane.id)}
+                  title="Remove the plane"
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+          {sections.box && (
+            <div className="viewport-panel-row">
+              <span className="section-label">Box</span>
+              <span className="section-hint">Drag the handles to resize</span>
+              <button
+                className="viewport-panel-icon"
+                onClick={() => setSections(prev => ({ ...prev, box: null }))}
+                title="Remove the section box"
+              >
+                ✕
+              </button>
+            </div>
+          )}
+
+          <div className="viewport-panel-footer">
+            <label>
+              <input
+                type="checkbox"
+                checked={sections.caps}
+                onChange={() => setSections(prev => ({ ...prev, caps: !prev.caps }))}
+              />
+              Hatched caps
+            </label>
+            <button
+              className="viewport-panel-button"
+              onClick={clearSections}
+              disabled={sections.planes.length === 0 && !sections.box}
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Box / lasso being drawn */}
+      {regionDrag && rendererRef.current && (() => {
+        const rect = rendererRef.current.domElement.getBoundingClientRect();
+        const { polygon, mode } = getRegion(regionDrag);
+        return (
+          <svg
+            className={`selection-region ${mode}`}
+            style={{ left: rect.left, top: rect.top, width: rect.width, height: rect.height }}
+          >
+            <polygon points={polygon.map(point => point.join(',')).join(' ')} />
+          </svg>
+        );
+      })()}
 
       {/* Instructions */}
       <div className="instructions">
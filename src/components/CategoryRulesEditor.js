@@ -0,0 +1,209 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  RULE_FIELDS,
+  createRule,
+  getDefaultCategoryRules,
+  exportCategoryRules,
+  importCategoryRules,
+  getPatternError
+} from '../utils/categoryRules';
+// Shares the dialog layout (.dialog-overlay, .dialog-header...) with the server dialog
+import './OpenFromServerDialog.css';
+import './CategoryRulesEditor.css';
+
+// Rules editor: edits a draft copy; the viewer only regroups on Apply
+const CategoryRulesEditor = ({ rules, onPreview, onApply, onClose }) => {
+  const [draft, setDraft] = useState(rules);
+  const [preview, setPreview] = useState([]);
+  const [importError, setImportError] = useState(null);
+  const importInputRef = useRef(null);
+  // Latest preview callback; the viewer re-renders often and passes a new one each time
+  const onPreviewRef = useRef(onPreview);
+  onPreviewRef.current = onPreview;
+
+  // Live preview, debounced so typing a pattern doesn't re-run it on every key
+  useEffect(() => {
+    const timer = setTimeout(() => setPreview(onPreviewRef.current(draft)), 300);
+    return () => clearTimeout(timer);
+  }, [draft]);
+
+  const updateRule = (ruleId, patch) => {
+    setDraft(prev => prev.map(rule => (rule.id === ruleId ? { ...rule, ...patch } : rule)));
+  };
+
+  const toggleField = (rule, fieldId) => {
+    const fields = rule.fields.includes(fieldId)
+      ? rule.fields.filter(field => field !== fieldId)
+      : [...rule.fields, fieldId];
+    updateRule(rule.id, { fields });
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= draft.length) return;
+    const next = [...draft];
+    [next[index], next[target]] = [next[target], next[index]];
+    setDraft(next);
+  };
+
+  const removeRule = (ruleId) => {
+    setDraft(prev => prev.filter(rule => rule.id !== ruleId));
+  };
+
+  const exportRules = () => {
+    const blob = new Blob([exportCategoryRules(draft)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'category-rules.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importRules = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setDraft(importCategoryRules(await file.text()));
+      setImportError(null);
+    } catch (e) {
+      console.error('Failed to import category rules:', e);
+      setImportError(`Could not import ${file.name}: ${e.message}`);
+    }
+  };
+
+  const hasErrors = draft.some(rule => rule.enabled && getPatternError(rule));
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div className="dialog rules-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>Category rules</h3>
+          <button onClick={onClose} className="dialog-close" title="Close">×</button>
+        </div>
+
+        <div className="rules-toolbar">
+          <button className="dialog-btn" onClick={() => setDraft([...draft, createRule()])}>
+            Add rule
+          </button>
+          <button className="dialog-btn dialog-btn-secondary" onClick={() => setDraft(getDefaultCategoryRules())}>
+            Reset to defaults
+          </button>
+          <button className="dialog-btn dialog-btn-secondary" onClick={() => importInputRef.current.click()}>
+            Import
+          </button>
+          <button className="dialog-btn dialog-btn-secondary" onClick={exportRules}>
+            Export
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={importRules}
+            style={{ display: 'none' }}
+          />
+          <span className="rules-hint">First matching rule wins. Category may use $1, $2...</span>
+        </div>
+
+        {importError && <div className="dialog-error">{importError}</div>}
+
+        <div className="rules-body">
+          <div className="rules-list">
+            {draft.length === 0 && <div className="empty-state">No rules: everything goes to Generic Models</div>}
+            {draft.map((rule, index) => {
+              const patternError = getPatternError(rule);
+              return (
+                <div key={rule.id} className={`rule-row ${rule.enabled ? '' : 'rule-disabled'}`}>
+                  <div className="rule-line">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                      title="Enabled"
+                    />
+                    <input
+                      type="text"
+                      className={`rule-pattern ${patternError ? 'invalid' : ''}`}
+                      value={rule.pattern}
+                      onChange={(e) => updateRule(rule.id, { pattern: e.target.value })}
+                      placeholder="Regular expression"
+                      title={patternError || 'Regular expression (case-insensitive)'}
+                    />
+                    <span className="rule-arrow">→</span>
+                    <input
+                      type="text"
+                      className="rule-category"
+                      value={rule.category}
+                      onChange={(e) => updateRule(rule.id, { category: e.target.value })}
+                      placeholder="Category"
+                    />
+                    <button className="rule-action" onClick={() => moveRule(index, -1)} title="Move up">↑</button>
+                    <button className="rule-action" onClick={() => moveRule(index, 1)} title="Move down">↓</button>
+                    <button className="rule-action" onClick={() => removeRule(rule.id)} title="Delete rule">×</button>
+                  </div>
+                  <div className="rule-fields">
+                    {RULE_FIELDS.map(field => (
+                      <label key={field.id}>
+                        <input
+                          type="checkbox"
+                          checked={rule.fields.includes(field.id)}
+                          onChange={() => toggleField(rule, field.id)}
+                        />
+                        {field.label}
+                      </label>
+                    ))}
+                    {rule.fields.includes('metadata') && (
+                      <input
+                        type="text"
+                        className="rule-metadata-field"
+                        value={rule.metadataField}
+                        onChange={(e) => updateRule(rule.id, { metadataField: e.target.value })}
+                        placeholder="category or Group.Property"
+                        title="Metadata field: category, familyName, typeName, level or Group.Property"
+                      />
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="rules-preview">
+            <h4>Preview</h4>
+            {preview.length === 0 && <div className="empty-state">No model loaded</div>}
+            {preview.length > 0 && (
+              <table>
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Now</th>
+                    <th>After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map(row => (
+                    <tr key={row.category} className={row.current !== row.preview ? 'changed' : ''}>
+                      <td>{row.category}</td>
+                      <td>{row.current}</td>
+                      <td>{row.preview}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+
+        <div className="dialog-footer">
+          {hasErrors && <span className="dialog-busy">Rules with invalid patterns are ignored</span>}
+          <button onClick={onClose} className="dialog-btn dialog-btn-secondary">Cancel</button>
+          <button onClick={() => onApply(draft)} className="dialog-btn">Apply</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryRulesEditor;
@@ -0,0 +1,63 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import './ElementContextMenu.css';
+
+// Right-click menu of a model element (viewport or model browser).
+// actions: [{ id, label, disabled, onSelect }] or 'separator'
+const ElementContextMenu = ({ x, y, title, actions, onClose }) => {
+  const menuRef = useRef(null);
+  const [position, setPosition] = useState({ left: x, top: y });
+
+  // Keep the menu inside the window when opened near its right or bottom edge
+  useLayoutEffect(() => {
+    const rect = menuRef.current.getBoundingClientRect();
+    setPosition({
+      left: Math.max(0, Math.min(x, window.innerWidth - rect.width - 4)),
+      top: Math.max(0, Math.min(y, window.innerHeight - rect.height - 4))
+    });
+  }, [x, y]);
+
+  useEffect(() => {
+    const closeOnOutside = (event) => {
+      if (!menuRef.current.contains(event.target)) onClose();
+    };
+    const closeOnEscape = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    document.addEventListener('pointerdown', closeOnOutside, true);
+    document.addEventListener('keydown', closeOnEscape);
+    window.addEventListener('wheel', onClose, true);
+    return () => {
+      document.removeEventListener('pointerdown', closeOnOutside, true);
+      document.removeEventListener('keydown', closeOnEscape);
+      window.removeEventListener('wheel', onClose, true);
+    };
+  }, [onClose]);
+
+  return (
+    <div
+      ref={menuRef}
+      className="element-context-menu"
+      style={position}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {title && <div className="context-menu-title" title={title}>{title}</div>}
+      {actions.map((action, index) => (action === 'separator' ? (
+        <div key={`separator-${index}`} className="context-menu-separator" />
+      ) : (
+        <button
+          key={action.id}
+          className="context-menu-item"
+          disabled={action.disabled}
+          onClick={() => {
+            onClose();
+            action.onSelect();
+          }}
+        >
+          {action.label}
+        </button>
+      )))}
+    </div>
+  );
+};
+
+export default ElementContextMenu;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+// Shares the dialog layout (.dialog-overlay, .dialog-header...) with the server dialog
+import './OpenFromServerDialog.css';
+import './MatchReportDialog.css';
+
+// Long lists are cut to keep the dialog responsive on large models
+const MAX_ROWS = 500;
+
+// Metadata match report of one model: unmatched meshes and orphan metadata entries
+const MatchReportDialog = ({ modelName, report, onSelectObject, onClose }) => {
+  const [tab, setTab] = useState('unmatched');
+  const rate = report.total > 0 ? (report.matched / report.total) * 100 : 0;
+  const rows = tab === 'unmatched' ? report.unmatched : report.orphans;
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div className="dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>Metadata matching: {modelName}</h3>
+          <button onClick={onClose} className="dialog-close" title="Close">×</button>
+        </div>
+
+        <div className="match-summary">
+          <div>
+            <strong>{report.matched}</strong> of {report.total} meshes matched ({rate.toFixed(1)}%),
+            {' '}{report.metadataCount} metadata entries
+          </div>
+          <div className="match-strategies">
+            {report.strategies.map(strategy => (
+              <span key={strategy.id}>{strategy.label}: {strategy.count}</span>
+            ))}
+          </div>
+        </div>
+
+        <div className="match-tabs">
+          <button
+            className={`match-tab ${tab === 'unmatched' ? 'active' : ''}`}
+            onClick={() => setTab('unmatched')}
+          >
+            Unmatched meshes ({report.unmatched.length})
+          </button>
+          <button
+            className={`match-tab ${tab === 'orphans' ? 'active' : ''}`}
+            onClick={() => setTab('orphans')}
+          >
+            Orphan metadata ({report.orphans.length})
+          </button>
+        </div>
+
+        <div className="match-list">
+          {rows.length === 0 && <div className="empty-state">Nothing to report</div>}
+          {tab === 'unmatched' && rows.slice(0, MAX_ROWS).map(entry => (
+            <div
+              key={entry.objectId}
+              className="match-row match-row-clickable"
+              onClick={() => onSelectObject(entry.objectId)}
+              title="Select in the model browser"
+            >
+              <div className="match-row-name">{entry.name}</div>
+              {entry.reasons.map(reason => (
+                <div key={reason} className="match-row-reason">{reason}</div>
+              ))}
+            </div>
+          ))}
+          {tab === 'orphans' && rows.slice(0, MAX_ROWS).map(entry => (
+            <div key={entry.elementId} className="match-row">
+              <div className="match-row-name">
+                {entry.name} {entry.category && <span className="match-row-meta">({entry.category})</span>}
+              </div>
+              <div className="match-row-meta">ID {entry.elementId} · {entry.externalId}</div>
+              <div className="match-row-reason">{entry.reason}</div>
+            </div>
+          ))}
+          {rows.length > MAX_ROWS && (
+            <div className="empty-state">... and {rows.length - MAX_ROWS} more</div>
+          )}
+        </div>
+
+        <div className="dialog-footer">
+          <button onClick={onClose} className="dialog-btn">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MatchReportDialog;
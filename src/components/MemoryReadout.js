@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react';
+import { getMemoryStats } from '../loaders/modelLifecycle';
+
+// Refresh period of the readout, in milliseconds
+const REFRESH_INTERVAL = 1000;
+
+// Readout values as displayed; the heap is shown in whole megabytes
+const getDisplayedStats = (renderer) => {
+  const { geometries, textures, drawCalls, heapMB } = getMemoryStats(renderer);
+  return { geometries, textures, drawCalls, heapMB: heapMB === null ? null : Math.round(heapMB) };
+};
+
+const sameStats = (a, b) => Object.keys(b).every(key => a[key] === b[key]);
+
+// Renderer resources and JS heap, to spot leaks between loads. Owns its timer so a
+// refresh only re-renders the readout, and keeps its state when nothing changed.
+const MemoryReadout = ({ rendererRef }) => {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (rendererRef.current) {
+        const next = getDisplayedStats(rendererRef.current);
+        setStats(prev => (prev && sameStats(prev, next) ? prev : next));
+      }
+    }, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [rendererRef]);
+
+  if (!stats) return null;
+
+  return (
+    <div className="memory-readout" title="GPU resources held by the renderer and JS heap usage">
+      {stats.geometries} geometries · {stats.textures} textures · {stats.drawCalls} draw calls
+      {stats.heapMB !== null && ` · ${stats.heapMB} MB heap`}
+    </div>
+  );
+};
+
+export default MemoryReadout;
@@ -0,0 +1,58 @@
+import React, { useEffect, useRef } from 'react';
+import { VISIBILITY_STATE } from '../utils/modelHierarchy';
+
+// Indentation per tree level, in pixels
+const INDENT = 14;
+
+// Checkbox with a third, "mixed" state (some of the objects below are hidden)
+export const VisibilityCheckbox = ({ state, onToggle, title }) => {
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current.indeterminate = state === VISIBILITY_STATE.mixed;
+  }, [state]);
+
+  return (
+    <input
+      ref={inputRef}
+      type="checkbox"
+      className="tree-checkbox"
+      checked={state === VISIBILITY_STATE.visible}
+      onChange={onToggle}
+      onClick={(e) => e.stopPropagation()}
+      title={title}
+    />
+  );
+};
+
+// Group node row of the model browser (Level, Category, Family...)
+export const ModelTreeNodeRow = ({ node, depth, expanded, visibilityState, onToggleExpanded, onToggleVisibility }) => (
+  <div
+    className="category-header"
+    style={{ paddingLeft: `${10 + depth * INDENT}px` }}
+    onClick={() => onToggleExpanded(node.id)}
+  >
+    <span className="expand-icon">{expanded ? '▼' : '▶'}</span>
+    <VisibilityCheckbox state={visibilityState} onToggle={() => onToggleVisibility(node)} title="Toggle visibility" />
+    <span className="category-name" title={node.name}>{node.name}</span>
+    <span className="category-count">({node.count})</span>
+  </div>
+);
+
+// Instance row of the model browser
+// hiddenByView: checked but hidden by isolate/hide, shown greyed out
+export const ModelTreeItemRow = ({ item, depth, selected, visible, hiddenByView, onSelect, onToggleVisibility, onContextMenu }) => (
+  <div
+    className={`tree-item ${selected ? 'selected' : ''} ${hiddenByView ? 'view-hidden' : ''}`}
+    style={{ paddingLeft: `${10 + depth * INDENT}px` }}
+    onClick={(e) => onSelect(item.id, e)}
+    onContextMenu={(e) => onContextMenu(item.id, e)}
+  >
+    <VisibilityCheckbox
+      state={visible ? VISIBILITY_STATE.visible : VISIBILITY_STATE.hidden}
+      onToggle={() => onToggleVisibility(item.id)}
+      title="Toggle visibility"
+    />
+    <span className="item-name" title={item.fullPath}>{item.name}</span>
+  </div>
+);
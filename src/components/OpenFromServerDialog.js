@@ -0,0 +1,195 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createBimApiClient, loadApiSettings, saveApiSettings } from '../api/bimApiClient';
+import './OpenFromServerDialog.css';
+
+// Helper: Order two versions oldest first (by date when both have one)
+const orderVersions = (first, second) => {
+  if (first.createdAt && second.createdAt && new Date(first.createdAt) > new Date(second.createdAt)) {
+    return [second, first];
+  }
+  return [first, second];
+};
+
+// "Open from server" dialog: API settings, project and version picker
+const OpenFromServerDialog = ({ onOpen, onCompare, onClose }) => {
+  const [settings, setSettings] = useState(loadApiSettings);
+  const [client, setClient] = useState(() => createBimApiClient(loadApiSettings()));
+  const [projects, setProjects] = useState([]);
+  const [versions, setVersions] = useState([]);
+  const [selectedProject, setSelectedProject] = useState(null);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  // Second version picked with Ctrl+click, for comparison
+  const [otherVersion, setOtherVersion] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // Project whose versions were asked for last; answers for other projects are stale
+  const versionsRequestRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setBusy(true);
+    setError(null);
+    setProjects([]);
+    setVersions([]);
+    setSelectedProject(null);
+    setSelectedVersion(null);
+    setOtherVersion(null);
+    versionsRequestRef.current = null;
+
+    client.listProjects()
+      .then(result => {
+        if (!cancelled) setProjects(result);
+      })
+      .catch(e => {
+        console.error('Failed to list projects:', e);
+        if (!cancelled) setError(`Could not load projects from ${client.baseUrl}: ${e.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setBusy(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client]);
+
+  const applySettings = (e) => {
+    e.preventDefault();
+    saveApiSettings(settings);
+    setClient(createBimApiClient(settings));
+  };
+
+  const selectProject = async (project) => {
+    versionsRequestRef.current = project.id;
+    setSelectedProject(project);
+    setSelectedVersion(null);
+    setOtherVersion(null);
+    setVersions([]);
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await client.listVersions(project.id);
+      if (versionsRequestRef.current === project.id) setVersions(result);
+    } catch (e) {
+      console.error('Failed to list versions:', e);
+      if (versionsRequestRef.current === project.id) setError(`Could not load versions: ${e.message}`);
+    } finally {
+      if (versionsRequestRef.current === project.id) setBusy(false);
+    }
+  };
+
+  const openVersion = () => {
+    if (!selectedProject || !selectedVersion) return;
+    onOpen({ client, project: selectedProject, version: selectedVersion });
+  };
+
+  const clickVersion = (event, version) => {
+    if (event.ctrlKey || event.metaKey) {
+      setOtherVersion(otherVersion?.id === version.id ? null : version);
+    } else {
+      setSelectedVersion(version);
+    }
+  };
+
+  const compareVersions = () => {
+    if (!selectedProject || !selectedVersion || !otherVersion) return;
+    const [baseVersion, compareVersion] = orderVersions(otherVersion, selectedVersion);
+    onCompare({ client, project: selectedProject, baseVersion, compareVersion });
+  };
+
+  const canCompare = onCompare && selectedVersion && otherVersion && selectedVersion.id !== otherVersion.id;
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div className="dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>Open from server</h3>
+          <button onClick={onClose} className="dialog-close" title="Close">×</button>
+        </div>
+
+        <form className="api-settings" onSubmit={applySettings}>
+          <label>
+            API URL
+            <input
+              type="text"
+              value={settings.baseUrl}
+              onChange={(e) => setSettings({ ...settings, baseUrl: e.target.value })}
+              placeholder="http://localhost:5000"
+            />
+          </label>
+          <label>
+            Bearer token
+            <input
+              type="password"
+              value={settings.token}
+              onChange={(e) => setSettings({ ...settings, token: e.target.value })}
+              placeholder="(optional)"
+            />
+          </label>
+          <label className="api-settings-remember" title="Keep the token in this browser after the tab is closed">
+            <input
+              type="checkbox"
+              checked={settings.rememberToken}
+              onChange={(e) => setSettings({ ...settings, rememberToken: e.target.checked })}
+            />
+            Remember token
+          </label>
+          <button type="submit" className="dialog-btn">Connect</button>
+        </form>
+
+        {error && <div className="dialog-error">{error}</div>}
+
+        <div className="server-browser">
+          <div className="server-list">
+            <h4>Projects</h4>
+            {projects.length === 0 && !busy && <div className="empty-state">No projects</div>}
+            {projects.map(project => (
+              <div
+                key={project.id}
+                className={`server-list-item ${selectedProject?.id === project.id ? 'selected' : ''}`}
+                onClick={() => selectProject(project)}
+              >
+                {project.name}
+              </div>
+            ))}
+          </div>
+          <div className="server-list">
+            <h4>Versions</h4>
+            {selectedProject && versions.length === 0 && !busy && <div className="empty-state">No versions</div>}
+            {versions.map(version => (
+              <div
+                key={version.id}
+                className={`server-list-item ${selectedVersion?.id === version.id ? 'selected' : ''} ${otherVersion?.id === version.id ? 'compare' : ''}`}
+                onClick={(e) => clickVersion(e, version)}
+                onDoubleClick={() => onOpen({ client, project: selectedProject, version })}
+              >
+                <span>{version.name}</span>
+                {version.createdAt && (
+                  <span className="server-list-date">{new Date(version.createdAt).toLocaleDateString()}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="dialog-footer">
+          {busy && <span className="dialog-busy">Loading...</span>}
+          {!busy && onCompare && versions.length > 1 && (
+            <span className="dialog-busy">Ctrl+click a second version to compare</span>
+          )}
+          <button onClick={onClose} className="dialog-btn dialog-btn-secondary">Cancel</button>
+          {onCompare && (
+            <button onClick={compareVersions} className="dialog-btn dialog-btn-secondary" disabled={!canCompare}>
+              Compare
+            </button>
+          )}
+          <button onClick={openVersion} className="dialog-btn" disabled={!selectedVersion}>
+            Open
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OpenFromServerDialog;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import './PropertiesPanel.css';
+
+// Helper: Property values are mostly strings/numbers, but ODA exports may nest objects
+const formatPropertyValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Properties of the selected element, grouped as in the metadata (ODA property groups, IFC psets)
+const PropertiesPanel = ({ className = '', metadata, objectName, selectionCount, onSelectSameValue, onClose }) => {
+  const [search, setSearch] = useState('');
+  const [collapsedGroups, setCollapsedGroups] = useState({});
+  const [copiedKey, setCopiedKey] = useState(null);
+
+  const copyValue = async (key, value) => {
+    try {
+      await navigator.clipboard.writeText(formatPropertyValue(value));
+      setCopiedKey(key);
+      setTimeout(() => setCopiedKey(current => (current === key ? null : current)), 1500);
+    } catch (e) {
+      console.error('Failed to copy value:', e);
+    }
+  };
+
+  const toggleGroup = (groupName) => {
+    setCollapsedGroups(prev => ({ ...prev, [groupName]: !prev[groupName] }));
+  };
+
+  const searchLower = search.trim().toLowerCase();
+  const groups = Object.entries(metadata?.propertyGroups || {})
+    .map(([groupName, properties]) => {
+      const rows = Object.entries(properties || {}).filter(([name, value]) =>
+        !searchLower ||
+        groupName.toLowerCase().includes(searchLower) ||
+        name.toLowerCase().includes(searchLower) ||
+        formatPropertyValue(value).toLowerCase().includes(searchLower)
+      );
+      return { groupName, rows };
+    })
+    .filter(group => group.rows.length > 0);
+
+  const summary = metadata
+    ? [
+        ['Name', metadata.displayName],
+        ['Category', metadata.category],
+        ['Element ID', metadata.elementId],
+        ['External ID', metadata.externalId]
+      ].filter(([, value]) => value !== undefined && value !== '')
+    : [];
+
+  return (
+    <div className={`properties-panel ${className}`}>
+      <div className="panel-header properties-header">
+        <h3>Properties</h3>
+        <button onClick={onClose} className="properties-close" title="Close">×</button>
+      </div>
+
+      {selectionCount === 0 && <div className="empty-state">No element selected</div>}
+
+      {selectionCount > 0 && (
+        <>
+          {selectionCount > 1 && (
+            <div className="properties-selection">
+              {selectionCount} elements selected, showing the first
+            </div>
+          )}
+
+          {!metadata && (
+            <div className="empty-state">
+              No metadata for {objectName || 'this element'}
+            </div>
+          )}
+
+          {metadata && (
+            <>
+              <table className="properties-table properties-summary">
+                <tbody>
+                  {summary.map(([label, value]) => (
+                    <tr key={label}>
+                      <th>{label}</th>
+                      <td>
+                        <div className="property-cell">
+                          <span className="property-value">{formatPropertyValue(value)}</span>
+                          <button
+                            className="property-action"
+                            onClick={() => copyValue(`summary:${label}`, value)}
+                            title="Copy value"
+                          >
+                            {copiedKey === `summary:${label}` ? '✓' : '⧉'}
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="search-box">
+                <input
+                  type="text"
+                  placeholder="Search properties..."
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  className="search-input"
+                />
+              </div>
+
+              <div className="properties-groups">
+                {groups.length === 0 && (
+                  <div className="empty-state">
+                    {search ? 'No results found' : 'No property groups'}
+                  </div>
+                )}
+                {groups.map(({ groupName, rows }) => (
+                  <div key={groupName} className="properties-group">
+                    <div className="properties-group-header" onClick={() => toggleGroup(groupName)}>
+                      <span className="expand-icon">{collapsedGroups[groupName] ? '▶' : '▼'}</span>
+                      <span>{groupName}</span>
+                      <span className="category-count">({rows.length})</span>
+                    </div>
+                    {!collapsedGroups[groupName] && (
+                      <table className="properties-table">
+                        <tbody>
+                          {rows.map(([name, value]) => {
+                            const key = `${groupName}:${name}`;
+                            return (
+                              <tr key={key}>
+                                <th title={name}>{name}</th>
+                                <td>
+                                  <div className="property-cell">
+                                    <span className="property-value" title={formatPropertyValue(value)}>
+                                      {formatPropertyValue(value)}
+                                    </span>
+                                    <button
+                                      className="property-action"
+                                      onClick={() => copyValue(key, value)}
+                                      title="Copy value"
+                                    >
+                                      {copiedKey === key ? '✓' : '⧉'}
+                                    </button>
+                                    <button
+                                      className="property-action"
+                                      onClick={() => onSelectSameValue(groupName, name, value)}
+                                      title="Select all elements with the same value"
+                                    >
+                                      ≡
+                                    </button>
+                                  </div>
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PropertiesPanel;
@@ -0,0 +1,115 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { PROJECTIONS, STANDARD_VIEWS } from '../utils/cameraViews';
+import './ViewCube.css';
+
+const CUBE_SIZE = 80;
+
+// Faces in viewer space: outward normal, and the world directions of the face's right and top
+// edges as drawn. transform places the face in CSS space (y down).
+const FACES = [
+  { id: 'front', label: 'FRONT', normal: [0, 0, 1], right: [1, 0, 0], up: [0, 1, 0], transform: '' },
+  { id: 'back', label: 'BACK', normal: [0, 0, -1], right: [-1, 0, 0], up: [0, 1, 0], transform: 'rotateY(180deg)' },
+  { id: 'right', label: 'RIGHT', normal: [1, 0, 0], right: [0, 0, -1], up: [0, 1, 0], transform: 'rotateY(90deg)' },
+  { id: 'left', label: 'LEFT', normal: [-1, 0, 0], right: [0, 0, 1], up: [0, 1, 0], transform: 'rotateY(-90deg)' },
+  { id: 'top', label: 'TOP', normal: [0, 1, 0], right: [1, 0, 0], up: [0, 0, -1], transform: 'rotateX(90deg)' },
+  { id: 'bottom', label: 'BOTTOM', normal: [0, -1, 0], right: [1, 0, 0], up: [0, 0, 1], transform: 'rotateX(-90deg)' }
+];
+
+// Helper: View direction of a cell of a face's 3x3 grid: the face in the middle,
+// edges on the sides, corners in the corners
+const getCellDirection = (face, row, column) => face.normal.map((value, axis) =>
+  value + (column - 1) * face.right[axis] + (1 - row) * face.up[axis]);
+
+// Three.js is y-up, CSS y-down
+const FLIP_Y = new THREE.Matrix4().makeScale(1, -1, 1);
+
+/**
+ * Navigation cube turning with the camera. Clicking a face, an edge or a corner
+ * calls onSelectDirection with the direction from the target to the camera;
+ * the standard view buttons do the same.
+ */
+const ViewCube = ({ cameraRef, projection, onSelectDirection, onHome, onToggleProjection }) => {
+  const cubeRef = useRef(null);
+  const [hoveredKey, setHoveredKey] = useState(null);
+
+  // Follow the camera outside React: it moves every frame while orbiting
+  useEffect(() => {
+    const rotation = new THREE.Matrix4();
+    const inverse = new THREE.Quaternion();
+    let lastTransform = '';
+    let frame = null;
+
+    const update = () => {
+      const camera = cameraRef.current;
+      if (camera && cubeRef.current) {
+        rotation.makeRotationFromQuaternion(inverse.copy(camera.quaternion).invert());
+        rotation.premultiply(FLIP_Y).multiply(FLIP_Y);
+        const transform = `matrix3d(${rotation.elements.map(value => value.toFixed(6)).join(',')})`;
+        if (transform !== lastTransform) {
+          cubeRef.current.style.transform = transform;
+          lastTransform = transform;
+        }
+      }
+      frame = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frame);
+  }, [cameraRef]);
+
+  return (
+    <div className="view-cube">
+      <div className="view-cube-stage" style={{ width: CUBE_SIZE, height: CUBE_SIZE }}>
+        <div ref={cubeRef} className="view-cube-body">
+          {FACES.map(face => (
+            <div
+              key={face.id}
+              className="view-cube-face"
+              style={{ transform: `${face.transform} translateZ(${CUBE_SIZE / 2}px)` }}
+            >
+              {[0, 1, 2].map(row => [0, 1, 2].map(column => {
+                const direction = getCellDirection(face, row, column);
+                const key = direction.join(',');
+                const isCenter = row === 1 && column === 1;
+                return (
+                  <div
+                    key={key}
+                    className={`view-cube-cell ${isCenter ? 'view-cube-center' : ''} ${hoveredKey === key ? 'hovered' : ''}`}
+                    onPointerEnter={() => setHoveredKey(key)}
+                    onPointerLeave={() => setHoveredKey(null)}
+                    onClick={() => onSelectDirection(direction)}
+                  >
+                    {isCenter && face.label}
+                  </div>
+                );
+              }))}
+            </div>
+          ))}
+        </div>
+      </div>
+      <button className="view-cube-home" onClick={onHome} title="Home view: the whole model">
+        ⌂
+      </button>
+      <div className="view-cube-buttons">
+        {STANDARD_VIEWS.map(view => (
+          <button
+            key={view.id}
+            className="view-cube-button"
+            onClick={() => onSelectDirection(view.direction)}
+          >
+            {view.label}
+          </button>
+        ))}
+        <button
+          className="view-cube-button view-cube-projection"
+          onClick={onToggleProjection}
+          title="Switch between perspective and orthographic projection"
+        >
+          {projection === PROJECTIONS.orthographic ? 'Orthographic' : 'Perspective'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ViewCube;
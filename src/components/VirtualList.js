@@ -0,0 +1,111 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+
+// Rows rendered above and below the viewport, so fast scrolling doesn't flash empty space
+const DEFAULT_OVERSCAN = 8;
+
+// Helper: Index of the last row starting at or above `position` (offsets are sorted)
+const findRowIndex = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Windowed list: only the rows inside the scroll viewport are mounted, so the
+ * DOM stays small whatever the number of rows. Row heights are fixed per row
+ * (getRowHeight) and the list is its own scroll container.
+ *
+ * `scrollToIndex` scrolls a row into view (e.g. the element picked in the
+ * viewport); onScrolledTo is called once it's done, so the caller can clear it.
+ */
+const VirtualList = ({
+  rows,
+  getRowHeight,
+  renderRow,
+  getRowKey,
+  className,
+  scrollToIndex = -1,
+  onScrolledTo,
+  overscan = DEFAULT_OVERSCAN
+}) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  // Row start offsets, plus the total height at the end
+  const offsets = useMemo(() => {
+    const result = new Array(rows.length + 1);
+    result[0] = 0;
+    rows.forEach((row, index) => {
+      result[index + 1] = result[index] + getRowHeight(row);
+    });
+    return result;
+  }, [rows, getRowHeight]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const updateHeight = () => setViewportHeight(container.clientHeight);
+    updateHeight();
+
+    const observer = new ResizeObserver(updateHeight);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (scrollToIndex < 0 || scrollToIndex >= rows.length) return;
+
+    const container = containerRef.current;
+    const rowTop = offsets[scrollToIndex];
+    const rowBottom = offsets[scrollToIndex + 1];
+    if (rowTop < container.scrollTop) {
+      container.scrollTop = rowTop;
+    } else if (rowBottom > container.scrollTop + container.clientHeight) {
+      // Rows below the viewport end up in its middle, with some context around them
+      container.scrollTop = rowBottom - container.clientHeight / 2;
+    }
+    if (onScrolledTo) onScrolledTo(scrollToIndex);
+  }, [scrollToIndex, rows.length, offsets, onScrolledTo]);
+
+  const totalHeight = offsets[rows.length];
+  const firstIndex = rows.length > 0 ? Math.max(0, findRowIndex(offsets, scrollTop) - overscan) : 0;
+  const lastIndex = rows.length > 0
+    ? Math.min(rows.length - 1, findRowIndex(offsets, scrollTop + viewportHeight) + overscan)
+    : -1;
+
+  const visibleRows = [];
+  for (let index = firstIndex; index <= lastIndex; index++) {
+    const row = rows[index];
+    visibleRows.push(
+      <div
+        key={getRowKey(row)}
+        className="virtual-row"
+        style={{ top: offsets[index], height: offsets[index + 1] - offsets[index] }}
+      >
+        {renderRow(row, index)}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div className="virtual-list-content" style={{ height: totalHeight }}>
+        {visibleRows}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,288 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils';
+import {
+  IfcAPI,
+  IFCRELDEFINESBYTYPE,
+  IFCRELDEFINESBYPROPERTIES,
+  IFCRELCONTAINEDINSPATIALSTRUCTURE,
+  IFCPROPERTYSET,
+  IFCELEMENTQUANTITY,
+  IFCUNITASSIGNMENT
+} from 'web-ifc';
+
+// web-ifc needs its .wasm binary at runtime; it is copied from the package into public/
+// (scripts/copy-decoders.js)
+const WEB_IFC_WASM_PATH = `${process.env.PUBLIC_URL}/web-ifc/`;
+
+let ifcApiPromise = null;
+
+const getIfcApi = () => {
+  if (!ifcApiPromise) {
+    ifcApiPromise = (async () => {
+      const api = new IfcAPI();
+      api.SetWasmPath(WEB_IFC_WASM_PATH, true);
+      await api.Init(undefined, true);
+      return api;
+    })().catch((error) => {
+      ifcApiPromise = null;
+      throw error;
+    });
+  }
+  return ifcApiPromise;
+};
+
+// Helper: Read the raw value of an IFC attribute ({ type, value } or plain value)
+const ifcValue = (attribute) => {
+  if (attribute === null || attribute === undefined) return '';
+  if (typeof attribute === 'object' && 'value' in attribute) return attribute.value;
+  return attribute;
+};
+
+const toHandleIds = (attribute) => {
+  if (!attribute) return [];
+  const handles = Array.isArray(attribute) ? attribute : [attribute];
+  return handles.map(handle => ifcValue(handle)).filter(id => typeof id === 'number');
+};
+
+// Meters per SI length unit, by IfcSIPrefix
+const SI_PREFIX_FACTORS = {
+  KILO: 1e3,
+  HECTO: 1e2,
+  DECA: 1e1,
+  DECI: 1e-1,
+  CENTI: 1e-2,
+  MILLI: 1e-3,
+  MICRO: 1e-6
+};
+
+// Helper: Meters per unit of an IfcSIUnit (metre with an optional prefix)
+const getSiUnitFactor = (unit) => SI_PREFIX_FACTORS[ifcValue(unit?.Prefix)] || 1;
+
+/**
+ * Project length unit from the IfcUnitAssignment: an IfcSIUnit (METRE with an
+ * optional prefix) or an IfcConversionBasedUnit (FOOT, INCH...) defined by a
+ * factor to an SI unit. Meters when the file has none.
+ *
+ * @returns {{unitName: string, metersPerUnit: number}}
+ */
+const readLengthUnit = (api, modelID) => {
+  const assignments = api.GetLineIDsWithType(modelID, IFCUNITASSIGNMENT);
+  for (let i = 0; i < assignments.size(); i++) {
+    const assignment = api.GetLine(modelID, assignments.get(i));
+    for (const unitId of toHandleIds(assignment.Units)) {
+      const unit = api.GetLine(modelID, unitId);
+      if (ifcValue(unit?.UnitType) !== 'LENGTHUNIT') continue;
+
+      if (unit.ConversionFactor) {
+        const measure = api.GetLine(modelID, ifcValue(unit.ConversionFactor));
+        const baseUnit = api.GetLine(modelID, ifcValue(measure?.UnitComponent));
+        const metersPerUnit = Number(ifcValue(measure?.ValueComponent)) * getSiUnitFactor(baseUnit);
+        if (metersPerUnit > 0) {
+          return { unitName: String(ifcValue(unit.Name)).toLowerCase(), metersPerUnit };
+        }
+        continue;
+      }
+
+      const prefix = ifcValue(unit.Prefix);
+      return { unitName: `${prefix ? prefix.toLowerCase() : ''}metre`, metersPerUnit: getSiUnitFactor(unit) };
+    }
+  }
+  return { unitName: 'metre', metersPerUnit: 1 };
+};
+
+// Helper: Convert one IfcPropertySet / IfcElementQuantity into { name: value }
+const readPropertyGroup = (api, modelID, definition) => {
+  const values = {};
+  const children = definition.HasProperties || definition.Quantities || [];
+
+  toHandleIds(children).forEach(propertyId => {
+    const property = api.GetLine(modelID, propertyId);
+    if (!property || !property.Name) return;
+
+    const value = property.NominalValue
+      ?? property.LengthValue
+      ?? property.AreaValue
+      ?? property.VolumeValue
+      ?? property.CountValue
+      ?? property.WeightValue;
+
+    values[ifcValue(property.Name)] = ifcValue(value);
+  });
+
+  return values;
+};
+
+/**
+ * Builds an element map shaped like the output of parseJsonMetadata, keyed by
+ * express ID: GlobalId goes to `externalId`, the IFC class to `category`.
+ */
+const buildIfcElementMap = (api, modelID, elementIds) => {
+  const elementMap = new Map();
+  const typeNameByElement = new Map();
+  const propertyGroupsByElement = new Map();
+  const levelByElement = new Map();
+
+  // Type objects (IfcWallType, IfcDoorType...) give the type name
+  const typeRelations = api.GetLineIDsWithType(modelID, IFCRELDEFINESBYTYPE);
+  for (let i = 0; i < typeRelations.size(); i++) {
+    const relation = api.GetLine(modelID, typeRelations.get(i));
+    const typeObject = api.GetLine(modelID, ifcValue(relation.RelatingType));
+    const typeName = ifcValue(typeObject?.Name);
+    toHandleIds(relation.RelatedObjects).forEach(id => typeNameByElement.set(id, typeName));
+  }
+
+  // Spatial containment (usually an IfcBuildingStorey) gives the level
+  const containmentRelations = api.GetLineIDsWithType(modelID, IFCRELCONTAINEDINSPATIALSTRUCTURE);
+  for (let i = 0; i < containmentRelations.size(); i++) {
+    const relation = api.GetLine(modelID, containmentRelations.get(i));
+    const structure = api.GetLine(modelID, ifcValue(relation.RelatingStructure));
+    const levelName = ifcValue(structure?.Name) || ifcValue(structure?.LongName);
+    toHandleIds(relation.RelatedElements).forEach(id => levelByElement.set(id, levelName));
+  }
+
+  // Property sets and quantity sets
+  const propertyRelations = api.GetLineIDsWithType(modelID, IFCRELDEFINESBYPROPERTIES);
+  for (let i = 0; i < propertyRelations.size(); i++) {
+    const relation = api.GetLine(modelID, propertyRelations.get(i));
+    const definitionId = ifcValue(relation.RelatingPropertyDefinition);
+    const definitionType = api.GetLineType(modelID, definitionId);
+    if (definitionType !== IFCPROPERTYSET && definitionType !== IFCELEMENTQUANTITY) continue;
+
+    const definition = api.GetLine(modelID, definitionId);
+    const groupName = ifcValue(definition.Name) || `PropertySet_${definitionId}`;
+    const values = readPropertyGroup(api, modelID, definition);
+
+    toHandleIds(relation.RelatedObjects).forEach(id => {
+      if (!propertyGroupsByElement.has(id)) {
+        propertyGroupsByElement.set(id, {});
+      }
+      propertyGroupsByElement.get(id)[groupName] = values;
+    });
+  }
+
+  elementIds.forEach(elementId => {
+    const element = api.GetLine(modelID, elementId);
+    if (!element) return;
+
+    const ifcClass = api.GetNameFromTypeCode(api.GetLineType(modelID, elementId));
+    const typeName = typeNameByElement.get(elementId) || '';
+    // Revit IFC exports put "Family:Type" in ObjectType
+    const familyName = ifcValue(element.ObjectType) || '';
+    const name = ifcValue(element.Name) || '';
+    const displayName = name || typeName || familyName || `${ifcClass}_${elementId}`;
+
+    elementMap.set(elementId.toString(), {
+      elementId: elementId,
+      externalId: ifcValue(element.GlobalId),
+      familyName: familyName,
+      typeName: typeName,
+      category: ifcClass,
+      level: levelByElement.get(elementId) || '',
+      displayName: displayName,
+      propertyGroups: propertyGroupsByElement.get(elementId) || {}
+    });
+  });
+
+  return elementMap;
+};
+
+/**
+ * Parses an IFC file into Three.js meshes (one mesh per IFC element) plus an
+ * element map compatible with the JSON metadata map.
+ *
+ * web-ifc returns the geometry in meters and turned from the IFC Z-up to Y-up,
+ * so the asset is the project length unit with a Z-up axis (see modelFrame.js).
+ *
+ * @param {ArrayBuffer} buffer - Raw IFC file content
+ * @returns {Promise<{scene: THREE.Group, elementMap: Map, asset: Object}>}
+ */
+export const parseIfcModel = async (buffer) => {
+  const api = await getIfcApi();
+  const modelID = api.OpenModel(new Uint8Array(buffer), { COORDINATE_TO_ORIGIN: false });
+  if (modelID < 0) {
+    throw new Error('Failed to open IFC model');
+  }
+
+  try {
+    const asset = { ...readLengthUnit(api, modelID), upAxis: 'Z_UP' };
+
+    const root = new THREE.Group();
+    root.name = 'ifc-model';
+    const materialCache = new Map();
+    const meshesById = new Map();
+
+    const getMaterial = (color) => {
+      const key = `${color.x},${color.y},${color.z},${color.w}`;
+      if (!materialCache.has(key)) {
+        const material = new THREE.MeshLambertMaterial({
+          color: new THREE.Color(color.x, color.y, color.z),
+          transparent: color.w < 1,
+          opacity: color.w,
+          side: THREE.DoubleSide
+        });
+        materialCache.set(key, material);
+      }
+      return materialCache.get(key);
+    };
+
+    api.StreamAllMeshes(modelID, (flatMesh) => {
+      const geometries = [];
+      const materials = [];
+      const placedGeometries = flatMesh.geometries;
+
+      for (let i = 0; i < placedGeometries.size(); i++) {
+        const placed = placedGeometries.get(i);
+        const ifcGeometry = api.GetGeometry(modelID, placed.geometryExpressID);
+        const vertexData = api.GetVertexArray(ifcGeometry.GetVertexData(), ifcGeometry.GetVertexDataSize());
+        const indexData = api.GetIndexArray(ifcGeometry.GetIndexData(), ifcGeometry.GetIndexDataSize());
+
+        // Vertex data is interleaved: x, y, z, nx, ny, nz
+        const vertexCount = vertexData.length / 6;
+        const positions = new Float32Array(vertexCount * 3);
+        const normals = new Float32Array(vertexCount * 3);
+        for (let v = 0; v < vertexCount; v++) {
+          positions[v * 3] = vertexData[v * 6];
+          positions[v * 3 + 1] = vertexData[v * 6 + 1];
+          positions[v * 3 + 2] = vertexData[v * 6 + 2];
+          normals[v * 3] = vertexData[v * 6 + 3];
+          normals[v * 3 + 1] = vertexData[v * 6 + 4];
+          normals[v * 3 + 2] = vertexData[v * 6 + 5];
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(indexData), 1));
+        geometry.applyMatrix4(new THREE.Matrix4().fromArray(placed.flatTransformation));
+
+        geometries.push(geometry);
+        materials.push(getMaterial(placed.color));
+        ifcGeometry.delete();
+      }
+
+      if (geometries.length === 0) return;
+
+      const merged = geometries.length === 1 ? geometries[0] : mergeGeometries(geometries, true);
+      geometries.forEach(geometry => {
+        if (geometry !== merged) geometry.dispose();
+      });
+      if (!merged) return;
+
+      const mesh = new THREE.Mesh(merged, materials.length === 1 ? materials[0] : materials);
+      mesh.name = `Element_${flatMesh.expressID}`;
+      mesh.userData.elementId = flatMesh.expressID;
+      root.add(mesh);
+      meshesById.set(flatMesh.expressID, mesh);
+    });
+
+    const elementMap = buildIfcElementMap(api, modelID, Array.from(meshesById.keys()));
+
+    elementMap.forEach((metadata) => {
+      meshesById.get(metadata.elementId).userData.guid = metadata.externalId;
+    });
+
+    return { scene: root, elementMap, asset };
+  } finally {
+    api.CloseModel(modelID);
+  }
+};
@@ -0,0 +1,259 @@
+// Matching of scene meshes to metadata elements.
+//
+// The metadata of a model is indexed once (by externalId, GUID prefix and
+// element id) and meshes are matched by a list of strategies tried in order.
+// Each strategy returns either a metadata entry or the reason it failed, so
+// unmatched meshes can be explained in the match report.
+
+// Revit UniqueId: 36 char GUID + "-" + 8 hex digits element id
+const GUID_PATTERN = /([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})(-[a-f0-9]{8})?/i;
+const ELEMENT_ID_PATTERN = /(?:Element_|ID_|element-|id-)(\d+)/i;
+
+// Helper: Names that exporters use to carry element identifiers
+const getNodeStrings = (node) => [
+  node.name,
+  node.geometry?.name,
+  node.material?.name
+].filter(Boolean).map(String);
+
+/**
+ * Builds lookup indexes over an element map (elementId -> metadata).
+ *
+ * @param {Map<string, Object>|null} elementMap
+ */
+export const buildMetadataIndex = (elementMap) => {
+  const byElementId = elementMap || new Map();
+  const byExternalId = new Map();
+  const byGuidPrefix = new Map();
+
+  byElementId.forEach(metadata => {
+    if (!metadata.externalId) return;
+    const externalId = String(metadata.externalId).toLowerCase();
+    byExternalId.set(externalId, metadata);
+
+    const guidMatch = externalId.match(GUID_PATTERN);
+    if (guidMatch) {
+      const prefix = guidMatch[1];
+      if (!byGuidPrefix.has(prefix)) byGuidPrefix.set(prefix, []);
+      byGuidPrefix.get(prefix).push(metadata);
+    }
+  });
+
+  return {
+    size: byElementId.size,
+    byElementId,
+    byExternalId,
+    byGuidPrefix,
+    // Match results per mesh, so repeated lookups (tree, panels, comparison) are O(1)
+    cache: new WeakMap()
+  };
+};
+
+// Strategy: identifiers put in userData by our own loaders (IFC expressID / GlobalId)
+const userDataStrategy = {
+  id: 'userData',
+  label: 'Loader ids',
+  match: (node, index) => {
+    const { elementId, guid } = node.userData || {};
+    if (elementId === undefined && !guid) {
+      return { reason: 'no element id or GlobalId in userData' };
+    }
+    const metadata = (guid && index.byExternalId.get(String(guid).toLowerCase())) ||
+      (elementId !== undefined && index.byElementId.get(String(elementId)));
+    return metadata
+      ? { metadata }
+      : { reason: `userData id ${guid || elementId} not in metadata` };
+  }
+};
+
+// Strategy: full Revit UniqueId (GUID + element id suffix) in a node name
+const externalIdStrategy = {
+  id: 'externalId',
+  label: 'External ID',
+  match: (node, index) => {
+    // A name can hold an id the metadata doesn't know while another one (geometry, material) matches
+    const missing = [];
+    for (const str of getNodeStrings(node)) {
+      const guidMatch = str.match(GUID_PATTERN);
+      if (guidMatch && guidMatch[2]) {
+        const metadata = index.byExternalId.get(guidMatch[0].toLowerCase());
+        if (metadata) return { metadata };
+        missing.push(guidMatch[0]);
+      }
+    }
+    return {
+      reason: missing.length > 0
+        ? `external id ${missing.join(', ')} not in metadata`
+        : 'no external id in names'
+    };
+  }
+};
+
+// Strategy: bare GUID in a node name, only accepted when it identifies a single element
+const guidPrefixStrategy = {
+  id: 'guidPrefix',
+  label: 'GUID prefix',
+  match: (node, index) => {
+    const failures = [];
+    for (const str of getNodeStrings(node)) {
+      const guidMatch = str.match(GUID_PATTERN);
+      if (guidMatch) {
+        const candidates = index.byGuidPrefix.get(guidMatch[1].toLowerCase()) || [];
+        if (candidates.length === 1) return { metadata: candidates[0] };
+        failures.push(candidates.length === 0
+          ? `GUID ${guidMatch[1]} not in metadata`
+          : `GUID ${guidMatch[1]} is ambiguous (${candidates.length} elements)`);
+      }
+    }
+    return { reason: failures.length > 0 ? failures.join('; ') : 'no GUID in names' };
+  }
+};
+
+// Strategy: numeric element id in names (Element_123, ID_123...)
+const elementIdStrategy = {
+  id: 'elementId',
+  label: 'Element ID',
+  match: (node, index) => {
+    const missing = [];
+    for (const str of getNodeStrings(node)) {
+      const idMatch = str.match(ELEMENT_ID_PATTERN);
+      if (idMatch) {
+        const metadata = index.byElementId.get(idMatch[1]);
+        if (metadata) return { metadata };
+        missing.push(idMatch[1]);
+      }
+    }
+    return {
+      reason: missing.length > 0
+        ? `element id ${missing.join(', ')} not in metadata`
+        : 'no element id in names'
+    };
+  }
+};
+
+// Strategy: GUID in names or in the userData.revitId / guid of exporters, matched to the
+// first element whose external id contains it. Looser than the strategies above (it
+// accepts an ambiguous GUID prefix), so it is tried last.
+const partialGuidStrategy = {
+  id: 'partialGuid',
+  label: 'Partial GUID',
+  match: (node, index) => {
+    const strings = [
+      ...getNodeStrings(node),
+      node.userData?.revitId,
+      node.userData?.guid
+    ].filter(Boolean).map(String);
+
+    const missing = [];
+    for (const str of strings) {
+      const guidMatch = str.match(GUID_PATTERN);
+      if (!guidMatch) continue;
+      const guid = guidMatch[0].toLowerCase();
+      const candidates = index.byGuidPrefix.get(guidMatch[1].toLowerCase()) || [];
+      const metadata = candidates.find(candidate => String(candidate.externalId).toLowerCase().includes(guid));
+      if (metadata) return { metadata };
+      missing.push(guidMatch[0]);
+    }
+    return {
+      reason: missing.length > 0
+        ? `no external id contains ${missing.join(', ')}`
+        : 'no GUID in names or revitId'
+    };
+  }
+};
+
+export const DEFAULT_MATCH_STRATEGIES = [
+  userDataStrategy,
+  externalIdStrategy,
+  guidPrefixStrategy,
+  elementIdStrategy,
+  partialGuidStrategy
+];
+
+/**
+ * Matches one mesh against an index. The result is cached per mesh.
+ *
+ * @returns {{metadata: Object|null, strategy: string|null, reasons: string[]}}
+ */
+export const matchElement = (node, index, strategies = DEFAULT_MATCH_STRATEGIES) => {
+  if (index.cache.has(node)) {
+    return index.cache.get(node);
+  }
+
+  const reasons = [];
+  let result = null;
+  for (const strategy of strategies) {
+    const attempt = strategy.match(node, index);
+    if (attempt.metadata) {
+      result = { metadata: attempt.metadata, strategy: strategy.id, reasons };
+      break;
+    }
+    reasons.push(`${strategy.label}: ${attempt.reason}`);
+  }
+
+  if (!result) {
+    result = { metadata: null, strategy: null, reasons };
+  }
+  index.cache.set(node, result);
+  return result;
+};
+
+/**
+ * Matches every mesh of a model and lists what didn't match on either side:
+ * meshes without metadata (with the reason per strategy) and metadata
+ * entries no mesh points to (orphans, e.g. non-graphic elements).
+ */
+export const buildMatchReport = (root, index, strategies = DEFAULT_MATCH_STRATEGIES) => {
+  const byStrategy = {};
+  strategies.forEach(strategy => {
+    byStrategy[strategy.id] = 0;
+  });
+
+  const matchedElements = new Set();
+  const unmatched = [];
+  let total = 0;
+
+  root.traverse(child => {
+    if (!child.isMesh) return;
+    total++;
+
+    const result = matchElement(child, index, strategies);
+    if (result.metadata) {
+      byStrategy[result.strategy]++;
+      matchedElements.add(result.metadata);
+    } else {
+      unmatched.push({
+        objectId: child.uuid,
+        name: child.name || child.geometry?.name || 'unnamed',
+        reasons: result.reasons
+      });
+    }
+  });
+
+  const orphans = [];
+  index.byElementId.forEach(metadata => {
+    if (matchedElements.has(metadata)) return;
+
+    let reason = 'no mesh references its element id or external id';
+    const prefix = String(metadata.externalId || '').toLowerCase().match(GUID_PATTERN);
+    if (prefix && (index.byGuidPrefix.get(prefix[1]) || []).length > 1) {
+      reason = 'shares its GUID prefix with other elements and no mesh has its full external id';
+    }
+    orphans.push({
+      elementId: metadata.elementId,
+      externalId: metadata.externalId,
+      name: metadata.displayName,
+      category: metadata.category,
+      reason
+    });
+  });
+
+  return {
+    total,
+    matched: total - unmatched.length,
+    metadataCount: index.size,
+    strategies: strategies.map(strategy => ({ id: strategy.id, label: strategy.label, count: byStrategy[strategy.id] })),
+    unmatched,
+    orphans
+  };
+};
@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { buildMatchReport, buildMetadataIndex, matchElement } from './metadataMatcher';
+
+const WALL_GUID = '0a1b2c3d-1111-2222-3333-444455556666';
+const DOOR_GUID = '0a1b2c3d-aaaa-bbbb-cccc-ddddeeeeffff';
+const WINDOW_GUID = 'ffffeeee-1111-2222-3333-444455556666';
+
+const createElementMap = () => new Map([
+  ['101', { elementId: '101', externalId: `${WALL_GUID}-00000065`, displayName: 'Wall', category: 'Walls' }],
+  ['102', { elementId: '102', externalId: `${DOOR_GUID}-00000066`, displayName: 'Door', category: 'Doors' }],
+  ['103', { elementId: '103', externalId: `${WINDOW_GUID}-00000067`, displayName: 'Window', category: 'Windows' }],
+  ['104', { elementId: '104', externalId: `${WINDOW_GUID}-00000068`, displayName: 'Window', category: 'Windows' }],
+  ['105', { elementId: '105', externalId: null, displayName: 'Level 1', category: 'Levels' }]
+]);
+
+const createMesh = (name, userData = {}) => {
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+  mesh.name = name;
+  Object.assign(mesh.userData, userData);
+  return mesh;
+};
+
+describe('buildMetadataIndex', () => {
+  it('indexes by element id, external id and GUID prefix', () => {
+    const index = buildMetadataIndex(createElementMap());
+
+    expect(index.size).toBe(5);
+    expect(index.byExternalId.get(`${WALL_GUID}-00000065`).elementId).toBe('101');
+    expect(index.byGuidPrefix.get(WINDOW_GUID)).toHaveLength(2);
+  });
+
+  it('accepts a missing element map', () => {
+    const index = buildMetadataIndex(null);
+
+    expect(index.size).toBe(0);
+    expect(matchElement(createMesh('Element_101'), index).metadata).toBeNull();
+  });
+});
+
+describe('matchElement', () => {
+  it('prefers the ids the loaders put in userData', () => {
+    const index = buildMetadataIndex(createElementMap());
+    const result = matchElement(createMesh('Element_102', { elementId: 101 }), index);
+
+    expect(result.metadata.elementId).toBe('101');
+    expect(result.strategy).toBe('userData');
+  });
+
+  it('matches a full external id in the name, case-insensitively', () => {
+    const index = buildMetadataIndex(createElementMap());
+    const result = matchElement(createMesh(`Door_${DOOR_GUID.toUpperCase()}-00000066`), index);
+
+    expect(result.metadata.elementId).toBe('102');
+    expect(result.strategy).toBe('externalId');
+  });
+
+  it('matches a bare GUID only when it identifies one element', () => {
+    const index = buildMetadataIndex(createElementMap());
+
+    expect(matchElement(createMesh(`mesh ${DOOR_GUID}`), index).strategy).toBe('guidPrefix');
+
+    const ambiguous = matchElement(createMesh(`mesh ${WINDOW_GUID}`), index);
+    expect(ambiguous.strategy).not.toBe('guidPrefix');
+    expect(ambiguous.reasons).toContain(`GUID prefix: GUID ${WINDOW_GUID} is ambiguous (2 elements)`);
+  });
+
+  it('checks every name before an id strategy fails', () => {
+    const index = buildMetadataIndex(createElementMap());
+    const mesh = createMesh(`Wall_${WALL_GUID}-0000ffff`);
+    mesh.geometry.name = `${DOOR_GUID}-00000066`;
+
+    const result = matchElement(mesh, index);
+    expect(result.metadata.elementId).toBe('102');
+    expect(result.strategy).toBe('externalId');
+
+    const unknown = createMesh('Element_998');
+    unknown.material.name = 'Element_999';
+    expect(matchElement(unknown, index).reasons).toContain('Element ID: element id 998, 999 not in metadata');
+  });
+
+  it('falls back to the first element whose external id contains a GUID of the names or userData.revitId', () => {
+    const index = buildMetadataIndex(createElementMap());
+
+    const ambiguous = matchElement(createMesh(`mesh ${WINDOW_GUID}`), index);
+    expect(ambiguous.metadata.elementId).toBe('103');
+    expect(ambiguous.strategy).toBe('partialGuid');
+
+    const exported = matchElement(createMesh('Basic Wall', { revitId: `${WINDOW_GUID}-00000068` }), index);
+    expect(exported.metadata.elementId).toBe('104');
+    expect(exported.strategy).toBe('partialGuid');
+  });
+
+  it('falls back to a numeric element id in the name', () => {
+    const index = buildMetadataIndex(createElementMap());
+    const result = matchElement(createMesh('ID_105'), index);
+
+    expect(result.metadata.displayName).toBe('Level 1');
+    expect(result.strategy).toBe('elementId');
+  });
+
+  it('lists the reason of every strategy when nothing matches', () => {
+    const index = buildMetadataIndex(createElementMap());
+    const result = matchElement(createMesh('Element_999'), index);
+
+    expect(result.metadata).toBeNull();
+    expect(result.reasons).toEqual([
+      'Loader ids: no element id or GlobalId in userData',
+      'External ID: no external id in names',
+      'GUID prefix: no GUID in names',
+      'Element ID: element id 999 not in metadata',
+      'Partial GUID: no GUID in names or revitId'
+    ]);
+  });
+
+  it('caches the result per mesh', () => {
+    const index = buildMetadataIndex(createElementMap());
+    const mesh = createMesh('Element_101');
+    const first = matchElement(mesh, index);
+    mesh.name = 'Element_102';
+
+    expect(matchElement(mesh, index)).toBe(first);
+  });
+});
+
+describe('buildMatchReport', () => {
+  it('counts matches per strategy and lists unmatched meshes and orphan elements', () => {
+    const index = buildMetadataIndex(createElementMap());
+    const root = new THREE.Group();
+    root.add(createMesh('Element_101'));
+    root.add(createMesh(`${DOOR_GUID}-00000066`));
+    root.add(createMesh('Furniture'));
+
+    const report = buildMatchReport(root, index);
+
+    expect(report.total).toBe(3);
+    expect(report.matched).toBe(2);
+    expect(report.metadataCount).toBe(5);
+    expect(report.strategies.find(strategy => strategy.id === 'elementId').count).toBe(1);
+    expect(report.strategies.find(strategy => strategy.id === 'externalId').count).toBe(1);
+    expect(report.unmatched.map(entry => entry.name)).toEqual(['Furniture']);
+    expect(report.orphans.map(orphan => orphan.elementId)).toEqual(['103', '104', '105']);
+    expect(report.orphans[0].reason).toMatch(/shares its GUID prefix/);
+    expect(report.orphans[2].reason).toMatch(/no mesh references/);
+  });
+});
@@ -0,0 +1,95 @@
+// Parse JSON metadata from ODA TB_JsonExport format.
+// Shared by the viewer and the parse worker, so it must not touch the DOM.
+
+// Helper: The ODA `properties` array alternates group names and value objects:
+// ['Invalid group', {Family: ...}, 'Dimensions', {Length: ...}, ...].
+// Value objects without a preceding name are collected under "General".
+const parsePropertyGroups = (properties) => {
+  const groups = {};
+  if (!Array.isArray(properties)) return groups;
+
+  let groupName = null;
+  properties.forEach(item => {
+    if (typeof item === 'string') {
+      groupName = item;
+    } else if (item && typeof item === 'object' && !Array.isArray(item)) {
+      const name = groupName || 'General';
+      groups[name] = { ...groups[name], ...item };
+      groupName = null;
+    }
+  });
+  return groups;
+};
+
+// Revit parameters that hold the level of an element, by element kind
+const LEVEL_PARAMETERS = ['Level', 'Reference Level', 'Base Constraint', 'Schedule Level', 'Base Level'];
+
+// Helper: Level name from the naming group or the Revit "Constraints" group
+const findLevel = (propertyGroups) => {
+  for (const groupName of ['Invalid group', 'Constraints']) {
+    const group = propertyGroups[groupName];
+    if (!group) continue;
+    const parameter = LEVEL_PARAMETERS.find(name => group[name]);
+    if (parameter) return String(group[parameter]);
+  }
+  return '';
+};
+
+export const parseJsonMetadata = (jsonData) => {
+  console.log('\n=== PARSING JSON METADATA ===');
+  const elementMap = new Map();
+
+  const traverse = (obj, depth = 0) => {
+    if (!obj) return;
+
+    // If this is an element with an object ID
+    if (obj.object && obj.externalId) {
+      const elementId = obj.object;
+
+      // Keep every property group; element naming comes from the "Invalid group" entry
+      const propertyGroups = parsePropertyGroups(obj.properties);
+      const metadata = propertyGroups['Invalid group'] || {};
+      const family = metadata['Family'] || metadata['Family Name'] || '';
+      const type = metadata['Type'] || metadata['Type Name'] || '';
+      const category = metadata['Category'] || '';
+      const familyAndType = metadata['Family and Type'] || '';
+
+      // Create display name
+      let displayName = familyAndType || family || type || `Element_${elementId}`;
+
+      elementMap.set(elementId.toString(), {
+        elementId: elementId,
+        externalId: obj.externalId,
+        familyName: family,
+        typeName: type,
+        category: category,
+        level: findLevel(propertyGroups),
+        displayName: displayName,
+        propertyGroups
+      });
+
+      if (elementMap.size <= 10) {
+        console.log(`  Element ${elementId}: "${displayName}" (${category})`);
+      }
+    }
+
+    // Recursively traverse objects array
+    if (obj.objects && Array.isArray(obj.objects)) {
+      obj.objects.forEach(child => traverse(child, depth + 1));
+    }
+    if (Array.isArray(obj)) {
+      obj.forEach(child => traverse(child, depth + 1));
+    }
+  };
+
+  // Start traversal from data.objects
+  if (jsonData && jsonData.data) {
+    traverse(jsonData.data);
+  } else if (jsonData && jsonData.objects) {
+    // Fallback if root has objects
+    traverse(jsonData);
+  }
+
+  console.log(`✓ Loaded ${elementMap.size} elements from JSON`);
+  return elementMap;
+};
@@ -0,0 +1,34 @@
+// Model format detection, from the file name or the first bytes of the file
+
+export const MODEL_EXTENSIONS = ['.dae', '.gltf', '.glb', '.ifc'];
+
+// Helper: Detect model format from a file name / URL extension
+export const detectFormatFromName = (name) => {
+  if (!name) return null;
+  const cleanName = name.split(/[?#]/)[0].toLowerCase();
+  if (cleanName.endsWith('.dae')) return 'dae';
+  if (cleanName.endsWith('.gltf')) return 'gltf';
+  if (cleanName.endsWith('.glb')) return 'glb';
+  if (cleanName.endsWith('.ifc')) return 'ifc';
+  return null;
+};
+
+// Helper: Detect model format from the first bytes of the file
+export const detectFormatFromContent = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024));
+
+  // Binary glTF starts with the ASCII magic "glTF"
+  if (bytes[0] === 0x67 && bytes[1] === 0x6c && bytes[2] === 0x54 && bytes[3] === 0x46) {
+    return 'glb';
+  }
+
+  const head = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('{') && head.includes('"asset"')) return 'gltf';
+  if (head.startsWith('ISO-10303-21')) return 'ifc';
+  if (head.startsWith('<') && /<COLLADA/i.test(head)) return 'dae';
+  if (head.startsWith('<?xml')) return 'dae';
+
+  return null;
+};
+
+export const isModelFileName = (name) => detectFormatFromName(name) !== null;
@@ -0,0 +1,79 @@
+// Model lifecycle: everything a loaded model allocates (GPU buffers, material
+// copies, textures, blob URLs) is released here when the model is unloaded,
+// replaced, or its load is cancelled.
+
+// Material slots kept in userData by the loading pipeline and the render modes
+const MATERIAL_SLOTS = [
+  'originalMaterial',
+  'originalMaterials',
+  'displayMaterial',
+  'displayMaterials',
+  'debugMaterial',
+  'debugMaterials'
+];
+
+// Helper: Collect every texture referenced by a material (map, normalMap, ...)
+const collectTextures = (material, textures) => {
+  Object.values(material).forEach(value => {
+    if (value && value.isTexture) {
+      textures.add(value);
+    }
+  });
+};
+
+/**
+ * Disposes the geometries, materials (including the userData copies) and
+ * textures of a model and detaches it from its parent. Shared resources are
+ * disposed once.
+ *
+ * @param {THREE.Object3D} root
+ * @returns {{geometries: number, materials: number, textures: number}}
+ */
+export const disposeModel = (root) => {
+  const geometries = new Set();
+  const materials = new Set();
+  const textures = new Set();
+
+  root.traverse(child => {
+    if (child.geometry) {
+      geometries.add(child.geometry);
+    }
+
+    [child.material, ...MATERIAL_SLOTS.map(slot => child.userData[slot])]
+      .flat()
+      .filter(Boolean)
+      .forEach(material => materials.add(material));
+  });
+
+  materials.forEach(material => collectTextures(material, textures));
+
+  geometries.forEach(geometry => geometry.dispose());
+  materials.forEach(material => material.dispose());
+  textures.forEach(texture => texture.dispose());
+
+  if (root.parent) {
+    root.parent.remove(root);
+  }
+
+  return { geometries: geometries.size, materials: materials.size, textures: textures.size };
+};
+
+export const revokeObjectUrls = (urls) => {
+  urls.filter(Boolean).forEach(url => {
+    if (url.startsWith('blob:')) {
+      URL.revokeObjectURL(url);
+    }
+  });
+};
+
+/**
+ * Snapshot of renderer and JS heap usage for the memory readout.
+ * The heap size is only available in Chromium based browsers.
+ */
+export const getMemoryStats = (renderer) => ({
+  geometries: renderer.info.memory.geometries,
+  textures: renderer.info.memory.textures,
+  drawCalls: renderer.info.render.calls,
+  triangles: renderer.info.render.triangles,
+  heapMB: performance.memory ? performance.memory.usedJSHeapSize / (1024 * 1024) : null
+});
@@ -0,0 +1,209 @@
+import { DefaultLoadingManager, FileLoader, LoaderUtils } from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module';
+import { deserializeScene } from './sceneTransfer';
+import { METRIC_Y_UP_ASSET } from '../utils/modelFrame';
+import { detectFormatFromContent, detectFormatFromName } from './modelFormats';
+
+// Draco decoder binaries are copied from three into public/ (scripts/copy-decoders.js)
+const DRACO_DECODER_PATH = `${process.env.PUBLIC_URL}/draco/`;
+
+let dracoLoader = null;
+
+const getGltfLoader = (manager) => {
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader();
+    dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+  }
+
+  // One loader per load: the manager maps external .bin/texture references
+  const gltfLoader = new GLTFLoader(manager);
+  gltfLoader.setDRACOLoader(dracoLoader);
+  gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+  return gltfLoader;
+};
+
+/**
+ * Runs one task in a fresh parse worker. The worker is terminated when the
+ * task finishes or when cancel() is called.
+ *
+ * @param {Function} [onProgress] - Called with the worker's progress percentage
+ * @returns {{promise: Promise<Object>, cancel: Function}}
+ */
+const runParseWorker = (message, transfer = [], onProgress = null) => {
+  const worker = new Worker(new URL('./modelParser.worker.js', import.meta.url));
+  let rejectTask = null;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectTask = reject;
+    worker.onmessage = (event) => {
+      const { type } = event.data;
+      if (type === 'progress') {
+        if (onProgress) onProgress(event.data.percent);
+      } else if (type === 'result') {
+        worker.terminate();
+        resolve(event.data.result);
+      } else if (type === 'error') {
+        worker.terminate();
+        reject(new Error(event.data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Parse worker failed'));
+    };
+    worker.postMessage(message, transfer);
+  });
+
+  const cancel = () => {
+    worker.terminate();
+    rejectTask(new DOMException('Parsing cancelled', 'AbortError'));
+  };
+
+  return { promise, cancel };
+};
+
+// Helper: Read a fetch response body while reporting download percentage
+const readWithProgress = async (response, onProgress) => {
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!onProgress || !total || !response.body) {
+    return response.arrayBuffer();
+  }
+
+  const reader = response.body.getReader();
+  const buffer = new Uint8Array(total);
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer.set(value, loaded);
+    loaded += value.length;
+    onProgress((loaded / total) * 100);
+  }
+  return buffer.buffer.slice(0, loaded);
+};
+
+/**
+ * Fetches a JSON metadata file and parses it (JSON.parse + ODA traversal) in the
+ * parse worker. Resolves to the element map, or null if the file doesn't exist.
+ *
+ * @param {Function} [onProgress] - Called with the download percentage
+ * @param {Object} [requestHeader] - Extra request headers (e.g. Authorization for the BIM API)
+ * @returns {{promise: Promise<Map|null>, cancel: Function}}
+ */
+export const loadMetadataFile = (url, onProgress = null, requestHeader = {}) => {
+  const abortController = new AbortController();
+  let workerTask = null;
+
+  const promise = fetch(url, { signal: abortController.signal, headers: requestHeader })
+    .then(response => {
+      if (!response.ok) {
+        return null;
+      }
+      return readWithProgress(response, onProgress).then(buffer => {
+        workerTask = runParseWorker({ type: 'parseMetadata', buffer }, [buffer]);
+        return workerTask.promise.then(result => result.elementMap);
+      });
+    });
+
+  const cancel = () => {
+    abortController.abort();
+    if (workerTask) workerTask.cancel();
+  };
+
+  return { promise, cancel };
+};
+
+/**
+ * Loads a Collada, glTF/GLB or IFC model and normalizes the result to
+ * `{ format, scene, library, elementMap, asset }` so the viewer can treat them the same way.
+ * `asset` holds the source units and up-axis ({ unitName, metersPerUnit, upAxis }); the
+ * scene itself is already scaled to meters and rotated to Y-up.
+ * `library` is only available for Collada files, `elementMap` only for IFC files
+ * (IFC carries its own metadata, no .metadata.json sidecar needed).
+ *
+ * Collada files are parsed in a Web Worker; the scene comes back as transferable
+ * buffers and `librarySummary` (entry counts) replaces the full `library`.
+ *
+ * @param {string} url - Model URL (may be a blob URL without extension)
+ * @param {string|null} formatHint - 'dae' | 'gltf' | 'glb' | 'ifc', detected from content when omitted
+ * @param {Function} onLoad - May return a promise; its rejection is reported through onError
+ * @param {Object} [options]
+ * @param {Function} [options.onParseProgress] - Called with the parse percentage once the download is done
+ * @param {LoadingManager} [options.manager] - Resolves referenced files (textures, .bin) of dropped packages
+ * @param {Object} [options.requestHeader] - Extra request headers (e.g. Authorization for the BIM API)
+ * @returns {{cancel: Function}} Handle to abort the download and terminate the parse worker
+ */
+export const loadModelFile = (url, formatHint, onLoad, onProgress, onError, options = {}) => {
+  const { onParseProgress = () => {}, manager = DefaultLoadingManager, requestHeader = {} } = options;
+  const resourcePath = LoaderUtils.extractUrlBase(url);
+  const fileLoader = new FileLoader();
+  fileLoader.setResponseType('arraybuffer');
+  fileLoader.setRequestHeader(requestHeader);
+  let workerTask = null;
+  let cancelled = false;
+
+  const handleError = (error) => {
+    if (!cancelled) onError(error);
+  };
+
+  const deliver = (result) => {
+    if (cancelled) return;
+    Promise.resolve()
+      .then(() => onLoad(result))
+      .catch(handleError);
+  };
+
+  fileLoader.load(
+    url,
+    (buffer) => {
+      if (cancelled) return;
+      const format = formatHint || detectFormatFromName(url) || detectFormatFromContent(buffer);
+      onParseProgress(0);
+
+      try {
+        if (format === 'dae') {
+          workerTask = runParseWorker(
+            { type: 'parseCollada', buffer, resourcePath },
+            [buffer],
+            onParseProgress
+          );
+          workerTask.promise
+            .then(({ scene, librarySummary, asset }) => {
+              if (cancelled) return;
+              deliver({ format, scene: deserializeScene(scene, manager), library: null, librarySummary, asset });
+            })
+            .catch(handleError);
+        } else if (format === 'gltf' || format === 'glb') {
+          getGltfLoader(manager).parse(
+            buffer,
+            resourcePath,
+            (gltf) => deliver({ format, scene: gltf.scene, library: null, asset: METRIC_Y_UP_ASSET }),
+            handleError
+          );
+        } else if (format === 'ifc') {
+          // web-ifc is large, only pull it in when an IFC file is opened
+          import('./ifcLoader')
+            .then(({ parseIfcModel }) => parseIfcModel(buffer))
+            .then(({ scene, elementMap, asset }) => deliver({ format, scene, library: null, elementMap, asset }))
+            .catch(handleError);
+        } else {
+          handleError(new Error('Unsupported model format. Expected a .dae, .gltf, .glb or .ifc file.'));
+        }
+      } catch (e) {
+        handleError(e);
+      }
+    },
+    onProgress,
+    handleError
+  );
+
+  const cancel = () => {
+    cancelled = true;
+    fileLoader.abort();
+    if (workerTask) workerTask.cancel();
+  };
+
+  return { cancel };
+};
@@ -0,0 +1,116 @@
+/* eslint-disable no-restricted-globals */
+import * as THREE from 'three';
+import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader';
+import { TGALoader } from 'three/examples/jsm/loaders/TGALoader';
+import { DOMParser as XmlDomParser, Element as XmlElement } from '@xmldom/xmldom';
+import { parseJsonMetadata } from './metadataParser';
+import { serializeScene } from './sceneTransfer';
+import { parseColladaAsset } from '../utils/modelFrame';
+
+// Parse worker: Collada XML parsing, geometry construction and JSON metadata
+// traversal run here so the UI thread stays responsive on large exports.
+//
+// Messages in:  { type: 'parseCollada', buffer, resourcePath }
+//               { type: 'parseMetadata', buffer }
+// Messages out: { type: 'progress', stage, percent }
+//               { type: 'result', result }
+//               { type: 'error', message }
+
+// Workers have no DOMParser; xmldom covers what ColladaLoader uses except
+// querySelector, which it only calls with [id="..."] / [sid="..."] selectors.
+self.DOMParser = XmlDomParser;
+
+XmlElement.prototype.querySelector = function (selector) {
+  const match = selector.match(/^\[(\w+)="(.*)"\]$/);
+  if (!match) {
+    throw new Error(`Unsupported selector in worker: ${selector}`);
+  }
+  const [, attribute, value] = match;
+  const ownerDocument = this.ownerDocument;
+
+  if (attribute === 'id') {
+    // ColladaLoader looks up every node by id, index them once per document
+    if (!ownerDocument._idIndex) {
+      ownerDocument._idIndex = new Map();
+      const elements = ownerDocument.getElementsByTagName('*');
+      for (let i = 0; i < elements.length; i++) {
+        const id = elements[i].getAttribute('id');
+        if (id && !ownerDocument._idIndex.has(id)) {
+          ownerDocument._idIndex.set(id, elements[i]);
+        }
+      }
+    }
+    return ownerDocument._idIndex.get(value) || null;
+  }
+
+  const elements = this.getElementsByTagName('*');
+  for (let i = 0; i < elements.length; i++) {
+    if (elements[i].getAttribute(attribute) === value) {
+      return elements[i];
+    }
+  }
+  return null;
+};
+
+// Images can't be decoded without a DOM here: keep the resolved URL on an
+// empty texture and let the main thread load it.
+const deferTextureLoad = function (url) {
+  const texture = new THREE.Texture();
+  texture.userData.sourceUrl = (this.path || '') + url;
+  return texture;
+};
+THREE.TextureLoader.prototype.load = deferTextureLoad;
+TGALoader.prototype.load = deferTextureLoad;
+
+const summarizeLibrary = (library) => {
+  if (!library) return null;
+  const summary = {};
+  Object.entries(library).forEach(([key, entries]) => {
+    summary[key] = Object.keys(entries || {}).length;
+  });
+  return summary;
+};
+
+const parseCollada = ({ buffer, resourcePath }) => {
+  self.postMessage({ type: 'progress', stage: 'decode', percent: 0 });
+  const text = new TextDecoder().decode(buffer);
+
+  self.postMessage({ type: 'progress', stage: 'parse', percent: 10 });
+  const collada = new ColladaLoader().parse(text, resourcePath);
+  if (!collada || !collada.scene) {
+    throw new Error('Failed to parse Collada file');
+  }
+
+  self.postMessage({ type: 'progress', stage: 'transfer', percent: 80 });
+  const { payload, transfer } = serializeScene(collada.scene);
+
+  self.postMessage({
+    type: 'result',
+    result: {
+      scene: payload,
+      librarySummary: summarizeLibrary(collada.library),
+      asset: parseColladaAsset(text)
+    }
+  }, transfer);
+};
+
+const parseMetadata = ({ buffer }) => {
+  self.postMessage({ type: 'progress', stage: 'parse', percent: 0 });
+  const jsonData = JSON.parse(new TextDecoder().decode(buffer));
+  const elementMap = parseJsonMetadata(jsonData);
+  self.postMessage({ type: 'result', result: { elementMap } });
+};
+
+self.onmessage = (event) => {
+  try {
+    if (event.data.type === 'parseCollada') {
+      parseCollada(event.data);
+    } else if (event.data.type === 'parseMetadata') {
+      parseMetadata(event.data);
+    } else {
+      throw new Error(`Unknown worker message: ${event.data.type}`);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
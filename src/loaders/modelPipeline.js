@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+
+// Loading pipeline stages that don't depend on viewer state. loadModel runs
+// them in the same order whether or not metadata could be loaded:
+//   inspect -> normalize -> (tree, match in the viewer) -> commit
+
+export const getNodeDepth = (node) => {
+  let depth = 0;
+  let current = node;
+  while (current.parent) {
+    depth++;
+    current = current.parent;
+  }
+  return depth;
+};
+
+const getParentChain = (node) => {
+  const chain = [];
+  let current = node;
+  while (current.parent) {
+    chain.unshift({
+      name: current.parent.name || 'unnamed',
+      type: current.parent.type
+    });
+    current = current.parent;
+  }
+  return chain;
+};
+
+/**
+ * Logs the structure of a parsed model and checks it has something to show.
+ * Throws with a user-facing message when the scene is missing or has no meshes.
+ *
+ * @returns {number} mesh count
+ */
+export const inspectModelScene = (scene) => {
+  if (!scene) {
+    throw new Error('Model loaded but scene is empty. The file may be corrupted or in an unsupported format.');
+  }
+
+  console.log('\n=== SCENE STRUCTURE ===');
+  console.log('Scene children count:', scene.children.length);
+
+  let meshCount = 0;
+  let nodeCount = 0;
+  const nodeTypes = {};
+  const hierarchyMap = new Map();
+
+  scene.traverse((child) => {
+    nodeCount++;
+    nodeTypes[child.type] = (nodeTypes[child.type] || 0) + 1;
+
+    const depth = getNodeDepth(child);
+    const parentName = child.parent ? (child.parent.name || child.parent.type) : 'ROOT';
+
+    if (!hierarchyMap.has(depth)) {
+      hierarchyMap.set(depth, []);
+    }
+
+    hierarchyMap.get(depth).push({
+      name: child.name || 'unnamed',
+      type: child.type,
+      id: child.id,
+      uuid: child.uuid,
+      parent: parentName,
+      isMesh: child.isMesh,
+      childrenCount: child.children.length,
+      userData: child.userData,
+      extra: child.extra,
+      properties: child.properties,
+      customData: child.customData
+    });
+
+    if (child.isMesh) {
+      meshCount++;
+
+      if (meshCount <= 5) {
+        console.log(`\n=== MESH ${meshCount} DETAILS ===`);
+        console.log(`  Name: ${child.name}`);
+        console.log(`  ID: ${child.id}`);
+        console.log(`  UUID: ${child.uuid}`);
+        console.log(`  Type: ${child.type}`);
+        console.log(`  Parent chain:`, getParentChain(child));
+        console.log(`  userData:`, child.userData);
+        console.log(`  extra:`, child.extra);
+        console.log(`  properties:`, child.properties);
+        console.log(`  Geometry:`, {
+          name: child.geometry.name,
+          type: child.geometry.type,
+          userData: child.geometry.userData,
+          attributes: Object.keys(child.geometry.attributes)
+        });
+        console.log(`  Material:`, {
+          name: child.material?.name,
+          type: child.material?.type,
+          userData: child.material?.userData
+        });
+        console.log(`  Position:`, child.position);
+        console.log(`  Scale:`, child.scale);
+        console.log(`  Visible:`, child.visible);
+
+        if (child.geometry) {
+          console.log(`  Vertices: ${child.geometry.attributes.position?.count || 0}`);
+          console.log(`  Has normals: ${!!child.geometry.attributes.normal}`);
+          console.log(`  Has UVs: ${!!child.geometry.attributes.uv}`);
+        }
+      }
+    }
+  });
+
+  console.log('\n=== HIERARCHY BY DEPTH ===');
+  for (const [depth, nodes] of hierarchyMap) {
+    console.log(`\nDepth ${depth}: ${nodes.length} nodes`);
+    if (depth <= 3) { 
+      nodes.slice(0, 10).forEach(node => {
+        console.log(`  - ${node.name} (${node.type}) [parent: ${node.parent}] [children: ${node.childrenCount}]`);
+        if (node.userData && Object.keys(node.userData).length > 0) {
+          console.log(`    userData:`, node.userData);
+        }
+      });
+      if (nodes.length > 10) {
+        console.log(`  ... and ${nodes.length - 10} more`);
+      }
+    }
+  }
+
+  console.log(`\nTotal nodes: ${nodeCount}`);
+  console.log('Node types:', nodeTypes);
+  console.log(`Total meshes: ${meshCount}`);
+
+  if (meshCount === 0) {
+    throw new Error('Model loaded but contains no mesh geometry. Check the model file structure.');
+  }
+  return meshCount;
+};
+
+// Helper: Display copy of a material: double sided, opaque, dark colours lifted to grey
+const createDisplayMaterial = (material) => {
+  const displayMat = material.clone();
+  displayMat.side = THREE.DoubleSide;
+  displayMat.needsUpdate = true;
+
+  displayMat.opacity = 1.0;
+  displayMat.transparent = false;
+  displayMat.depthWrite = true;
+  displayMat.depthTest = true;
+
+  if (displayMat.color) {
+    const brightness = displayMat.color.r + displayMat.color.g + displayMat.color.b;
+    if (brightness < 0.5) {
+      displayMat.color.set(0x808080);
+    }
+  } else {
+    displayMat.color = new THREE.Color(0x999999);
+  }
+
+  return displayMat;
+};
+
+/**
+ * Moves the model next to the viewer origin and prepares its materials.
+ *
+ * The loaders already converted to meters (<asset><unit>) and Y-up; true
+ * dimensions are kept and the model is only shifted for float precision. The
+ * first model is centred, the following ones reuse its origin (sharedOrigin)
+ * so federated models keep their relative positions.
+ *
+ * @param {THREE.Object3D} scene
+ * @param {Object} asset units/up axis of the source file (see modelFrame.js)
+ * @param {THREE.Vector3|null} sharedOrigin
+ */
+export const normalizeModel = (scene, asset, sharedOrigin = null) => {
+  console.log(`\nSource units: ${asset.unitName} (${asset.metersPerUnit} m), up axis: ${asset.upAxis}`);
+
+  const box = new THREE.Box3().setFromObject(scene);
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+
+  console.log('\nBounding box:');
+  console.log('  Min:', box.min);
+  console.log('  Max:', box.max);
+  console.log('  Center:', center);
+  console.log('  Size:', size);
+
+  const origin = sharedOrigin || center;
+  scene.position.sub(origin);
+
+  // Count objects and fix materials for Autodesk DAE files
+  let objectCount = 0;
+  let triangleCount = 0;
+  let materialFixCount = 0;
+
+  scene.traverse((child) => {
+    if (child.isMesh) {
+      objectCount++;
+
+      if (child.geometry) {
+        const posCount = child.geometry.attributes.position?.count || 0;
+        triangleCount += child.geometry.index
+          ? child.geometry.index.count / 3
+          : posCount / 3;
+      }
+
+      //  Autodesk/Revit DAE files:
+      if (child.material) {
+        materialFixCount++;
+
+        if (Array.isArray(child.material)) {
+          const originalMaterials = [];
+          const displayMaterials = [];
+
+          child.material.forEach((mat) => {
+            originalMaterials.push(mat.clone());
+            displayMaterials.push(createDisplayMaterial(mat));
+          });
+
+          child.material = displayMaterials;
+          child.userData.originalMaterials = originalMaterials;
+          child.userData.displayMaterials = displayMaterials;
+        } else {
+          child.userData.originalMaterial = child.material.clone();
+          const displayMat = createDisplayMaterial(child.material);
+          child.material = displayMat;
+          child.userData.displayMaterial = displayMat;
+        }
+      }
+
+      const triangles = child.geometry.index
+        ? child.geometry.index.count / 3
+        : (child.geometry.attributes.position?.count || 0) / 3;
+
+      if (triangles < 100) {
+        child.userData.isText = true;
+      }
+
+      // Ensure geometry normals exist
+      if (child.geometry && !child.geometry.attributes.normal) {
+        child.geometry.computeVertexNormals();
+      }
+
+      child.visible = true;
+      child.frustumCulled = false;
+    }
+  });
+
+  console.log(`\nMaterial fixes applied: ${materialFixCount}`);
+  console.log(`Model loaded: ${objectCount} objects, ${Math.round(triangleCount)} triangles`);
+
+  return { origin, size, objectCount, triangleCount };
+};
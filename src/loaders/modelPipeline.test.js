@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+import { getNodeDepth, inspectModelScene, normalizeModel } from './modelPipeline';
+import { METRIC_Y_UP_ASSET } from '../utils/modelFrame';
+
+// Helper: Box mesh of the given size centred on center
+const createBox = (name, size, center, material = new THREE.MeshStandardMaterial()) => {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size), material);
+  mesh.name = name;
+  mesh.position.set(...center);
+  return mesh;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getNodeDepth', () => {
+  it('counts the ancestors of a node', () => {
+    const root = new THREE.Group();
+    const group = new THREE.Group();
+    const mesh = createBox('wall', [1, 1, 1], [0, 0, 0]);
+    root.add(group);
+    group.add(mesh);
+
+    expect(getNodeDepth(root)).toBe(0);
+    expect(getNodeDepth(mesh)).toBe(2);
+  });
+});
+
+describe('inspectModelScene', () => {
+  it('returns the mesh count', () => {
+    const scene = new THREE.Group();
+    scene.add(createBox('wall', [1, 1, 1], [0, 0, 0]));
+    scene.add(createBox('slab', [1, 1, 1], [2, 0, 0]));
+
+    expect(inspectModelScene(scene)).toBe(2);
+  });
+
+  it('rejects a missing scene', () => {
+    expect(() => inspectModelScene(null)).toThrow('scene is empty');
+  });
+
+  it('rejects a scene without meshes', () => {
+    const scene = new THREE.Group();
+    scene.add(new THREE.Group());
+
+    expect(() => inspectModelScene(scene)).toThrow('no mesh geometry');
+  });
+});
+
+describe('normalizeModel', () => {
+  it('centres the first model and keeps its size', () => {
+    const scene = new THREE.Group();
+    scene.add(createBox('wall', [4, 2, 2], [10, 1, 0]));
+
+    const { origin, size, objectCount, triangleCount } = normalizeModel(scene, METRIC_Y_UP_ASSET);
+
+    expect(origin.toArray()).toEqual([10, 1, 0]);
+    expect(size.toArray()).toEqual([4, 2, 2]);
+    expect(scene.position.toArray()).toEqual([-10, -1, 0]);
+    expect(objectCount).toBe(1);
+    expect(triangleCount).toBe(12);
+  });
+
+  it('shifts following models by the shared origin', () => {
+    const scene = new THREE.Group();
+    scene.add(createBox('wall', [1, 1, 1], [10, 0, 0]));
+
+    const { origin } = normalizeModel(scene, METRIC_Y_UP_ASSET, new THREE.Vector3(5, 0, 0));
+
+    expect(origin.toArray()).toEqual([5, 0, 0]);
+    expect(scene.position.toArray()).toEqual([-5, 0, 0]);
+  });
+
+  it('keeps the source materials and shows opaque, double-sided copies', () => {
+    const material = new THREE.MeshStandardMaterial({ color: 0x000000, transparent: true, opacity: 0.2 });
+    const mesh = createBox('wall', [1, 1, 1], [0, 0, 0], material);
+    const scene = new THREE.Group();
+    scene.add(mesh);
+
+    normalizeModel(scene, METRIC_Y_UP_ASSET);
+
+    expect(mesh.userData.originalMaterial.opacity).toBe(0.2);
+    expect(mesh.material).toBe(mesh.userData.displayMaterial);
+    expect(mesh.material.side).toBe(THREE.DoubleSide);
+    expect(mesh.material.transparent).toBe(false);
+    expect(mesh.material.opacity).toBe(1);
+    // Black is lifted to grey
+    expect(mesh.material.color.getHex()).toBe(0x808080);
+  });
+
+  it('marks meshes under 100 triangles as text', () => {
+    const label = createBox('label', [1, 1, 1], [0, 0, 0]);
+    const sphere = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), new THREE.MeshStandardMaterial());
+    const scene = new THREE.Group();
+    scene.add(label, sphere);
+
+    normalizeModel(scene, METRIC_Y_UP_ASSET);
+
+    expect(label.userData.isText).toBe(true);
+    expect(sphere.userData.isText).toBeUndefined();
+  });
+});
@@ -0,0 +1,217 @@
+import { LoadingManager } from 'three';
+import { unzip } from 'three/examples/jsm/libs/fflate.module';
+import { isModelFileName } from './modelFormats';
+
+// A "package" is the set of files dropped or selected together: the model,
+// its metadata sidecar, textures and any other referenced resources (.bin...).
+
+// Helper: Normalize a path for lookups (forward slashes, no ./ or .., lower case)
+const normalizePath = (path) => {
+  const parts = [];
+  let decoded = path;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch (e) {
+    // Keep malformed escapes as they are
+  }
+  decoded
+    .replace(/\\/g, '/')
+    .replace(/^file:\/+/i, '')
+    .split('/')
+    .forEach(part => {
+      if (part === '' || part === '.') return;
+      if (part === '..') {
+        parts.pop();
+      } else {
+        parts.push(part);
+      }
+    });
+  return parts.join('/').toLowerCase();
+};
+
+const getBaseName = (path) => normalizePath(path).split('/').pop();
+
+const getDirName = (path) => {
+  const normalized = path.replace(/\\/g, '/');
+  const index = normalized.lastIndexOf('/');
+  return index >= 0 ? normalized.substring(0, index + 1) : '';
+};
+
+const readDirectoryEntries = (directoryEntry) => {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+
+  // readEntries returns results in batches until an empty batch
+  return new Promise((resolve, reject) => {
+    const readBatch = () => {
+      reader.readEntries((batch) => {
+        if (batch.length === 0) {
+          resolve(entries);
+        } else {
+          entries.push(...batch);
+          readBatch();
+        }
+      }, reject);
+    };
+    readBatch();
+  });
+};
+
+const walkEntry = async (entry, files) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    // fullPath starts with "/"
+    files.push({ path: entry.fullPath.replace(/^\//, ''), file });
+  } else if (entry.isDirectory) {
+    const children = await readDirectoryEntries(entry);
+    for (const child of children) {
+      await walkEntry(child, files);
+    }
+  }
+};
+
+const extractZip = async (zipFile) => {
+  const data = new Uint8Array(await zipFile.arrayBuffer());
+  const extracted = await new Promise((resolve, reject) => {
+    unzip(data, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+
+  return Object.entries(extracted)
+    .filter(([path]) => !path.endsWith('/') && !path.startsWith('__MACOSX/'))
+    .map(([path, bytes]) => ({
+      path,
+      file: new File([bytes], path.split('/').pop())
+    }));
+};
+
+/**
+ * Collects the files of a drop event, walking dropped folders and expanding
+ * .zip archives.
+ *
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{path: string, file: File}>>}
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+  const files = [];
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  if (entries.length > 0 && entries.every(Boolean)) {
+    for (const entry of entries) {
+      await walkEntry(entry, files);
+    }
+  } else {
+    Array.from(dataTransfer.files).forEach(file => files.push({ path: file.name, file }));
+  }
+
+  return expandArchives(files);
+};
+
+// Helper: Replace .zip entries with their content
+export const expandArchives = async (files) => {
+  const expanded = [];
+  for (const entry of files) {
+    if (entry.path.toLowerCase().endsWith('.zip')) {
+      console.log(`Extracting package: ${entry.path}`);
+      expanded.push(...(await extractZip(entry.file)));
+    } else {
+      expanded.push(entry);
+    }
+  }
+  return expanded;
+};
+
+/**
+ * Builds a loadable package: picks the model and its metadata sidecar and
+ * prepares a LoadingManager whose URL modifier maps the references made by the
+ * model (textures, .bin buffers) to blob URLs of the dropped files.
+ *
+ * References are matched by path relative to the model first, then by file
+ * name anywhere in the package. Unresolved ones are collected in `missing`.
+ *
+ * @param {Array<{path: string, file: File}>} files
+ * @returns {Object|null} null when the package contains no model file
+ */
+export const createModelPackage = (files) => {
+  const modelEntry = files.find(entry => isModelFileName(entry.path));
+  if (!modelEntry) return null;
+
+  // Windows exports mix cases (Model.DAE + model.metadata.json)
+  const baseName = modelEntry.file.name.replace(/\.(dae|gltf|glb|ifc)$/i, '').toLowerCase();
+  const metadataEntry = files.find(entry => {
+    const name = entry.file.name.toLowerCase();
+    return name === `${baseName}.metadata.json` || name === `${baseName}.json`;
+  }) || null;
+
+  const modelDir = normalizePath(getDirName(modelEntry.path));
+  const byRelativePath = new Map();
+  const byBaseName = new Map();
+  const objectUrls = new Map();
+
+  files.forEach(entry => {
+    if (entry === modelEntry || entry === metadataEntry) return;
+
+    const normalized = normalizePath(entry.path);
+    const relative = modelDir && normalized.startsWith(`${modelDir}/`)
+      ? normalized.substring(modelDir.length + 1)
+      : normalized;
+
+    byRelativePath.set(relative, entry);
+    if (!byBaseName.has(getBaseName(entry.path))) {
+      byBaseName.set(getBaseName(entry.path), entry);
+    }
+  });
+
+  const getObjectUrl = (entry) => {
+    if (!objectUrls.has(entry)) {
+      objectUrls.set(entry, URL.createObjectURL(entry.file));
+    }
+    return objectUrls.get(entry);
+  };
+
+  const modelUrl = getObjectUrl(modelEntry);
+  const metadataUrl = metadataEntry ? getObjectUrl(metadataEntry) : null;
+  // Loaders resolve relative references against the model URL's base
+  const modelBase = modelUrl.substring(0, modelUrl.lastIndexOf('/') + 1);
+
+  const resolved = new Set();
+  const missing = new Set();
+  const ownUrls = new Set([modelUrl, metadataUrl]);
+
+  const manager = new LoadingManager();
+  manager.setURLModifier((url) => {
+    if (url.startsWith('data:') || ownUrls.has(url)) {
+      return url;
+    }
+
+    const reference = url.startsWith(modelBase) ? url.substring(modelBase.length) : url;
+    const entry = byRelativePath.get(normalizePath(reference)) || byBaseName.get(getBaseName(reference));
+
+    if (!entry) {
+      missing.add(reference);
+      console.warn(`⚠️ Package reference not found: ${reference}`);
+      return url;
+    }
+
+    const objectUrl = getObjectUrl(entry);
+    ownUrls.add(objectUrl);
+    resolved.add(reference);
+    return objectUrl;
+  });
+
+  return {
+    modelEntry,
+    metadataEntry,
+    modelUrl,
+    metadataUrl,
+    manager,
+    fileCount: files.length,
+    getReport: () => ({
+      resolved: Array.from(resolved),
+      missing: Array.from(missing)
+    }),
+    objectUrls: () => Array.from(objectUrls.values())
+  };
+};
@@ -0,0 +1,92 @@
+import { zipSync, strToU8 } from 'three/examples/jsm/libs/fflate.module';
+import { createModelPackage, expandArchives } from './packageResolver';
+
+// Helper: Package entry of a dropped file at the given path
+const createEntry = (path, content = '') => ({ path, file: new File([content], path.split('/').pop()) });
+
+// jsdom has no blob URLs; number them like a browser would
+let urlCount = 0;
+beforeEach(() => {
+  urlCount = 0;
+  URL.createObjectURL = jest.fn(() => `blob:http://localhost/${++urlCount}`);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete URL.createObjectURL;
+});
+
+describe('createModelPackage', () => {
+  it('returns null without a model file', () => {
+    expect(createModelPackage([createEntry('readme.txt'), createEntry('wall.png')])).toBeNull();
+  });
+
+  it('picks the model and its metadata sidecar', () => {
+    const files = [createEntry('house/house.json'), createEntry('house/house.dae'), createEntry('house/other.json')];
+
+    const modelPackage = createModelPackage(files);
+
+    expect(modelPackage.modelEntry).toBe(files[1]);
+    expect(modelPackage.metadataEntry).toBe(files[0]);
+    expect(modelPackage.modelUrl).toMatch(/^blob:/);
+    expect(modelPackage.metadataUrl).toMatch(/^blob:/);
+  });
+
+  it('matches the sidecar regardless of case', () => {
+    const files = [createEntry('Model.DAE'), createEntry('model.metadata.json')];
+
+    expect(createModelPackage(files).metadataEntry).toBe(files[1]);
+  });
+
+  it('loads without metadata when there is no sidecar', () => {
+    const modelPackage = createModelPackage([createEntry('house.gltf'), createEntry('house.bin')]);
+
+    expect(modelPackage.metadataEntry).toBeNull();
+    expect(modelPackage.metadataUrl).toBeNull();
+  });
+
+  it('maps model references to the dropped files, by relative path then by file name', () => {
+    const files = [
+      createEntry('pkg/model/house.gltf'),
+      createEntry('pkg/model/textures/brick.png'),
+      createEntry('pkg/other/brick.png'),
+      createEntry('pkg/elsewhere/roof%20tiles.jpg')
+    ];
+    const modelPackage = createModelPackage(files);
+    const modify = (url) => modelPackage.manager.resolveURL(url);
+    const base = modelPackage.modelUrl.substring(0, modelPackage.modelUrl.lastIndexOf('/') + 1);
+
+    const brick = modify(`${base}textures/brick.png`);
+    expect(brick).toMatch(/^blob:/);
+    // The same file keeps its URL; the one under model/ wins over the other brick.png
+    expect(modify('./Textures/Brick.png')).toBe(brick);
+    expect(modify('C:\\exports\\roof tiles.jpg')).toMatch(/^blob:/);
+    expect(modify('data:image/png;base64,AAAA')).toBe('data:image/png;base64,AAAA');
+    expect(modify('missing.bin')).toBe('missing.bin');
+
+    const report = modelPackage.getReport();
+    expect(report.resolved).toEqual(['textures/brick.png', './Textures/Brick.png', 'C:\\exports\\roof tiles.jpg']);
+    expect(report.missing).toEqual(['missing.bin']);
+    expect(modelPackage.objectUrls()).toHaveLength(3);
+  });
+});
+
+describe('expandArchives', () => {
+  it('replaces .zip files with their content, skipping folders and macOS metadata', async () => {
+    const zipped = zipSync({
+      'house/house.dae': strToU8('<COLLADA/>'),
+      'house/textures/': new Uint8Array(0),
+      '__MACOSX/house/._house.dae': strToU8('x')
+    });
+    const archive = { path: 'house.zip', file: { arrayBuffer: async () => zipped.buffer } };
+    const texture = createEntry('brick.png');
+
+    const files = await expandArchives([archive, texture]);
+
+    expect(files.map(entry => entry.path)).toEqual(['house/house.dae', 'brick.png']);
+    expect(files[0].file.name).toBe('house.dae');
+    expect(files[0].file.size).toBe(10);
+  });
+});
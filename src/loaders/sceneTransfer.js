@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+
+// Serialization of a parsed scene between the parse worker and the main thread.
+// Geometry arrays travel as transferable buffers (no copy); materials and nodes
+// as plain objects. Textures travel as URLs and are loaded on the main thread.
+// Interleaved attributes are de-interleaved on the way; skinned meshes are not
+// supported and fail the load rather than arriving as static meshes.
+
+const MATERIAL_TYPES = {
+  MeshBasicMaterial: THREE.MeshBasicMaterial,
+  MeshLambertMaterial: THREE.MeshLambertMaterial,
+  MeshPhongMaterial: THREE.MeshPhongMaterial,
+  MeshStandardMaterial: THREE.MeshStandardMaterial,
+  LineBasicMaterial: THREE.LineBasicMaterial,
+  PointsMaterial: THREE.PointsMaterial
+};
+
+const TEXTURE_SLOTS = ['map', 'specularMap', 'emissiveMap', 'normalMap', 'bumpMap', 'lightMap', 'aoMap', 'alphaMap'];
+
+const serializeMaterial = (material) => {
+  const data = {
+    type: material.type,
+    name: material.name,
+    color: material.color ? material.color.getHex() : null,
+    emissive: material.emissive ? material.emissive.getHex() : null,
+    specular: material.specular ? material.specular.getHex() : null,
+    shininess: material.shininess,
+    opacity: material.opacity,
+    transparent: material.transparent,
+    side: material.side,
+    vertexColors: material.vertexColors,
+    textures: {}
+  };
+
+  TEXTURE_SLOTS.forEach(slot => {
+    const texture = material[slot];
+    if (texture && texture.userData.sourceUrl) {
+      data.textures[slot] = {
+        url: texture.userData.sourceUrl,
+        wrapS: texture.wrapS,
+        wrapT: texture.wrapT,
+        offset: texture.offset.toArray(),
+        repeat: texture.repeat.toArray(),
+        colorSpace: texture.colorSpace
+      };
+    }
+  });
+
+  return data;
+};
+
+// Helper: Plain { array, itemSize, normalized } of an attribute; interleaved data is copied out
+const serializeAttribute = (attribute, transfer) => {
+  let array = attribute.array;
+  if (attribute.isInterleavedBufferAttribute) {
+    array = new attribute.array.constructor(attribute.count * attribute.itemSize);
+    for (let i = 0; i < attribute.count; i++) {
+      for (let component = 0; component < attribute.itemSize; component++) {
+        array[i * attribute.itemSize + component] = attribute.getComponent(i, component);
+      }
+    }
+  }
+  transfer.add(array.buffer);
+  return { array, itemSize: attribute.itemSize, normalized: attribute.normalized };
+};
+
+const serializeGeometry = (geometry, transfer) => {
+  const attributes = {};
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    attributes[name] = serializeAttribute(attribute, transfer);
+  });
+
+  const morphAttributes = {};
+  Object.entries(geometry.morphAttributes).forEach(([name, targets]) => {
+    morphAttributes[name] = targets.map(attribute => serializeAttribute(attribute, transfer));
+  });
+
+  let index = null;
+  if (geometry.index) {
+    index = geometry.index.array;
+    transfer.add(index.buffer);
+  }
+
+  return {
+    name: geometry.name,
+    attributes,
+    morphAttributes,
+    morphTargetsRelative: geometry.morphTargetsRelative,
+    index,
+    groups: geometry.groups.map(group => ({ ...group }))
+  };
+};
+
+/**
+ * Flattens a scene graph into { nodes, geometries, materials } plus the list of
+ * ArrayBuffers to transfer with postMessage.
+ */
+export const serializeScene = (root) => {
+  const nodes = [];
+  const geometries = [];
+  const materials = [];
+  const geometryIndex = new Map();
+  const materialIndex = new Map();
+  const transfer = new Set();
+
+  const addGeometry = (geometry) => {
+    if (!geometryIndex.has(geometry)) {
+      geometryIndex.set(geometry, geometries.length);
+      geometries.push(serializeGeometry(geometry, transfer));
+    }
+    return geometryIndex.get(geometry);
+  };
+
+  const addMaterial = (material) => {
+    if (!materialIndex.has(material)) {
+      materialIndex.set(material, materials.length);
+      materials.push(serializeMaterial(material));
+    }
+    return materialIndex.get(material);
+  };
+
+  const visit = (object, parentIndex) => {
+    if (object.isSkinnedMesh) {
+      throw new Error(`Skinned meshes are not supported (mesh "${object.name || object.uuid}")`);
+    }
+
+    const node = {
+      name: object.name,
+      type: object.isMesh ? 'Mesh'
+        : object.isLineSegments ? 'LineSegments'
+        : object.isLine ? 'Line'
+        : object.isPoints ? 'Points'
+        : object.isScene ? 'Scene'
+        : object.isGroup ? 'Group' : 'Object3D',
+      parent: parentIndex,
+      matrix: object.matrix.toArray(),
+      visible: object.visible,
+      userData: object.userData,
+      geometry: null,
+      material: null,
+      morphTargetInfluences: object.morphTargetInfluences ? [...object.morphTargetInfluences] : null,
+      morphTargetDictionary: object.morphTargetDictionary || null
+    };
+
+    if (object.geometry) {
+      node.geometry = addGeometry(object.geometry);
+    }
+    if (object.material) {
+      node.material = Array.isArray(object.material)
+        ? object.material.map(addMaterial)
+        : addMaterial(object.material);
+    }
+
+    const index = nodes.length;
+    nodes.push(node);
+    object.children.forEach(child => visit(child, index));
+  };
+
+  root.updateMatrix();
+  root.traverse(object => object.updateMatrix());
+  visit(root, -1);
+
+  return {
+    payload: { nodes, geometries, materials },
+    transfer: Array.from(transfer)
+  };
+};
+
+const buildMaterial = (data, textureLoader) => {
+  const MaterialClass = MATERIAL_TYPES[data.type] || THREE.MeshPhongMaterial;
+  const material = new MaterialClass();
+  material.name = data.name;
+  if (data.color !== null && material.color) material.color.setHex(data.color);
+  if (data.emissive !== null && material.emissive) material.emissive.setHex(data.emissive);
+  if (data.specular !== null && material.specular) material.specular.setHex(data.specular);
+  if (data.shininess !== undefined && 'shininess' in material) material.shininess = data.shininess;
+  material.opacity = data.opacity;
+  material.transparent = data.transparent;
+  material.side = data.side;
+  material.vertexColors = data.vertexColors;
+
+  Object.entries(data.textures).forEach(([slot, textureData]) => {
+    const texture = textureLoader.load(textureData.url);
+    texture.wrapS = textureData.wrapS;
+    texture.wrapT = textureData.wrapT;
+    texture.offset.fromArray(textureData.offset);
+    texture.repeat.fromArray(textureData.repeat);
+    texture.colorSpace = textureData.colorSpace;
+    material[slot] = texture;
+  });
+
+  return material;
+};
+
+const buildGeometry = (data) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.name = data.name;
+  const toAttribute = (attribute) => new THREE.BufferAttribute(attribute.array, attribute.itemSize, attribute.normalized);
+  Object.entries(data.attributes).forEach(([name, attribute]) => {
+    geometry.setAttribute(name, toAttribute(attribute));
+  });
+  Object.entries(data.morphAttributes).forEach(([name, targets]) => {
+    geometry.morphAttributes[name] = targets.map(toAttribute);
+  });
+  geometry.morphTargetsRelative = data.morphTargetsRelative;
+  if (data.index) {
+    geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+  }
+  data.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+  return geometry;
+};
+
+/**
+ * Rebuilds the scene graph produced by serializeScene on the main thread.
+ * Texture URLs are already resolved against the model path by the worker.
+ *
+ * @param {Object} payload - { nodes, geometries, materials }
+ * @param {THREE.LoadingManager} [manager] - Used to map texture URLs (dropped packages)
+ */
+export const deserializeScene = (payload, manager = THREE.DefaultLoadingManager) => {
+  const textureLoader = new THREE.TextureLoader(manager);
+
+  const geometries = payload.geometries.map(buildGeometry);
+  const materials = payload.materials.map(data => buildMaterial(data, textureLoader));
+  const objects = [];
+
+  payload.nodes.forEach(node => {
+    let object;
+    const material = Array.isArray(node.material)
+      ? node.material.map(i => materials[i])
+      : materials[node.material];
+
+    switch (node.type) {
+      case 'Mesh':
+        object = new THREE.Mesh(geometries[node.geometry], material);
+        break;
+      case 'LineSegments':
+        object = new THREE.LineSegments(geometries[node.geometry], material);
+        break;
+      case 'Line':
+        object = new THREE.Line(geometries[node.geometry], material);
+        break;
+      case 'Points':
+        object = new THREE.Points(geometries[node.geometry], material);
+        break;
+      case 'Scene':
+        object = new THREE.Scene();
+        break;
+      case 'Group':
+        object = new THREE.Group();
+        break;
+      default:
+        object = new THREE.Object3D();
+    }
+
+    // Set after the constructor: Mesh sizes them from the geometry's morph attributes
+    if (node.morphTargetInfluences) {
+      object.morphTargetInfluences = node.morphTargetInfluences;
+      object.morphTargetDictionary = node.morphTargetDictionary;
+    }
+    object.name = node.name;
+    object.visible = node.visible;
+    object.userData = node.userData;
+    object.matrix.fromArray(node.matrix);
+    object.matrix.decompose(object.position, object.quaternion, object.scale);
+
+    if (node.parent >= 0) {
+      objects[node.parent].add(object);
+    }
+    objects.push(object);
+  });
+
+  return objects[0];
+};
@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+import { deserializeScene, serializeScene } from './sceneTransfer';
+
+// Helper: serializeScene then deserializeScene, as between the worker and the main thread
+const roundTrip = (root) => deserializeScene(serializeScene(root).payload);
+
+describe('serializeScene / deserializeScene', () => {
+  it('rebuilds the node hierarchy with names, transforms, visibility and userData', () => {
+    const root = new THREE.Group();
+    root.name = 'model';
+    const level = new THREE.Object3D();
+    level.name = 'Level 1';
+    level.position.set(0, 3, 0);
+    const wall = new THREE.Mesh(new THREE.BoxGeometry(1, 2, 3), new THREE.MeshPhongMaterial({ color: 0x336699 }));
+    wall.name = 'Wall';
+    wall.position.set(1, 2, 3);
+    wall.rotation.set(0, Math.PI / 2, 0);
+    wall.visible = false;
+    wall.userData.elementId = 42;
+    root.add(level);
+    level.add(wall);
+
+    const copy = roundTrip(root);
+
+    expect(copy.isGroup).toBe(true);
+    expect(copy.name).toBe('model');
+    const copiedWall = copy.getObjectByName('Wall');
+    expect(copiedWall.parent.name).toBe('Level 1');
+    expect(copiedWall.isMesh).toBe(true);
+    expect(copiedWall.visible).toBe(false);
+    expect(copiedWall.userData).toEqual({ elementId: 42 });
+    expect(copiedWall.position.toArray()).toEqual([1, 2, 3]);
+    expect(copiedWall.quaternion.angleTo(wall.quaternion)).toBeCloseTo(0);
+    expect(copiedWall.geometry.attributes.position.array).toEqual(wall.geometry.attributes.position.array);
+    expect(copiedWall.geometry.index.array).toEqual(wall.geometry.index.array);
+    expect(copiedWall.geometry.groups).toEqual(wall.geometry.groups);
+    expect(copiedWall.material.type).toBe('MeshPhongMaterial');
+    expect(copiedWall.material.color.getHex()).toBe(0x336699);
+  });
+
+  it('sends shared geometries and materials once, and lists their buffers for transfer', () => {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const material = new THREE.MeshStandardMaterial();
+    const root = new THREE.Group();
+    root.add(new THREE.Mesh(geometry, material), new THREE.Mesh(geometry, material));
+
+    const { payload, transfer } = serializeScene(root);
+
+    expect(payload.geometries).toHaveLength(1);
+    expect(payload.materials).toHaveLength(1);
+    expect(transfer).toContain(geometry.attributes.position.array.buffer);
+    expect(transfer).toContain(geometry.index.array.buffer);
+
+    const copy = deserializeScene(payload);
+    expect(copy.children[0].geometry).toBe(copy.children[1].geometry);
+  });
+
+  it('keeps multi-material meshes, lines and points', () => {
+    const box = new THREE.BoxGeometry(1, 1, 1);
+    const root = new THREE.Group();
+    root.add(new THREE.Mesh(box, [new THREE.MeshBasicMaterial(), new THREE.MeshLambertMaterial()]));
+    root.add(new THREE.LineSegments(new THREE.EdgesGeometry(box), new THREE.LineBasicMaterial()));
+    root.add(new THREE.Points(box, new THREE.PointsMaterial()));
+
+    const [mesh, lines, points] = roundTrip(root).children;
+
+    expect(mesh.material.map(material => material.type)).toEqual(['MeshBasicMaterial', 'MeshLambertMaterial']);
+    expect(lines.isLineSegments).toBe(true);
+    expect(points.isPoints).toBe(true);
+  });
+
+  it('de-interleaves interleaved attributes', () => {
+    // x, y, z, u, v per vertex
+    const buffer = new THREE.InterleavedBuffer(new Float32Array([
+      0, 0, 0, 0, 0,
+      1, 0, 0, 1, 0,
+      0, 1, 0, 0, 1
+    ]), 5);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.InterleavedBufferAttribute(buffer, 3, 0));
+    geometry.setAttribute('uv', new THREE.InterleavedBufferAttribute(buffer, 2, 3));
+    const root = new THREE.Group();
+    root.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial()));
+
+    const { attributes } = roundTrip(root).children[0].geometry;
+
+    expect(attributes.position.isInterleavedBufferAttribute).toBeFalsy();
+    expect(Array.from(attributes.position.array)).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    expect(Array.from(attributes.uv.array)).toEqual([0, 0, 1, 0, 0, 1]);
+  });
+
+  it('carries morph targets and their influences', () => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0, 1, 0, 0, 0, 1, 0], 3));
+    geometry.morphAttributes.position = [new THREE.Float32BufferAttribute([0, 0, 1, 0, 0, 1, 0, 0, 1], 3)];
+    geometry.morphTargetsRelative = true;
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial());
+    mesh.morphTargetInfluences[0] = 0.5;
+    mesh.morphTargetDictionary = { raised: 0 };
+    const root = new THREE.Group();
+    root.add(mesh);
+
+    const copy = roundTrip(root).children[0];
+
+    expect(Array.from(copy.geometry.morphAttributes.position[0].array)).toEqual([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+    expect(copy.geometry.morphTargetsRelative).toBe(true);
+    expect(copy.morphTargetInfluences).toEqual([0.5]);
+    expect(copy.morphTargetDictionary).toEqual({ raised: 0 });
+  });
+
+  it('rejects skinned meshes', () => {
+    const mesh = new THREE.SkinnedMesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshBasicMaterial());
+    mesh.name = 'Character';
+    const root = new THREE.Group();
+    root.add(mesh);
+
+    expect(() => serializeScene(root)).toThrow('Skinned meshes are not supported (mesh "Character")');
+  });
+});
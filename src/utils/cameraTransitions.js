@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+
+// Smooth camera moves (saved viewpoints, standard views, fly-to). The camera and
+// the orbit target move together, so the orbit controls stay consistent during
+// the move. The camera turns around the target rather than cutting through it,
+// so going from the front to the back view orbits around the model.
+
+const DEFAULT_DURATION = 700;
+
+// Helper: Cubic ease-in-out
+const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+/**
+ * Moves the camera and the orbit target to new positions. An orthographic
+ * camera also zooms to show viewHeight (world units), when given.
+ *
+ * @param {THREE.Camera} camera
+ * @param {OrbitControls} controls
+ * @param {{position: THREE.Vector3, target: THREE.Vector3, viewHeight?: number}} destination
+ * @param {{duration?: number, onComplete?: () => void}} options
+ * @returns {() => void} stops the move where it is
+ */
+export const animateCamera = (
+  camera,
+  controls,
+  { position, target, viewHeight },
+  { duration = DEFAULT_DURATION, onComplete } = {}
+) => {
+  const fromTarget = controls.target.clone();
+  const fromOffset = camera.position.clone().sub(fromTarget);
+  const toOffset = position.clone().sub(target);
+  const fromDistance = fromOffset.length();
+  const toDistance = toOffset.length();
+  const toDirection = toOffset.clone().normalize();
+  const fromDirection = fromDistance > 0 ? fromOffset.divideScalar(fromDistance) : toDirection;
+  const turn = new THREE.Quaternion().setFromUnitVectors(fromDirection, toDirection);
+
+  const fromZoom = camera.zoom;
+  const toZoom = camera.isOrthographicCamera && viewHeight > 0
+    ? (camera.top - camera.bottom) / viewHeight
+    : camera.zoom;
+
+  const noTurn = new THREE.Quaternion();
+  const stepTurn = new THREE.Quaternion();
+  const offset = new THREE.Vector3();
+  const start = performance.now();
+  let frame = null;
+
+  const step = (now) => {
+    const progress = Math.min((now - start) / duration, 1);
+    const eased = easeInOut(progress);
+    stepTurn.slerpQuaternions(noTurn, turn, eased);
+    offset.copy(fromDirection).applyQuaternion(stepTurn)
+      .multiplyScalar(THREE.MathUtils.lerp(fromDistance, toDistance, eased));
+    controls.target.lerpVectors(fromTarget, target, eased);
+    camera.position.copy(controls.target).add(offset);
+    if (toZoom !== fromZoom) {
+      camera.zoom = THREE.MathUtils.lerp(fromZoom, toZoom, eased);
+      camera.updateProjectionMatrix();
+    }
+    controls.update();
+
+    if (progress < 1) {
+      frame = requestAnimationFrame(step);
+    } else if (onComplete) {
+      onComplete();
+    }
+  };
+  frame = requestAnimationFrame(step);
+
+  return () => cancelAnimationFrame(frame);
+};
@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+
+// Standard views and the perspective/orthographic switch. The viewer is Y-up and
+// the front of a model faces +Z (project south for Z-up files), so the view
+// directions hold for every model.
+
+export const CAMERA_FOV = 75;
+
+export const PROJECTIONS = {
+  perspective: 'perspective',
+  orthographic: 'orthographic'
+};
+
+// Directions from the target to the camera
+export const STANDARD_VIEWS = [
+  { id: 'top', label: 'Top', direction: [0, 1, 0] },
+  { id: 'bottom', label: 'Bottom', direction: [0, -1, 0] },
+  { id: 'front', label: 'Front', direction: [0, 0, 1] },
+  { id: 'back', label: 'Back', direction: [0, 0, -1] },
+  { id: 'left', label: 'Left', direction: [-1, 0, 0] },
+  { id: 'right', label: 'Right', direction: [1, 0, 0] },
+  { id: 'iso', label: 'Iso', direction: [1, 1, 1] }
+];
+
+export const HOME_DIRECTION = [1, 1, 1];
+
+export const getProjection = (camera) =>
+  (camera.isOrthographicCamera ? PROJECTIONS.orthographic : PROJECTIONS.perspective);
+
+/**
+ * Height of the visible area, in world units: at the given distance from a
+ * perspective camera, anywhere for an orthographic one.
+ */
+export const getViewHeight = (camera, distance) => {
+  if (camera.isOrthographicCamera) {
+    return (camera.top - camera.bottom) / camera.zoom;
+  }
+  return 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+};
+
+// Helper: Distance at which a perspective camera sees a view of the given height
+const getDistanceForHeight = (camera, height) =>
+  height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+
+// Sets the orthographic frustum to a view height (zoom 1)
+const setOrthographicHeight = (camera, height, aspect) => {
+  camera.top = height / 2;
+  camera.bottom = -height / 2;
+  camera.left = -height * aspect / 2;
+  camera.right = height * aspect / 2;
+  camera.zoom = 1;
+  camera.updateProjectionMatrix();
+};
+
+export const createOrthographicCamera = (aspect) => {
+  const camera = new THREE.OrthographicCamera();
+  setOrthographicHeight(camera, 10, aspect);
+  return camera;
+};
+
+// Follows a viewport resize; an orthographic camera keeps its view height
+export const updateCameraAspect = (camera, aspect) => {
+  if (camera.isOrthographicCamera) {
+    const halfHeight = (camera.top - camera.bottom) / 2;
+    camera.left = -halfHeight * aspect;
+    camera.right = halfHeight * aspect;
+  } else {
+    camera.aspect = aspect;
+  }
+  camera.updateProjectionMatrix();
+};
+
+/**
+ * Puts `to` where `from` is, keeping the framing: the view height at the orbit
+ * target stays the same. A perspective camera moves along its view direction to
+ * get there; an orthographic one stays in place and changes its frustum.
+ *
+ * @param {THREE.Camera} from camera in use
+ * @param {THREE.Camera} to camera of the other projection
+ * @param {THREE.Vector3} target orbit target
+ * @param {number} aspect viewport width / height
+ */
+export const switchProjection = (from, to, target, aspect) => {
+  const offset = from.position.clone().sub(target);
+  const height = getViewHeight(from, offset.length());
+
+  to.near = from.near;
+  to.far = from.far;
+  to.up.copy(from.up);
+  to.quaternion.copy(from.quaternion);
+
+  if (to.isOrthographicCamera) {
+    to.position.copy(from.position);
+    setOrthographicHeight(to, height, aspect);
+  } else {
+    to.position.copy(target).add(offset.setLength(getDistanceForHeight(to, height)));
+    to.aspect = aspect;
+    to.updateProjectionMatrix();
+  }
+};
+
+/**
+ * Camera position, orbit target and view height framing a box, looking along
+ * viewDirection (from the target to the camera).
+ *
+ * @param {THREE.Box3} box
+ * @param {THREE.Vector3|number[]} viewDirection
+ * @returns {{position: THREE.Vector3, target: THREE.Vector3, viewHeight: number}}
+ */
+export const getFramingView = (box, viewDirection = HOME_DIRECTION) => {
+  const target = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z);
+  const halfFov = THREE.MathUtils.degToRad(CAMERA_FOV) / 2;
+  let distance = Math.abs(maxDim / Math.tan(halfFov)) * 2.5 * Math.sqrt(3);
+  if (!isFinite(distance) || distance <= 0) {
+    distance = 20 * Math.sqrt(3);
+  }
+
+  const direction = Array.isArray(viewDirection) ? new THREE.Vector3(...viewDirection) : viewDirection.clone();
+  if (direction.lengthSq() === 0) direction.set(...HOME_DIRECTION);
+
+  return {
+    position: target.clone().add(direction.setLength(distance)),
+    target,
+    viewHeight: 2 * distance * Math.tan(halfFov)
+  };
+};
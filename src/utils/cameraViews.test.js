@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+import {
+  CAMERA_FOV,
+  PROJECTIONS,
+  createOrthographicCamera,
+  getFramingView,
+  getProjection,
+  getViewHeight,
+  switchProjection,
+  updateCameraAspect
+} from './cameraViews';
+
+// Helper: Perspective camera on +Z looking at the origin
+const createPerspectiveCamera = (distance = 10) => {
+  const camera = new THREE.PerspectiveCamera(CAMERA_FOV, 2, 0.1, 1000);
+  camera.position.set(0, 0, distance);
+  camera.lookAt(0, 0, 0);
+  return camera;
+};
+
+describe('getViewHeight', () => {
+  it('grows with the distance for a perspective camera', () => {
+    const camera = createPerspectiveCamera();
+
+    expect(getViewHeight(camera, 10)).toBeCloseTo(2 * 10 * Math.tan(THREE.MathUtils.degToRad(CAMERA_FOV) / 2));
+    expect(getViewHeight(camera, 20)).toBeCloseTo(2 * getViewHeight(camera, 10));
+  });
+
+  it('is the frustum height over the zoom for an orthographic camera', () => {
+    const camera = createOrthographicCamera(2);
+    camera.zoom = 2;
+
+    expect(getProjection(camera)).toBe(PROJECTIONS.orthographic);
+    expect(getViewHeight(camera, 1000)).toBe(5);
+  });
+});
+
+describe('updateCameraAspect', () => {
+  it('keeps the view height of an orthographic camera', () => {
+    const camera = createOrthographicCamera(1);
+
+    updateCameraAspect(camera, 2);
+
+    expect([camera.left, camera.right, camera.top, camera.bottom]).toEqual([-10, 10, 5, -5]);
+  });
+
+  it('sets the aspect of a perspective camera', () => {
+    const camera = createPerspectiveCamera();
+
+    updateCameraAspect(camera, 0.5);
+
+    expect(camera.aspect).toBe(0.5);
+  });
+});
+
+describe('switchProjection', () => {
+  it('keeps the framing at the target both ways', () => {
+    const target = new THREE.Vector3();
+    const perspective = createPerspectiveCamera(10);
+    const orthographic = createOrthographicCamera(2);
+    const height = getViewHeight(perspective, 10);
+
+    switchProjection(perspective, orthographic, target, 2);
+    expect(getViewHeight(orthographic)).toBeCloseTo(height);
+    expect(orthographic.position.toArray()).toEqual([0, 0, 10]);
+    expect(orthographic.quaternion.equals(perspective.quaternion)).toBe(true);
+
+    // Zooming the orthographic view moves the perspective camera closer on the way back
+    orthographic.zoom = 2;
+    const back = createPerspectiveCamera(50);
+    switchProjection(orthographic, back, target, 2);
+    expect(back.position.z).toBeCloseTo(5);
+    expect(getViewHeight(back, 5)).toBeCloseTo(height / 2);
+  });
+});
+
+describe('getFramingView', () => {
+  it('looks at the box center from the given direction', () => {
+    const box = new THREE.Box3(new THREE.Vector3(-1, 0, -1), new THREE.Vector3(1, 4, 1));
+
+    const view = getFramingView(box, [0, 0, 1]);
+
+    expect(view.target.toArray()).toEqual([0, 2, 0]);
+    expect(view.position.x).toBeCloseTo(0);
+    expect(view.position.z).toBeGreaterThan(4);
+    expect(view.viewHeight).toBeGreaterThan(4);
+  });
+
+  it('defaults to the home direction and copes with an empty box or direction', () => {
+    const point = new THREE.Box3(new THREE.Vector3(1, 1, 1), new THREE.Vector3(1, 1, 1));
+
+    const view = getFramingView(point, new THREE.Vector3());
+    const offset = view.position.clone().sub(view.target);
+
+    expect(offset.length()).toBeCloseTo(20 * Math.sqrt(3));
+    expect(offset.x).toBeCloseTo(offset.y);
+    expect(offset.y).toBeCloseTo(offset.z);
+  });
+});
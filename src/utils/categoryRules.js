@@ -0,0 +1,245 @@
+// Category rules: an ordered list of regex rules that put model elements into
+// browser categories. The first enabled rule whose pattern matches one of its
+// fields wins; elements no rule matches go to "Generic Models". Tiny meshes
+// (text/annotations) without a metadata category skip the rules.
+//
+// Rule: { id, enabled, fields: ['name'|'geometry'|'material'|'parent'|'metadata'],
+//         metadataField, pattern, flags, category }
+// `category` may use the pattern's capture groups ($1, $2...).
+
+const STORAGE_KEY = 'bimCategoryRules';
+const EXPORT_VERSION = 1;
+
+export const RULE_FIELDS = [
+  { id: 'name', label: 'Name' },
+  { id: 'geometry', label: 'Geometry' },
+  { id: 'material', label: 'Material' },
+  { id: 'parent', label: 'Parent' },
+  { id: 'metadata', label: 'Metadata' }
+];
+
+export const FALLBACK_CATEGORY = 'Generic Models';
+export const TEXT_CATEGORY = 'Text & Annotations';
+
+let ruleCounter = 0;
+const nextRuleId = () => `rule-${Date.now().toString(36)}-${(ruleCounter++).toString(36)}`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const createRule = (patch = {}) => ({
+  id: nextRuleId(),
+  enabled: true,
+  fields: ['name'],
+  metadataField: 'category',
+  pattern: '',
+  flags: 'i',
+  category: '',
+  ...patch
+});
+
+// Helper: Keyword list -> case-insensitive alternation rule on names and parents
+const keywordRule = (category, keywords) => createRule({
+  fields: ['name', 'geometry', 'material', 'parent'],
+  pattern: keywords.map(escapeRegExp).join('|'),
+  category
+});
+
+// Helper: Metadata category codes (Revit OST_*, IFC classes) -> display category
+const metadataRule = (category, codes) => createRule({
+  fields: ['metadata'],
+  metadataField: 'category',
+  pattern: `^(${codes.map(escapeRegExp).join('|')})$`,
+  category
+});
+
+// Defaults reproduce the previous built-in tables (Revit OST codes, IFC classes,
+// English/Italian keywords); projects replace them in the rules editor
+export const getDefaultCategoryRules = () => [
+  metadataRule('Curtain Panels', ['OST_CurtainWallPanels', 'IFCPLATE']),
+  metadataRule('Curtain Wall Mullions', ['OST_CurtainWallMullions', 'IFCMEMBER']),
+  metadataRule('Curtain Walls', ['IFCCURTAINWALL']),
+  metadataRule('Walls', ['OST_Walls', 'IFCWALL', 'IFCWALLSTANDARDCASE']),
+  metadataRule('Floors', ['OST_Floors', 'IFCSLAB']),
+  metadataRule('Roofs', ['OST_Roofs', 'IFCROOF']),
+  metadataRule('Ceilings', ['IFCCOVERING']),
+  metadataRule('Windows', ['OST_Windows', 'IFCWINDOW']),
+  metadataRule('Doors', ['OST_Doors', 'IFCDOOR']),
+  metadataRule('Columns', ['OST_Columns']),
+  metadataRule('Structural Columns', ['OST_StructuralColumns', 'IFCCOLUMN']),
+  metadataRule('Structural Framing', ['OST_StructuralFraming', 'IFCBEAM']),
+  metadataRule('Structural Foundations', ['IFCFOOTING', 'IFCPILE']),
+  metadataRule('Stairs', ['IFCSTAIR', 'IFCSTAIRFLIGHT', 'IFCRAMP']),
+  metadataRule('Railings', ['IFCRAILING']),
+  metadataRule('Furniture', ['OST_Furniture', 'IFCFURNISHINGELEMENT', 'IFCFURNITURE']),
+  metadataRule('Rooms', ['IFCSPACE']),
+  metadataRule('Site', ['IFCSITE']),
+  metadataRule('Pipes', ['IFCPIPESEGMENT', 'IFCPIPEFITTING']),
+  metadataRule('Ducts', ['IFCDUCTSEGMENT', 'IFCDUCTFITTING']),
+  metadataRule('Cable Trays', ['IFCCABLECARRIERSEGMENT']),
+  metadataRule('Lighting Fixtures', ['IFCLIGHTFIXTURE']),
+  metadataRule('Plumbing Fixtures', ['IFCSANITARYTERMINAL']),
+  metadataRule('Mechanical Equipment', ['IFCFLOWTERMINAL']),
+  metadataRule('Generic Models', ['OST_GenericModel', 'IFCBUILDINGELEMENTPROXY']),
+  // Any other metadata category is used as is
+  createRule({ fields: ['metadata'], metadataField: 'category', pattern: '^(.+)$', category: '$1' }),
+
+  keywordRule('Curtain Panels', ['curtain panel', 'pannello', 'panel']),
+  keywordRule('Curtain Wall Mullions', ['mullion', 'montante', 'curtain wall mullion']),
+  keywordRule('Structural Columns', ['column', 'pilastri', 'pillar', 'post', 'colum']),
+  keywordRule('Structural Framing', ['beam', 'travi', 'frame', 'brace', 'joist', 'girder', 'purlin']),
+  keywordRule('Structural Foundations', ['foundation', 'fondazioni', 'footing', 'pile', 'base', 'plinth']),
+  keywordRule('Structural Connections', ['connection', 'connessioni', 'connector', 'plate', 'bolt', 'weld', 'gusset']),
+  keywordRule('Walls', ['wall', 'muro', 'pareti', 'partition']),
+  keywordRule('Floors', ['floor', 'pavimento', 'slab', 'deck', 'pianta']),
+  keywordRule('Roofs', ['roof', 'tetto', 'copertura']),
+  keywordRule('Ceilings', ['ceiling', 'soffitto', 'soffit']),
+  keywordRule('Doors', ['door', 'porta']),
+  keywordRule('Windows', ['window', 'finestra']),
+  keywordRule('Stairs', ['stair', 'scala', 'ramp', 'rampa', 'step']),
+  keywordRule('Railings', ['railing', 'ringhiera', 'handrail', 'guardrail', 'balustrade']),
+  keywordRule('Specialty Equipment', ['equipment', 'antenna', 'device', 'rru', 'parabola', 'apparatus']),
+  keywordRule('Generic Models', ['generic', 'model']),
+  keywordRule('Structural Stiffeners', ['stiffener', 'stiffening']),
+  keywordRule('Pipes', ['pipe', 'tubo', 'conduit', 'piping']),
+  keywordRule('Ducts', ['duct', 'condotto', 'ductwork']),
+  keywordRule('Cable Trays', ['cable', 'tray', 'cavo']),
+  keywordRule('Lighting Fixtures', ['light', 'lamp', 'fixture', 'luminaire']),
+  keywordRule('Electrical Fixtures', ['electrical', 'elettrico', 'outlet', 'switch']),
+  keywordRule('Electrical Equipment', ['transformer', 'switchboard']),
+  keywordRule('Plumbing Fixtures', ['plumbing', 'sink', 'toilet', 'faucet']),
+  keywordRule('Mechanical Equipment', ['hvac', 'mechanical', 'fan', 'pump']),
+  keywordRule('Site', ['site', 'planimetria', 'topography', 'terrain']),
+  keywordRule('Data Devices', ['data', 'sensor']),
+  keywordRule('Sections', ['sezione', 'section'])
+];
+
+// Helper: Validate and normalize rules read from storage or an imported file
+const sanitizeRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw new Error('Expected a list of rules');
+  }
+  return rules.map(rule => {
+    if (!rule || typeof rule.pattern !== 'string' || typeof rule.category !== 'string') {
+      throw new Error('Each rule needs a pattern and a category');
+    }
+    const fields = (Array.isArray(rule.fields) ? rule.fields : [rule.field])
+      .filter(field => RULE_FIELDS.some(known => known.id === field));
+    return createRule({
+      enabled: rule.enabled !== false,
+      fields: fields.length > 0 ? fields : ['name'],
+      metadataField: rule.metadataField || 'category',
+      pattern: rule.pattern,
+      flags: typeof rule.flags === 'string' ? rule.flags.replace(/[^imsu]/g, '') : 'i',
+      category: rule.category
+    });
+  });
+};
+
+export const loadCategoryRules = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? sanitizeRules(JSON.parse(stored)) : getDefaultCategoryRules();
+  } catch (e) {
+    console.error('Failed to read category rules, using defaults:', e);
+    return getDefaultCategoryRules();
+  }
+};
+
+export const saveCategoryRules = (rules) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+};
+
+export const exportCategoryRules = (rules) => JSON.stringify({
+  version: EXPORT_VERSION,
+  rules: rules.map(({ id, ...rule }) => rule)
+}, null, 2);
+
+// Accepts the exported { version, rules } document or a bare rule array
+export const importCategoryRules = (text) => {
+  const data = JSON.parse(text);
+  return sanitizeRules(Array.isArray(data) ? data : data.rules);
+};
+
+// Returns the error message of an invalid pattern, or null
+export const getPatternError = (rule) => {
+  try {
+    new RegExp(rule.pattern, rule.flags);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+};
+
+// Helper: Value of a metadata field: top-level key (category, familyName...) or "Group.Property"
+const getMetadataValue = (metadata, fieldPath) => {
+  if (!metadata || !fieldPath) return undefined;
+  if (metadata[fieldPath] !== undefined && typeof metadata[fieldPath] !== 'object') {
+    return metadata[fieldPath];
+  }
+  const separator = fieldPath.indexOf('.');
+  if (separator < 0) return undefined;
+  const group = metadata.propertyGroups?.[fieldPath.substring(0, separator)];
+  return group ? group[fieldPath.substring(separator + 1)] : undefined;
+};
+
+const getFieldValues = (field, rule, element) => {
+  const { node, displayName, metadata } = element;
+  switch (field) {
+    case 'name':
+      return [displayName, node.name];
+    case 'geometry':
+      return [node.geometry?.name];
+    case 'material':
+      return [node.material].flat().map(material => material?.name);
+    case 'parent': {
+      // Up to three levels above the mesh, below the scene
+      const names = [];
+      let current = node.parent;
+      while (current && current.type !== 'Scene' && names.length < 3) {
+        names.push(current.name);
+        current = current.parent;
+      }
+      return names;
+    }
+    case 'metadata': {
+      const value = getMetadataValue(metadata, rule.metadataField);
+      return value === undefined || value === null ? [] : [String(value)];
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Compiles rules once per tree build; invalid patterns and disabled rules are dropped.
+ */
+export const compileCategoryRules = (rules) => rules
+  .filter(rule => rule.enabled && rule.pattern && !getPatternError(rule))
+  .map(rule => ({ ...rule, regex: new RegExp(rule.pattern, rule.flags) }));
+
+/**
+ * Resolves the category of one mesh.
+ *
+ * @param {{node: THREE.Mesh, displayName: string, metadata: Object|null}} element
+ * @param {Array} compiledRules result of compileCategoryRules
+ */
+export const resolveCategory = (element, compiledRules) => {
+  if (element.node.userData.isText && !element.metadata?.category) {
+    return TEXT_CATEGORY;
+  }
+
+  for (const rule of compiledRules) {
+    for (const field of rule.fields) {
+      for (const value of getFieldValues(field, rule, element)) {
+        if (!value) continue;
+        const match = String(value).match(rule.regex);
+        if (match) {
+          const category = rule.category.replace(/\$(\d)/g, (_, group) => match[group] || '').trim();
+          if (category) return category;
+        }
+      }
+    }
+  }
+
+  return FALLBACK_CATEGORY;
+};
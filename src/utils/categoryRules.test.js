@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+import {
+  FALLBACK_CATEGORY,
+  TEXT_CATEGORY,
+  compileCategoryRules,
+  createRule,
+  exportCategoryRules,
+  getDefaultCategoryRules,
+  getPatternError,
+  importCategoryRules,
+  loadCategoryRules,
+  resolveCategory,
+  saveCategoryRules
+} from './categoryRules';
+
+// Helper: Element as the model browser passes it to resolveCategory
+const createElement = (name, { metadata = null, parentName, userData = {} } = {}) => {
+  const node = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+  node.name = name;
+  Object.assign(node.userData, userData);
+  if (parentName) {
+    const parent = new THREE.Group();
+    parent.name = parentName;
+    parent.add(node);
+  }
+  return { node, displayName: name, metadata };
+};
+
+afterEach(() => {
+  localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+describe('resolveCategory', () => {
+  const defaults = compileCategoryRules(getDefaultCategoryRules());
+
+  it('maps metadata category codes before keywords', () => {
+    expect(resolveCategory(createElement('Door frame', { metadata: { category: 'OST_Walls' } }), defaults)).toBe('Walls');
+    expect(resolveCategory(createElement('x', { metadata: { category: 'IFCWINDOW' } }), defaults)).toBe('Windows');
+  });
+
+  it('uses unknown metadata categories as they are', () => {
+    expect(resolveCategory(createElement('x', { metadata: { category: 'Planting' } }), defaults)).toBe('Planting');
+  });
+
+  it('falls back to keywords in names and parents, then to Generic Models', () => {
+    expect(resolveCategory(createElement('Finestra 120x140'), defaults)).toBe('Windows');
+    expect(resolveCategory(createElement('mesh_12', { parentName: 'Handrail' }), defaults)).toBe('Railings');
+    expect(resolveCategory(createElement('mesh_12'), defaults)).toBe(FALLBACK_CATEGORY);
+  });
+
+  it('keeps text meshes without a metadata category out of the rules', () => {
+    expect(resolveCategory(createElement('Wall label', { userData: { isText: true } }), defaults)).toBe(TEXT_CATEGORY);
+  });
+
+  it('applies the first enabled rule, with capture groups in the category', () => {
+    const rules = compileCategoryRules([
+      createRule({ pattern: 'wall', category: 'Disabled', enabled: false }),
+      createRule({ pattern: '^(\\w+)-TYPE', category: 'Type $1' }),
+      createRule({ pattern: 'wall', category: 'Walls' })
+    ]);
+
+    expect(resolveCategory(createElement('Wall-TYPE A'), rules)).toBe('Type Wall');
+    expect(resolveCategory(createElement('Curtain wall'), rules)).toBe('Walls');
+  });
+
+  it('reads nested metadata properties', () => {
+    const rules = compileCategoryRules([
+      createRule({ fields: ['metadata'], metadataField: 'Identity Data.Assembly Code', pattern: '^B20', category: 'Exterior Enclosure' })
+    ]);
+    const metadata = { propertyGroups: { 'Identity Data': { 'Assembly Code': 'B2010' } } };
+
+    expect(resolveCategory(createElement('x', { metadata }), rules)).toBe('Exterior Enclosure');
+  });
+});
+
+describe('compileCategoryRules', () => {
+  it('drops disabled, empty and invalid rules', () => {
+    const rules = [
+      createRule({ pattern: 'ok', category: 'A' }),
+      createRule({ pattern: 'off', category: 'B', enabled: false }),
+      createRule({ pattern: '', category: 'C' }),
+      createRule({ pattern: '(', category: 'D' })
+    ];
+
+    expect(compileCategoryRules(rules).map(rule => rule.category)).toEqual(['A']);
+    expect(getPatternError(rules[3])).toEqual(expect.any(String));
+    expect(getPatternError(rules[0])).toBeNull();
+  });
+});
+
+describe('import / export', () => {
+  it('round-trips rules without their ids', () => {
+    const rules = [createRule({ pattern: 'beam', category: 'Framing', fields: ['name', 'parent'] })];
+
+    const exported = exportCategoryRules(rules);
+    expect(JSON.parse(exported).rules[0].id).toBeUndefined();
+
+    const [imported] = importCategoryRules(exported);
+    expect(imported).toMatchObject({ pattern: 'beam', category: 'Framing', fields: ['name', 'parent'], enabled: true });
+    expect(imported.id).toEqual(expect.any(String));
+  });
+
+  it('accepts a bare rule array and sanitizes fields and flags', () => {
+    const [rule] = importCategoryRules(JSON.stringify([{ field: 'unknown', pattern: 'x', category: 'X', flags: 'gi' }]));
+
+    expect(rule.fields).toEqual(['name']);
+    expect(rule.flags).toBe('i');
+  });
+
+  it('rejects rules without a pattern or a category', () => {
+    expect(() => importCategoryRules('{"rules": [{"pattern": "x"}]}')).toThrow('Each rule needs a pattern and a category');
+    expect(() => importCategoryRules('{"rules": "x"}')).toThrow('Expected a list of rules');
+  });
+});
+
+describe('loadCategoryRules', () => {
+  it('returns the saved rules, or the defaults', () => {
+    expect(loadCategoryRules()).toHaveLength(getDefaultCategoryRules().length);
+
+    saveCategoryRules([createRule({ pattern: 'x', category: 'X' })]);
+    expect(loadCategoryRules().map(rule => rule.category)).toEqual(['X']);
+  });
+
+  it('falls back to the defaults when the stored rules are invalid', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('bimCategoryRules', '{');
+
+    expect(loadCategoryRules()).toHaveLength(getDefaultCategoryRules().length);
+  });
+});
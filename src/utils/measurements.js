@@ -0,0 +1,334 @@
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer';
+import { viewerToProject, metersToProjectUnits, getUnitSymbol } from './modelFrame';
+
+// Measurements: tools, snapping onto the model geometry, values in project
+// units and the overlay drawing them. A measurement is plain data in viewer
+// coordinates (meters): { id, name, tool, points: [[x, y, z]...], normal }.
+
+// points: clicks needed (null = open-ended, finished with Enter or a double-click)
+export const MEASURE_TOOLS = {
+  pointToPoint: { id: 'pointToPoint', label: 'Point to point', points: 2, hint: 'Click two points' },
+  distance: {
+    id: 'distance',
+    label: 'Distance',
+    points: 2,
+    hint: 'Click a face, then a point: perpendicular distance to the face'
+  },
+  polyline: {
+    id: 'polyline',
+    label: 'Polyline',
+    points: null,
+    minPoints: 2,
+    hint: 'Click points, double-click or Enter to finish'
+  },
+  angle: { id: 'angle', label: 'Angle', points: 3, hint: 'Click a point, the corner, then another point' },
+  area: {
+    id: 'area',
+    label: 'Area',
+    points: null,
+    minPoints: 3,
+    hint: 'Click the corners, double-click or Enter to finish'
+  },
+  elevation: { id: 'elevation', label: 'Elevation', points: 1, hint: 'Click a point' }
+};
+
+const MEASURE_COLOR = 0xe8590c;
+// Max distance (px) between the pointer and a vertex or edge it snaps to
+const SNAP_RADIUS = 10;
+// Edges between faces meeting at a smaller angle (degrees) are triangulation, not model edges
+const FEATURE_EDGE_ANGLE = 30;
+
+// Helper: Area of a (roughly planar) 3D polygon, Newell's method
+const getPolygonArea = (points) => {
+  const normal = new THREE.Vector3();
+  points.forEach((current, index) => {
+    const next = points[(index + 1) % points.length];
+    normal.x += (current.y - next.y) * (current.z + next.z);
+    normal.y += (current.z - next.z) * (current.x + next.x);
+    normal.z += (current.x - next.x) * (current.y + next.y);
+  });
+  return normal.length() / 2;
+};
+
+// Helper: Foot of the perpendicular from the second point to the face of the first
+const getPerpendicularFoot = (points, normal) => {
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(new THREE.Vector3(...normal), points[0]);
+  return plane.projectPoint(points[1], new THREE.Vector3());
+};
+
+/**
+ * Value of a measurement in project units: { value, unit }. Lengths and areas
+ * use the units of the project file, elevations its vertical coordinate.
+ *
+ * @param {Object} measurement
+ * @param {Object|null} frame model frame of the project (null: meters)
+ */
+export const getMeasurementResult = (measurement, frame) => {
+  const points = measurement.points.map(point => new THREE.Vector3(...point));
+  const unit = frame ? getUnitSymbol(frame) : 'm';
+  const toProjectUnits = (meters) => (frame ? metersToProjectUnits(meters, frame) : meters);
+
+  switch (measurement.tool) {
+    case MEASURE_TOOLS.distance.id:
+      return { value: toProjectUnits(points[1].distanceTo(getPerpendicularFoot(points, measurement.normal))), unit };
+    case MEASURE_TOOLS.polyline.id:
+      return {
+        value: toProjectUnits(points.slice(1).reduce((sum, point, index) => sum + point.distanceTo(points[index]), 0)),
+        unit
+      };
+    case MEASURE_TOOLS.angle.id: {
+      const first = points[0].clone().sub(points[1]);
+      const second = points[2].clone().sub(points[1]);
+      return { value: THREE.MathUtils.radToDeg(first.angleTo(second)), unit: '°' };
+    }
+    case MEASURE_TOOLS.area.id:
+      return { value: toProjectUnits(toProjectUnits(getPolygonArea(points))), unit: `${unit}²` };
+    case MEASURE_TOOLS.elevation.id: {
+      const projectPoint = frame ? viewerToProject(points[0], frame) : points[0];
+      return { value: frame?.upAxis === 'Z_UP' ? projectPoint.z : projectPoint.y, unit };
+    }
+    default:
+      return { value: toProjectUnits(points[0].distanceTo(points[1])), unit };
+  }
+};
+
+export const formatMeasurement = (measurement, frame) => {
+  const { value, unit } = getMeasurementResult(measurement, frame);
+  return unit === '°' ? `${value.toFixed(1)}°` : `${value.toFixed(2)} ${unit}`;
+};
+
+// CSV with one row per measurement; points in project coordinates
+export const measurementsToCsv = (measurements, frame) => {
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const rows = [['Name', 'Type', 'Value', 'Unit', 'Points'].join(',')];
+  measurements.forEach(measurement => {
+    const { value, unit } = getMeasurementResult(measurement, frame);
+    const points = measurement.points
+      .map(point => {
+        const viewerPoint = new THREE.Vector3(...point);
+        const projectPoint = frame ? viewerToProject(viewerPoint, frame) : viewerPoint;
+        return projectPoint.toArray().map(coordinate => coordinate.toFixed(3)).join(' ');
+      })
+      .join('; ');
+    rows.push([
+      quote(measurement.name),
+      quote(MEASURE_TOOLS[measurement.tool].label),
+      value.toFixed(4),
+      quote(unit),
+      quote(points)
+    ].join(','));
+  });
+  return rows.join('\n');
+};
+
+// === SNAPPING ===
+
+// Geometry -> feature edge end points (local coordinates, 6 numbers per edge)
+const featureEdgesCache = new WeakMap();
+
+const getFeatureEdges = (geometry) => {
+  if (!featureEdgesCache.has(geometry)) {
+    const edges = new THREE.EdgesGeometry(geometry, FEATURE_EDGE_ANGLE);
+    featureEdgesCache.set(geometry, edges.attributes.position.array);
+    edges.dispose();
+  }
+  return featureEdgesCache.get(geometry);
+};
+
+/**
+ * Snaps a pick result (see pickObject) to the picked mesh: a vertex, else an edge
+ * midpoint, else the nearest point of an edge, when one is within SNAP_RADIUS
+ * pixels of the pointer; otherwise the point on the face.
+ *
+ * @param {{object: THREE.Mesh, point: THREE.Vector3, normal: THREE.Vector3|null}} hit
+ * @param {[number, number]} pointer pointer position in canvas pixels
+ * @param {THREE.Camera} camera
+ * @param {number} width canvas width in pixels
+ * @param {number} height canvas height in pixels
+ * @returns {{point: THREE.Vector3, normal: THREE.Vector3|null, kind: string}}
+ */
+export const snapToGeometry = (hit, pointer, camera, width, height) => {
+  const edges = hit.object.geometry ? getFeatureEdges(hit.object.geometry) : [];
+  const matrix = hit.object.matrixWorld;
+  const projected = new THREE.Vector3();
+  let best = null;
+
+  // Lower priority wins; within one priority, the closest to the pointer
+  const consider = (point, kind, priority) => {
+    projected.copy(point).project(camera);
+    if (projected.z > 1) return;
+    const distance = Math.hypot(
+      (projected.x + 1) / 2 * width - pointer[0],
+      (1 - projected.y) / 2 * height - pointer[1]
+    );
+    if (distance > SNAP_RADIUS) return;
+    if (!best || priority < best.priority || (priority === best.priority && distance < best.distance)) {
+      best = { point: point.clone(), kind, priority, distance };
+    }
+  };
+
+  const start = new THREE.Vector3();
+  const end = new THREE.Vector3();
+  const edge = new THREE.Line3(start, end);
+  const onEdge = new THREE.Vector3();
+  for (let i = 0; i < edges.length; i += 6) {
+    start.fromArray(edges, i).applyMatrix4(matrix);
+    end.fromArray(edges, i + 3).applyMatrix4(matrix);
+    consider(start, 'vertex', 0);
+    consider(end, 'vertex', 0);
+    consider(onEdge.lerpVectors(start, end, 0.5), 'midpoint', 1);
+    consider(edge.closestPointToPoint(hit.point, true, onEdge), 'edge', 2);
+  }
+
+  return best
+    ? { point: best.point, normal: hit.normal, kind: best.kind }
+    : { point: hit.point.clone(), normal: hit.normal, kind: 'face' };
+};
+
+// === OVERLAY ===
+
+/**
+ * Lines, points and labels of the measurements, drawn over the model. Labels are
+ * CSS2DObjects: the viewer renders them with a CSS2DRenderer.
+ *
+ * @param {THREE.Scene} scene
+ */
+export const createMeasurementOverlay = (scene) => {
+  const group = new THREE.Group();
+  group.name = 'measurements';
+  scene.add(group);
+  const saved = new THREE.Group();
+  const draft = new THREE.Group();
+  group.add(saved, draft);
+
+  const lineMaterial = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false });
+  const draftLineMaterial = new THREE.LineBasicMaterial({
+    color: MEASURE_COLOR,
+    depthTest: false,
+    transparent: true,
+    opacity: 0.6
+  });
+  const pointMaterial = new THREE.PointsMaterial({
+    color: MEASURE_COLOR,
+    size: 7,
+    sizeAttenuation: false,
+    depthTest: false
+  });
+  const snapMaterial = new THREE.PointsMaterial({
+    color: 0x1c7ed6,
+    size: 11,
+    sizeAttenuation: false,
+    depthTest: false
+  });
+
+  // Helper: Remove (and dispose) everything in a group; CSS2DObjects drop their element when removed
+  const clearGroup = (target) => {
+    target.children.forEach(object => object.geometry?.dispose());
+    target.clear();
+  };
+
+  const addLine = (target, points, material, closed = false) => {
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const line = closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+    line.renderOrder = 10;
+    target.add(line);
+  };
+
+  const addPoints = (target, points, material) => {
+    const markers = new THREE.Points(new THREE.BufferGeometry().setFromPoints(points), material);
+    markers.renderOrder = 11;
+    target.add(markers);
+  };
+
+  const addLabel = (target, position, text, className) => {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    const label = new CSS2DObject(element);
+    label.position.copy(position);
+    target.add(label);
+  };
+
+  // Helper: Lines, points and label of one measurement (complete or being drawn)
+  const addMeasurement = (target, measurement, frame, { material, labelClass, name }) => {
+    const points = measurement.points.map(point => new THREE.Vector3(...point));
+    const tool = MEASURE_TOOLS[measurement.tool];
+    addPoints(target, points, pointMaterial);
+
+    const complete = tool.points ? points.length === tool.points : points.length >= tool.minPoints;
+    if (points.length > 1) {
+      if (tool.id === MEASURE_TOOLS.distance.id) {
+        addLine(target, complete ? [points[1], getPerpendicularFoot(points, measurement.normal)] : points, material);
+      } else {
+        addLine(target, points, material, tool.id === MEASURE_TOOLS.area.id && points.length > 2);
+      }
+    }
+    if (!complete) return;
+
+    let anchor;
+    if (tool.id === MEASURE_TOOLS.angle.id || tool.id === MEASURE_TOOLS.elevation.id) {
+      anchor = points[tool.id === MEASURE_TOOLS.angle.id ? 1 : 0];
+    } else if (tool.id === MEASURE_TOOLS.distance.id) {
+      anchor = points[1].clone().lerp(getPerpendicularFoot(points, measurement.normal), 0.5);
+    } else if (tool.id === MEASURE_TOOLS.area.id) {
+      anchor = points.reduce((sum, point) => sum.add(point), new THREE.Vector3()).divideScalar(points.length);
+    } else {
+      anchor = points[points.length - 2].clone().lerp(points[points.length - 1], 0.5);
+    }
+    const value = formatMeasurement(measurement, frame);
+    addLabel(target, anchor, name ? `${name}: ${value}` : value, labelClass);
+  };
+
+  const setMeasurements = (measurements, frame) => {
+    clearGroup(saved);
+    measurements.forEach(measurement => addMeasurement(saved, measurement, frame, {
+      material: lineMaterial,
+      labelClass: 'measure-label',
+      name: measurement.name
+    }));
+  };
+
+  /**
+   * Measurement being drawn: its clicked points plus the snapped pointer position,
+   * so the line and the value follow the pointer.
+   *
+   * @param {string|null} tool MEASURE_TOOLS id, null when not measuring
+   * @param {{points: Array, normal: Array|null}} points clicked so far
+   * @param {{point: THREE.Vector3, normal: THREE.Vector3|null, kind: string}|null} cursor snapped pointer
+   * @param {Object|null} frame model frame of the project
+   */
+  const setDraft = (tool, { points, normal }, cursor, frame) => {
+    clearGroup(draft);
+    if (!tool) return;
+
+    const allPoints = cursor ? [...points, cursor.point.toArray()] : points;
+    const draftNormal = normal || (cursor?.normal ? cursor.normal.toArray() : null);
+    if (allPoints.length > 0 && (tool !== MEASURE_TOOLS.distance.id || draftNormal)) {
+      addMeasurement(draft, { tool, points: allPoints, normal: draftNormal }, frame, {
+        material: draftLineMaterial,
+        labelClass: 'measure-label draft'
+      });
+    }
+    if (cursor) {
+      addPoints(draft, [cursor.point], snapMaterial);
+    }
+  };
+
+  // Only the measurement labels are CSS2DObjects, so the rest of the scene isn't traversed
+  const renderLabels = (labelRenderer, camera) => {
+    labelRenderer.render(group, camera);
+  };
+
+  const dispose = () => {
+    clearGroup(saved);
+    clearGroup(draft);
+    scene.remove(group);
+    lineMaterial.dispose();
+    draftLineMaterial.dispose();
+    pointMaterial.dispose();
+    snapMaterial.dispose();
+  };
+
+  return { setMeasurements, setDraft, renderLabels, dispose };
+};
@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import { MEASURE_TOOLS, formatMeasurement, getMeasurementResult } from './measurements';
+import { createModelFrame } from './modelFrame';
+
+const MILLIMETER_Z_UP_FRAME = createModelFrame(
+  { unitName: 'millimeter', metersPerUnit: 0.001, upAxis: 'Z_UP' },
+  new THREE.Vector3(0, 10, 0)
+);
+
+const measure = (tool, points, normal = null) => ({ id: 'm', name: 'm', tool, points, normal });
+
+describe('getMeasurementResult', () => {
+  it('measures point to point in meters without a frame', () => {
+    const result = getMeasurementResult(measure(MEASURE_TOOLS.pointToPoint.id, [[0, 0, 0], [3, 4, 0]]), null);
+
+    expect(result).toEqual({ value: 5, unit: 'm' });
+  });
+
+  it('converts lengths to the project units', () => {
+    const result = getMeasurementResult(
+      measure(MEASURE_TOOLS.pointToPoint.id, [[0, 0, 0], [1.5, 0, 0]]),
+      MILLIMETER_Z_UP_FRAME
+    );
+
+    expect(result.value).toBeCloseTo(1500);
+    expect(result.unit).toBe('mm');
+  });
+
+  it('measures the distance from a point to the face clicked first', () => {
+    const result = getMeasurementResult(
+      measure(MEASURE_TOOLS.distance.id, [[0, 0, 0], [2, 3, 7]], [0, 0, 1]),
+      null
+    );
+
+    expect(result.value).toBeCloseTo(7);
+  });
+
+  it('sums the segments of a polyline', () => {
+    const result = getMeasurementResult(
+      measure(MEASURE_TOOLS.polyline.id, [[0, 0, 0], [1, 0, 0], [1, 2, 0], [1, 2, 2]]),
+      null
+    );
+
+    expect(result.value).toBeCloseTo(5);
+  });
+
+  it('measures the angle at the middle point in degrees', () => {
+    const result = getMeasurementResult(
+      measure(MEASURE_TOOLS.angle.id, [[1, 0, 0], [0, 0, 0], [0, 0, 1]]),
+      MILLIMETER_Z_UP_FRAME
+    );
+
+    expect(result.value).toBeCloseTo(90);
+    expect(result.unit).toBe('°');
+  });
+
+  it('measures areas in square project units', () => {
+    const square = [[0, 0, 0], [2, 0, 0], [2, 0, 2], [0, 0, 2]];
+
+    expect(getMeasurementResult(measure(MEASURE_TOOLS.area.id, square), null).value).toBeCloseTo(4);
+
+    const result = getMeasurementResult(measure(MEASURE_TOOLS.area.id, square), MILLIMETER_Z_UP_FRAME);
+    expect(result.value).toBeCloseTo(4e6);
+    expect(result.unit).toBe('mm²');
+  });
+
+  it('gives elevations in the vertical project coordinate', () => {
+    const point = [[0, 1, 0]];
+
+    expect(getMeasurementResult(measure(MEASURE_TOOLS.elevation.id, point), null).value).toBe(1);
+    // Viewer Y + origin offset, in millimeters: the Z of a Z-up project
+    expect(getMeasurementResult(measure(MEASURE_TOOLS.elevation.id, point), MILLIMETER_Z_UP_FRAME).value)
+      .toBeCloseTo(11000);
+  });
+});
+
+describe('formatMeasurement', () => {
+  it('rounds lengths and angles for display', () => {
+    expect(formatMeasurement(measure(MEASURE_TOOLS.pointToPoint.id, [[0, 0, 0], [1, 1, 0]]), null)).toBe('1.41 m');
+    expect(formatMeasurement(measure(MEASURE_TOOLS.angle.id, [[1, 0, 0], [0, 0, 0], [1, 1, 0]]), null)).toBe('45.0°');
+  });
+});
@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+
+// Version comparison: elements of two loaded models are matched by the
+// externalId of their metadata and classified by what changed between them.
+
+export const DIFF_STATUS = {
+  added: 'added',
+  deleted: 'deleted',
+  geometryChanged: 'geometryChanged',
+  propertiesChanged: 'propertiesChanged',
+  unchanged: 'unchanged'
+};
+
+export const DIFF_LABELS = {
+  added: 'Added',
+  deleted: 'Deleted',
+  geometryChanged: 'Geometry changed',
+  propertiesChanged: 'Properties changed',
+  unchanged: 'Unchanged'
+};
+
+export const DIFF_COLORS = {
+  added: 0x2ecc71,
+  deleted: 0xe74c3c,
+  geometryChanged: 0xf39c12,
+  propertiesChanged: 0x3498db,
+  unchanged: 0xcccccc
+};
+
+// Geometry is compared with a 1 mm tolerance (viewer units are meters)
+const GEOMETRY_PRECISION = 1000;
+
+/**
+ * Groups the meshes of a model by the externalId of their metadata. Meshes
+ * without an externalId can't be matched across versions and are only counted.
+ *
+ * @param {THREE.Object3D} root
+ * @param {(mesh: THREE.Mesh) => Object|null} getMetadata
+ */
+export const collectElements = (root, getMetadata) => {
+  const elements = new Map();
+  let unidentified = 0;
+
+  root.updateMatrixWorld(true);
+  root.traverse(child => {
+    if (!child.isMesh) return;
+
+    const metadata = getMetadata(child);
+    const externalId = metadata?.externalId;
+    if (!externalId) {
+      unidentified++;
+      return;
+    }
+
+    if (!elements.has(externalId)) {
+      elements.set(externalId, {
+        externalId,
+        name: metadata.displayName || child.name || externalId,
+        metadata,
+        objects: []
+      });
+    }
+    elements.get(externalId).objects.push(child);
+  });
+
+  return { elements, unidentified };
+};
+
+// Helper: World-space bounds and vertex/index counts of an element, rounded to the tolerance
+const getGeometrySignature = (objects) => {
+  const box = new THREE.Box3();
+  let vertexCount = 0;
+  let indexCount = 0;
+
+  objects.forEach(object => {
+    box.expandByObject(object);
+    vertexCount += object.geometry?.attributes.position?.count || 0;
+    indexCount += object.geometry?.index?.count || 0;
+  });
+
+  const bounds = box.isEmpty()
+    ? []
+    : [...box.min.toArray(), ...box.max.toArray()].map(v => Math.round(v * GEOMETRY_PRECISION));
+
+  return [...bounds, vertexCount, indexCount].join('|');
+};
+
+// Helper: Flatten the comparable metadata fields into "Group.Property" keys
+const flattenProperties = (metadata) => {
+  const properties = {
+    Family: metadata.familyName,
+    Type: metadata.typeName,
+    Category: metadata.category
+  };
+
+  Object.entries(metadata.propertyGroups || {}).forEach(([groupName, group]) => {
+    Object.entries(group || {}).forEach(([name, value]) => {
+      properties[`${groupName}.${name}`] = value;
+    });
+  });
+
+  return properties;
+};
+
+const getChangedProperties = (baseMetadata, compareMetadata) => {
+  const baseProperties = flattenProperties(baseMetadata);
+  const compareProperties = flattenProperties(compareMetadata);
+  const keys = new Set([...Object.keys(baseProperties), ...Object.keys(compareProperties)]);
+
+  return Array.from(keys)
+    .filter(key => JSON.stringify(baseProperties[key]) !== JSON.stringify(compareProperties[key]))
+    .map(key => ({ key, before: baseProperties[key], after: compareProperties[key] }));
+};
+
+/**
+ * Compares two versions of a model. Both roots must share the same origin
+ * (federated models do), so geometry can be compared in world space.
+ *
+ * A geometry change wins over a property change when an element has both.
+ *
+ * @returns {{entries: Array, counts: Object, unidentified: {base: number, compare: number}}}
+ */
+export const compareModels = (baseRoot, compareRoot, getMetadata) => {
+  const base = collectElements(baseRoot, getMetadata);
+  const compare = collectElements(compareRoot, getMetadata);
+  const entries = [];
+
+  compare.elements.forEach((element, externalId) => {
+    const previous = base.elements.get(externalId);
+    if (!previous) {
+      entries.push({
+        externalId,
+        name: element.name,
+        status: DIFF_STATUS.added,
+        baseObjects: [],
+        compareObjects: element.objects,
+        changedProperties: []
+      });
+      return;
+    }
+
+    const geometryChanged = getGeometrySignature(previous.objects) !== getGeometrySignature(element.objects);
+    const changedProperties = getChangedProperties(previous.metadata, element.metadata);
+    let status = DIFF_STATUS.unchanged;
+    if (geometryChanged) {
+      status = DIFF_STATUS.geometryChanged;
+    } else if (changedProperties.length > 0) {
+      status = DIFF_STATUS.propertiesChanged;
+    }
+
+    entries.push({
+      externalId,
+      name: element.name,
+      status,
+      baseObjects: previous.objects,
+      compareObjects: element.objects,
+      changedProperties
+    });
+  });
+
+  base.elements.forEach((element, externalId) => {
+    if (compare.elements.has(externalId)) return;
+    entries.push({
+      externalId,
+      name: element.name,
+      status: DIFF_STATUS.deleted,
+      baseObjects: element.objects,
+      compareObjects: [],
+      changedProperties: []
+    });
+  });
+
+  const counts = {};
+  Object.values(DIFF_STATUS).forEach(status => {
+    counts[status] = 0;
+  });
+  entries.forEach(entry => {
+    counts[entry.status]++;
+  });
+
+  return {
+    entries,
+    counts,
+    unidentified: { base: base.unidentified, compare: compare.unidentified }
+  };
+};
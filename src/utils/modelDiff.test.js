@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+import { DIFF_STATUS, collectElements, compareModels } from './modelDiff';
+
+// Helper: Model root with one box mesh per element: { externalId, position, metadata }
+const createModel = (elements) => {
+  const root = new THREE.Group();
+  elements.forEach(({ externalId, position = [0, 0, 0], metadata = {} }) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshBasicMaterial());
+    mesh.position.set(...position);
+    mesh.userData.metadata = externalId ? { externalId, displayName: externalId, ...metadata } : null;
+    root.add(mesh);
+  });
+  return root;
+};
+
+const getMetadata = (mesh) => mesh.userData.metadata;
+
+describe('collectElements', () => {
+  it('groups meshes by external id and counts the others', () => {
+    const root = createModel([{ externalId: 'a' }, { externalId: 'a' }, { externalId: 'b' }, {}]);
+
+    const { elements, unidentified } = collectElements(root, getMetadata);
+
+    expect(elements.get('a').objects).toHaveLength(2);
+    expect(elements.get('b').objects).toHaveLength(1);
+    expect(unidentified).toBe(1);
+  });
+});
+
+describe('compareModels', () => {
+  it('classifies added, deleted, changed and unchanged elements', () => {
+    const base = createModel([
+      { externalId: 'kept' },
+      { externalId: 'moved', position: [5, 0, 0] },
+      { externalId: 'retyped', metadata: { typeName: 'Wall 200' } },
+      { externalId: 'removed' }
+    ]);
+    const compare = createModel([
+      { externalId: 'kept' },
+      { externalId: 'moved', position: [6, 0, 0] },
+      { externalId: 'retyped', metadata: { typeName: 'Wall 300' } },
+      { externalId: 'new' },
+      {}
+    ]);
+
+    const { entries, counts, unidentified } = compareModels(base, compare, getMetadata);
+    const statusOf = (externalId) => entries.find(entry => entry.externalId === externalId).status;
+
+    expect(statusOf('kept')).toBe(DIFF_STATUS.unchanged);
+    expect(statusOf('moved')).toBe(DIFF_STATUS.geometryChanged);
+    expect(statusOf('retyped')).toBe(DIFF_STATUS.propertiesChanged);
+    expect(statusOf('new')).toBe(DIFF_STATUS.added);
+    expect(statusOf('removed')).toBe(DIFF_STATUS.deleted);
+    expect(counts).toEqual({ added: 1, deleted: 1, geometryChanged: 1, propertiesChanged: 1, unchanged: 1 });
+    expect(unidentified).toEqual({ base: 0, compare: 1 });
+  });
+
+  it('lists the changed properties with their values', () => {
+    const base = createModel([{
+      externalId: 'wall',
+      metadata: { propertyGroups: { Dimensions: { Width: 0.2, Height: 3 } } }
+    }]);
+    const compare = createModel([{
+      externalId: 'wall',
+      metadata: { propertyGroups: { Dimensions: { Width: 0.3, Height: 3 } } }
+    }]);
+
+    const [entry] = compareModels(base, compare, getMetadata).entries;
+
+    expect(entry.changedProperties).toEqual([{ key: 'Dimensions.Width', before: 0.2, after: 0.3 }]);
+  });
+
+  it('ignores geometry moves under a millimetre', () => {
+    const base = createModel([{ externalId: 'wall', position: [1, 0, 0] }]);
+    const compare = createModel([{ externalId: 'wall', position: [1.0001, 0, 0] }]);
+
+    expect(compareModels(base, compare, getMetadata).entries[0].status).toBe(DIFF_STATUS.unchanged);
+  });
+
+  it('reports a geometry change over a property change', () => {
+    const base = createModel([{ externalId: 'wall', metadata: { typeName: 'A' } }]);
+    const compare = createModel([{ externalId: 'wall', position: [0, 1, 0], metadata: { typeName: 'B' } }]);
+
+    expect(compareModels(base, compare, getMetadata).entries[0].status).toBe(DIFF_STATUS.geometryChanged);
+  });
+});
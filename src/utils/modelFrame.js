@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+
+// The model frame links viewer coordinates (meters, Y-up, recentred near the
+// origin for float precision) back to the project coordinates of the source file.
+
+// Helper: Read unit and up-axis from the <asset> block of a Collada file
+export const parseColladaAsset = (text) => {
+  // The tag may carry attributes (xmlns...)
+  const assetMatch = text.match(/<asset\b[^>]*>([\s\S]*?)<\/asset>/);
+  const asset = assetMatch ? assetMatch[1] : '';
+
+  const unitMatch = asset.match(/<unit\b([^>]*)\/?>/);
+  const meterMatch = unitMatch && unitMatch[1].match(/meter\s*=\s*"([^"]+)"/);
+  const nameMatch = unitMatch && unitMatch[1].match(/name\s*=\s*"([^"]+)"/);
+  const upAxisMatch = asset.match(/<up_axis>\s*(\w+)\s*<\/up_axis>/);
+
+  const metersPerUnit = meterMatch ? parseFloat(meterMatch[1]) : 1;
+
+  return {
+    unitName: nameMatch ? nameMatch[1] : 'meter',
+    metersPerUnit: metersPerUnit > 0 ? metersPerUnit : 1,
+    upAxis: upAxisMatch ? upAxisMatch[1].toUpperCase() : 'Y_UP'
+  };
+};
+
+// glTF is meters / Y-up by spec
+export const METRIC_Y_UP_ASSET = {
+  unitName: 'meter',
+  metersPerUnit: 1,
+  upAxis: 'Y_UP'
+};
+
+export const createModelFrame = (asset, originOffset) => ({
+  unitName: asset.unitName,
+  metersPerUnit: asset.metersPerUnit,
+  upAxis: asset.upAxis,
+  // Viewer position + originOffset = true position in meters (Y-up)
+  originOffset: originOffset.clone()
+});
+
+/**
+ * Converts a viewer-space point back to project coordinates, in the file's
+ * units and axis convention.
+ */
+export const viewerToProject = (point, frame) => {
+  const meters = point.clone().add(frame.originOffset);
+  let projectPoint;
+
+  if (frame.upAxis === 'Z_UP') {
+    // ColladaLoader and web-ifc turn Z-up models by -90° around X
+    projectPoint = new THREE.Vector3(meters.x, -meters.z, meters.y);
+  } else {
+    projectPoint = meters;
+  }
+
+  return projectPoint.divideScalar(frame.metersPerUnit);
+};
+
+// Helper: Convert a length in meters to project units
+export const metersToProjectUnits = (meters, frame) => meters / frame.metersPerUnit;
+
+const UNIT_SYMBOLS = {
+  meter: 'm',
+  metre: 'm',
+  millimeter: 'mm',
+  millimetre: 'mm',
+  centimeter: 'cm',
+  centimetre: 'cm',
+  foot: 'ft',
+  feet: 'ft',
+  inch: 'in'
+};
+
+export const getUnitSymbol = (frame) =>
+  UNIT_SYMBOLS[(frame?.unitName || '').toLowerCase()] || frame?.unitName || 'm';
+
+// Helper: Format a length (given in meters) in project units
+export const formatLength = (meters, frame, digits = 2) => {
+  if (!frame) return `${meters.toFixed(digits)} m`;
+  return `${metersToProjectUnits(meters, frame).toFixed(digits)} ${getUnitSymbol(frame)}`;
+};
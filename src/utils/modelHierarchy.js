@@ -0,0 +1,208 @@
+// Model browser hierarchy: the flat element list of a model is grouped by an
+// ordered list of keys (Level > Category > Family > Type by default), with the
+// instances as leaves. Every group node knows the object ids below it, so
+// counts and tri-state visibility don't have to walk the tree.
+
+const STORAGE_KEY = 'bimTreeGrouping';
+
+export const GROUPING_KEYS = [
+  { id: 'level', label: 'Level', missing: '(No level)' },
+  { id: 'category', label: 'Category', missing: '(No category)' },
+  { id: 'family', label: 'Family', missing: '(No family)' },
+  { id: 'typeName', label: 'Type', missing: '(No type)' },
+  { id: 'group', label: 'Source group', missing: '(No group)' }
+];
+
+export const DEFAULT_GROUPING = ['level', 'category', 'family', 'typeName'];
+
+// Checkbox state of a group node
+export const VISIBILITY_STATE = {
+  visible: 'visible',
+  hidden: 'hidden',
+  mixed: 'mixed'
+};
+
+const getGroupingKey = (keyId) => GROUPING_KEYS.find(key => key.id === keyId);
+
+export const loadTreeGrouping = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(getGroupingKey) : DEFAULT_GROUPING;
+  } catch (e) {
+    return DEFAULT_GROUPING;
+  }
+};
+
+export const saveTreeGrouping = (grouping) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(grouping));
+};
+
+// Helper: Group nodes for one level; recurses into the remaining keys
+const groupItems = (items, keyIds, parentId) => {
+  if (keyIds.length === 0) return null;
+
+  const [keyId, ...restKeys] = keyIds;
+  const key = getGroupingKey(keyId);
+  const buckets = new Map();
+  items.forEach(item => {
+    const value = item[keyId] || key.missing;
+    if (!buckets.has(value)) buckets.set(value, []);
+    buckets.get(value).push(item);
+  });
+
+  // A level nobody has a value for (e.g. Level without metadata) is skipped
+  if (buckets.size === 1 && buckets.has(key.missing)) {
+    return groupItems(items, restKeys, parentId);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => {
+      // "(No ...)" buckets go last
+      if (a === key.missing) return 1;
+      if (b === key.missing) return -1;
+      return a.localeCompare(b, undefined, { numeric: true });
+    })
+    .map(([value, bucketItems]) => {
+      const id = `${parentId}>${keyId}:${value}`;
+      const children = groupItems(bucketItems, restKeys, id);
+      return {
+        id,
+        key: keyId,
+        name: value,
+        count: bucketItems.length,
+        objectIds: bucketItems.map(item => item.id),
+        children,
+        items: children ? null : bucketItems
+      };
+    });
+};
+
+/**
+ * Builds the group nodes of one model. Group nodes have either `children`
+ * (more group nodes) or `items` (the instances of the last level).
+ *
+ * @param {Array} items flat element list ({ id, name, level, category, family, typeName, group })
+ * @param {Array<string>} grouping ordered GROUPING_KEYS ids
+ * @param {string} modelId prefix of the node ids, so expand state is kept per model
+ */
+export const buildHierarchy = (items, grouping, modelId) => {
+  return groupItems(items, grouping, modelId) || [{
+    id: `${modelId}>all`,
+    key: null,
+    name: 'All elements',
+    count: items.length,
+    objectIds: items.map(item => item.id),
+    children: null,
+    items
+  }];
+};
+
+// Helper: Lowercase text an item is searched by (name and every groupable value)
+const getSearchText = (item) => {
+  if (item.searchText === undefined) {
+    item.searchText = [item.name, ...GROUPING_KEYS.map(key => item[key.id])]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+  }
+  return item.searchText;
+};
+
+/**
+ * Items whose name or grouping values contain the query. Search text is
+ * computed once per item, so only the comparison runs on each keystroke.
+ */
+export const filterItems = (items, query) => {
+  const queryLower = query.toLowerCase();
+  return items.filter(item => getSearchText(item).includes(queryLower));
+};
+
+/**
+ * Number of visible objects below every group node, computed bottom-up in one
+ * pass over the items: Map nodeId -> visible count.
+ *
+ * @param {Array} nodes group nodes of buildHierarchy
+ * @param {(id: string) => boolean} isVisible
+ */
+export const countVisibleObjects = (nodes, isVisible, counts = new Map()) => {
+  nodes.forEach(node => {
+    let visibleCount = 0;
+    if (node.children) {
+      countVisibleObjects(node.children, isVisible, counts);
+      node.children.forEach(child => {
+        visibleCount += counts.get(child.id);
+      });
+    } else {
+      node.items.forEach(item => {
+        if (isVisible(item.id)) visibleCount++;
+      });
+    }
+    counts.set(node.id, visibleCount);
+  });
+  return counts;
+};
+
+// Tri-state visibility of a node from its visible and total object counts
+export const getVisibilityState = (visibleCount, total) => {
+  if (visibleCount === 0) return VISIBILITY_STATE.hidden;
+  return visibleCount === total ? VISIBILITY_STATE.visible : VISIBILITY_STATE.mixed;
+};
+
+/**
+ * Flattens the expanded part of the browser into display rows
+ * ({ kind: 'model' | 'node' | 'item', id, depth, ... }) for the windowed list.
+ *
+ * @param {Array} models browser models, each with its group `nodes`
+ * @param {Object} expanded id -> expanded flag
+ */
+export const flattenHierarchy = (models, expanded) => {
+  const rows = [];
+
+  const addNodes = (nodes, depth) => {
+    nodes.forEach(node => {
+      rows.push({ kind: 'node', id: node.id, depth, node });
+      if (!expanded[node.id]) return;
+
+      if (node.children) {
+        addNodes(node.children, depth + 1);
+      } else {
+        node.items.forEach(item => {
+          rows.push({ kind: 'item', id: item.id, depth: depth + 1, item });
+        });
+      }
+    });
+  };
+
+  models.forEach(model => {
+    rows.push({ kind: 'model', id: model.id, depth: 0, model });
+    if (expanded[model.id]) {
+      addNodes(model.nodes, 1);
+    }
+  });
+  return rows;
+};
+
+/**
+ * Ids of the model and group nodes above an item, top-down, or null if the
+ * item isn't in the tree (e.g. filtered out by the search).
+ *
+ * @param {Array} models browser models, each with its group `nodes`
+ * @param {string} itemId
+ */
+export const findItemPath = (models, itemId) => {
+  const findInNodes = (nodes) => {
+    for (const node of nodes) {
+      if (!node.objectIds.includes(itemId)) continue;
+      if (!node.children) return [node.id];
+      const path = findInNodes(node.children);
+      return path ? [node.id, ...path] : null;
+    }
+    return null;
+  };
+
+  for (const model of models) {
+    const path = findInNodes(model.nodes);
+    if (path) return [model.id, ...path];
+  }
+  return null;
+};
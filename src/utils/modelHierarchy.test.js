@@ -0,0 +1,100 @@
+import {
+  DEFAULT_GROUPING,
+  VISIBILITY_STATE,
+  buildHierarchy,
+  countVisibleObjects,
+  filterItems,
+  findItemPath,
+  flattenHierarchy,
+  getVisibilityState
+} from './modelHierarchy';
+
+const createItems = () => [
+  { id: 'w1', name: 'Basic Wall 1', level: 'Level 2', category: 'Walls', family: 'Basic Wall', typeName: '200mm' },
+  { id: 'w2', name: 'Basic Wall 2', level: 'Level 10', category: 'Walls', family: 'Basic Wall', typeName: '200mm' },
+  { id: 'd1', name: 'Door 1', level: 'Level 2', category: 'Doors', family: 'Single', typeName: '900mm' },
+  { id: 'x1', name: 'Loose mesh', level: '', category: 'Generic', family: '', typeName: '' }
+];
+
+describe('buildHierarchy', () => {
+  it('groups by the keys in order, sorting numerically and putting missing values last', () => {
+    const nodes = buildHierarchy(createItems(), DEFAULT_GROUPING, 'model');
+
+    expect(nodes.map(node => node.name)).toEqual(['Level 2', 'Level 10', '(No level)']);
+    expect(nodes[0].objectIds).toEqual(['w1', 'd1']);
+    expect(nodes[0].children.map(node => node.name)).toEqual(['Doors', 'Walls']);
+    expect(nodes[0].children[1].id).toBe('model>level:Level 2>category:Walls');
+
+    const typeNode = nodes[0].children[1].children[0].children[0];
+    expect(typeNode.name).toBe('200mm');
+    expect(typeNode.children).toBeNull();
+    expect(typeNode.items.map(item => item.id)).toEqual(['w1']);
+  });
+
+  it('skips a key no item has a value for', () => {
+    const items = createItems().map(item => ({ ...item, level: '' }));
+
+    const nodes = buildHierarchy(items, DEFAULT_GROUPING, 'model');
+
+    expect(nodes[0].key).toBe('category');
+  });
+
+  it('lists every item under one node without grouping', () => {
+    const nodes = buildHierarchy(createItems(), [], 'model');
+
+    expect(nodes).toHaveLength(1);
+    expect(nodes[0].id).toBe('model>all');
+    expect(nodes[0].count).toBe(4);
+  });
+});
+
+describe('filterItems', () => {
+  it('matches names and grouping values, case-insensitively', () => {
+    const items = createItems();
+
+    expect(filterItems(items, 'door').map(item => item.id)).toEqual(['d1']);
+    expect(filterItems(items, '200MM').map(item => item.id)).toEqual(['w1', 'w2']);
+  });
+});
+
+describe('countVisibleObjects', () => {
+  it('counts the visible objects below every node', () => {
+    const nodes = buildHierarchy(createItems(), ['category'], 'model');
+    const hidden = new Set(['w2']);
+
+    const counts = countVisibleObjects(nodes, id => !hidden.has(id));
+
+    expect(counts.get('model>category:Walls')).toBe(1);
+    expect(counts.get('model>category:Doors')).toBe(1);
+  });
+});
+
+describe('getVisibilityState', () => {
+  it('tells visible, hidden and mixed nodes apart', () => {
+    expect(getVisibilityState(0, 3)).toBe(VISIBILITY_STATE.hidden);
+    expect(getVisibilityState(3, 3)).toBe(VISIBILITY_STATE.visible);
+    expect(getVisibilityState(1, 3)).toBe(VISIBILITY_STATE.mixed);
+  });
+});
+
+describe('flattenHierarchy and findItemPath', () => {
+  const models = [{ id: 'model', nodes: buildHierarchy(createItems(), ['category'], 'model') }];
+
+  it('lists the rows of the expanded nodes only', () => {
+    const rows = flattenHierarchy(models, { model: true, 'model>category:Walls': true });
+
+    expect(rows.map(row => `${row.kind}:${row.depth}:${row.id}`)).toEqual([
+      'model:0:model',
+      'node:1:model>category:Doors',
+      'node:1:model>category:Generic',
+      'node:1:model>category:Walls',
+      'item:2:w1',
+      'item:2:w2'
+    ]);
+  });
+
+  it('finds the nodes above an item', () => {
+    expect(findItemPath(models, 'd1')).toEqual(['model', 'model>category:Doors']);
+    expect(findItemPath(models, 'missing')).toBeNull();
+  });
+});
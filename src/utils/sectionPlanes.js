@@ -0,0 +1,354 @@
+import * as THREE from 'three';
+import { createPointerRaycaster, isObjectShown } from './selection';
+import { getViewHeight } from './cameraViews';
+
+// Section planes and section box. The section state is plain data in viewer
+// coordinates, so it lives in React state and can be saved with a view;
+// createSectionController turns it into renderer clipping, solid caps on the
+// cut surfaces and the draggable handles.
+
+export const MAX_SECTION_PLANES = 6;
+
+// planes: [{ id, label, normal: [x, y, z], offset, enabled }], keeping the side the normal
+// points to (normal · p >= offset); box: { min: [x, y, z], max: [x, y, z] } or null
+export const EMPTY_SECTIONS = { planes: [], box: null, caps: true };
+
+const SECTION_COLOR = 0xff8c1a;
+const CAP_FILL_COLOR = 0xd8d8d8;
+const CAP_HATCH_COLOR = 0x606060;
+// Hatch period in screen pixels
+const CAP_HATCH_SPACING = 8;
+// Handle radius as a fraction of the view height at the handle (constant size on screen)
+const HANDLE_SCALE = 0.008;
+
+export const isSectionActive = (sections) => sections.box !== null || sections.planes.some(plane => plane.enabled);
+
+// Helper: Viewer-space direction of a project axis (Z-up files are turned Y-up on load)
+const getAxisDirection = (axis, upAxis) => {
+  const directions = upAxis === 'Z_UP'
+    ? { X: [1, 0, 0], Y: [0, 0, -1], Z: [0, 1, 0] }
+    : { X: [1, 0, 0], Y: [0, 1, 0], Z: [0, 0, 1] };
+  return new THREE.Vector3(...directions[axis]);
+};
+
+/**
+ * Plane across a project axis through the middle of the bounds, keeping the
+ * lower side (so a Z plane gives a plan cut).
+ */
+export const createAxisPlane = (id, axis, upAxis, bounds) => {
+  const normal = getAxisDirection(axis, upAxis).negate();
+  return {
+    id,
+    label: axis,
+    normal: normal.toArray(),
+    offset: normal.dot(bounds.getCenter(new THREE.Vector3())),
+    enabled: true
+  };
+};
+
+// Plane on a picked face, removing what lies in front of it (faceNormal faces the camera)
+export const createFacePlane = (id, point, faceNormal) => {
+  const normal = faceNormal.clone().normalize().negate();
+  return { id, label: 'Face', normal: normal.toArray(), offset: normal.dot(point), enabled: true };
+};
+
+// Same plane keeping the other side
+export const flipPlane = (plane) => ({
+  ...plane,
+  normal: plane.normal.map(value => -value),
+  offset: -plane.offset
+});
+
+// Offsets between which the plane cuts through the bounds
+export const getPlaneRange = (plane, bounds) => {
+  const normal = new THREE.Vector3(...plane.normal);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let corner = 0; corner < 8; corner++) {
+    const distance = normal.dot(new THREE.Vector3(
+      corner & 1 ? bounds.max.x : bounds.min.x,
+      corner & 2 ? bounds.max.y : bounds.min.y,
+      corner & 4 ? bounds.max.z : bounds.min.z
+    ));
+    min = Math.min(min, distance);
+    max = Math.max(max, distance);
+  }
+  return { min, max };
+};
+
+// Section box around a bounding box, with a small margin so nothing is cut flush
+export const fitSectionBox = (box) => {
+  const margin = Math.max(box.getSize(new THREE.Vector3()).length() * 0.02, 0.05);
+  return {
+    min: box.min.clone().subScalar(margin).toArray(),
+    max: box.max.clone().addScalar(margin).toArray()
+  };
+};
+
+// Moves one face of the section box, never past the opposite face
+export const moveSectionBoxFace = (box, axis, side, value) => {
+  const min = [...box.min];
+  const max = [...box.max];
+  const gap = 0.01;
+  if (side === 'min') {
+    min[axis] = Math.min(value, max[axis] - gap);
+  } else {
+    max[axis] = Math.max(value, min[axis] + gap);
+  }
+  return { min, max };
+};
+
+// THREE.Plane list of the enabled planes and of the section box faces
+export const getClippingPlanes = (sections) => {
+  const planes = sections.planes
+    .filter(plane => plane.enabled)
+    .map(plane => new THREE.Plane(new THREE.Vector3(...plane.normal), -plane.offset));
+
+  if (sections.box) {
+    for (let axis = 0; axis < 3; axis++) {
+      const normal = new THREE.Vector3().setComponent(axis, 1);
+      planes.push(new THREE.Plane(normal.clone(), -sections.box.min[axis]));
+      planes.push(new THREE.Plane(normal.clone().negate(), sections.box.max[axis]));
+    }
+  }
+  return planes;
+};
+
+/**
+ * Distance along `direction` from `origin` to the point of that axis closest to
+ * the ray, used to drag a handle along a plane normal. Null when looking straight
+ * along the axis.
+ */
+export const getDragDistance = (ray, origin, direction) => {
+  const toRay = ray.origin.clone().sub(origin);
+  const cosine = ray.direction.dot(direction);
+  const denominator = 1 - cosine * cosine;
+  if (denominator < 1e-6) return null;
+  return (toRay.dot(direction) - cosine * toRay.dot(ray.direction)) / denominator;
+};
+
+// Helper: Screen-space hatching, clipped like the model
+const createCapMaterial = () => new THREE.ShaderMaterial({
+  uniforms: {
+    fillColor: { value: new THREE.Color(CAP_FILL_COLOR) },
+    hatchColor: { value: new THREE.Color(CAP_HATCH_COLOR) }
+  },
+  vertexShader: `
+    #include <clipping_planes_pars_vertex>
+    void main() {
+      #include <begin_vertex>
+      #include <project_vertex>
+      #include <clipping_planes_vertex>
+    }
+  `,
+  fragmentShader: `
+    #include <clipping_planes_pars_fragment>
+    uniform vec3 fillColor;
+    uniform vec3 hatchColor;
+    void main() {
+      #include <clipping_planes_fragment>
+      float stripe = mod(gl_FragCoord.x + gl_FragCoord.y, ${CAP_HATCH_SPACING.toFixed(1)});
+      gl_FragColor = vec4(stripe < 1.5 ? hatchColor : fillColor, 1.0);
+    }
+  `,
+  clipping: true,
+  side: THREE.DoubleSide,
+  // Drawn only where the stencil pass of its plane found a cut solid
+  stencilWrite: true,
+  stencilRef: 0,
+  stencilFunc: THREE.NotEqualStencilFunc
+});
+
+// Helper: Flips the stencil for every face drawn. Clipped by its own plane only, a
+// solid cut by that plane leaves an odd count where the plane passes inside it.
+const createStencilMaterial = (plane) => new THREE.MeshBasicMaterial({
+  side: THREE.DoubleSide,
+  colorWrite: false,
+  depthWrite: false,
+  depthTest: false,
+  clippingPlanes: [plane],
+  stencilWrite: true,
+  stencilFunc: THREE.AlwaysStencilFunc,
+  stencilFail: THREE.InvertStencilOp,
+  stencilZFail: THREE.InvertStencilOp,
+  stencilZPass: THREE.InvertStencilOp
+});
+
+/**
+ * Applies a section state to the renderer.
+ *
+ * Caps use the stencil technique of the three.js clipping examples, one plane
+ * at a time: only the meshes whose bounds straddle a plane can be cut by it, so
+ * the stencil pass draws proxies of those (sharing their geometry) instead of
+ * the whole model.
+ */
+export const createSectionController = () => {
+  let clippingPlanes = [];
+  let capsEnabled = false;
+  const capScene = new THREE.Scene();
+  const gizmoScene = new THREE.Scene();
+  // Stencil proxy -> model mesh
+  const proxies = new Map();
+  const handles = [];
+  // Model mesh -> world bounding box; models don't move once loaded
+  const meshBounds = new WeakMap();
+
+  const capGeometry = new THREE.PlaneGeometry(1, 1);
+  const handleGeometry = new THREE.SphereGeometry(1, 16, 12);
+  const handleMaterial = new THREE.MeshBasicMaterial({ color: SECTION_COLOR, depthTest: false });
+  const outlineMaterial = new THREE.LineBasicMaterial({
+    color: SECTION_COLOR,
+    transparent: true,
+    opacity: 0.7,
+    depthTest: false
+  });
+
+  const getMeshBounds = (mesh) => {
+    if (!meshBounds.has(mesh)) {
+      meshBounds.set(mesh, new THREE.Box3().setFromObject(mesh));
+    }
+    return meshBounds.get(mesh);
+  };
+
+  // Helper: Remove and dispose what the previous update built
+  const clear = () => {
+    capScene.children.forEach(object => object.material.dispose());
+    gizmoScene.children.forEach(object => {
+      if (object.geometry !== handleGeometry) object.geometry.dispose();
+    });
+    capScene.clear();
+    gizmoScene.clear();
+    proxies.clear();
+    handles.length = 0;
+  };
+
+  const addHandle = (position, handle) => {
+    const mesh = new THREE.Mesh(handleGeometry, handleMaterial);
+    mesh.position.copy(position);
+    mesh.userData.handle = handle;
+    handles.push(mesh);
+    gizmoScene.add(mesh);
+  };
+
+  // Square outline of a plane around the model
+  const addPlaneOutline = (plane, center, halfSize) => {
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), plane.normal);
+    const origin = plane.projectPoint(center, new THREE.Vector3());
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) =>
+      new THREE.Vector3(x * halfSize, y * halfSize, 0).applyQuaternion(quaternion).add(origin));
+    gizmoScene.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(corners), outlineMaterial));
+    return origin;
+  };
+
+  /**
+   * @param {Object} sections section state
+   * @param {THREE.Box3} bounds all loaded models, sizes the caps and outlines
+   * @param {Array<THREE.Mesh>} meshes model meshes that can be capped
+   */
+  const update = (sections, bounds, meshes) => {
+    clear();
+    clippingPlanes = getClippingPlanes(sections);
+    capsEnabled = sections.caps;
+    if (clippingPlanes.length === 0 || bounds.isEmpty()) return;
+
+    const center = bounds.getCenter(new THREE.Vector3());
+    const size = bounds.getSize(new THREE.Vector3()).length();
+
+    sections.planes.filter(plane => plane.enabled).forEach((plane, index) => {
+      const origin = addPlaneOutline(clippingPlanes[index], center, size * 0.6);
+      addHandle(origin, { kind: 'plane', id: plane.id });
+    });
+
+    if (sections.box) {
+      const box = new THREE.Box3(new THREE.Vector3(...sections.box.min), new THREE.Vector3(...sections.box.max));
+      const boxCenter = box.getCenter(new THREE.Vector3());
+      const boxGeometry = new THREE.BoxGeometry(...box.getSize(new THREE.Vector3()).toArray());
+      const edges = new THREE.LineSegments(new THREE.EdgesGeometry(boxGeometry), outlineMaterial);
+      boxGeometry.dispose();
+      edges.position.copy(boxCenter);
+      gizmoScene.add(edges);
+
+      for (let axis = 0; axis < 3; axis++) {
+        ['min', 'max'].forEach(side => {
+          addHandle(boxCenter.clone().setComponent(axis, sections.box[side][axis]), { kind: 'box', axis, side });
+        });
+      }
+    }
+
+    if (!capsEnabled) return;
+    clippingPlanes.forEach((plane, index) => {
+      const stencilMaterial = createStencilMaterial(plane);
+      meshes.forEach(mesh => {
+        if (!mesh.geometry || !plane.intersectsBox(getMeshBounds(mesh))) return;
+        const proxy = new THREE.Mesh(mesh.geometry, stencilMaterial);
+        proxy.matrixAutoUpdate = false;
+        proxy.renderOrder = index * 2;
+        proxies.set(proxy, mesh);
+        capScene.add(proxy);
+      });
+
+      const capMaterial = createCapMaterial();
+      capMaterial.clippingPlanes = clippingPlanes.filter((other, otherIndex) => otherIndex !== index);
+      const cap = new THREE.Mesh(capGeometry, capMaterial);
+      cap.scale.setScalar(size * 2);
+      cap.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), plane.normal);
+      cap.position.copy(plane.projectPoint(center, new THREE.Vector3()));
+      cap.renderOrder = index * 2 + 1;
+      // The next plane starts from an empty stencil
+      cap.onAfterRender = (renderer) => renderer.clearStencil();
+      capScene.add(cap);
+    });
+  };
+
+  // Replaces renderer.render(scene, camera) in the render loop
+  const render = (renderer, scene, camera) => {
+    if (clippingPlanes.length === 0) {
+      renderer.render(scene, camera);
+      return;
+    }
+
+    renderer.clippingPlanes = clippingPlanes;
+    renderer.render(scene, camera);
+
+    // Caps and handles are drawn over the model, with their own clipping only
+    const autoClear = renderer.autoClear;
+    renderer.autoClear = false;
+    renderer.clippingPlanes = [];
+    if (capsEnabled) {
+      renderer.localClippingEnabled = true;
+      proxies.forEach((mesh, proxy) => {
+        proxy.visible = isObjectShown(mesh);
+        if (proxy.visible) {
+          proxy.matrix.copy(mesh.matrixWorld);
+          proxy.matrixWorldNeedsUpdate = true;
+        }
+      });
+      renderer.render(capScene, camera);
+    }
+    handles.forEach(handle => {
+      handle.scale.setScalar(getViewHeight(camera, handle.position.distanceTo(camera.position)) * HANDLE_SCALE);
+    });
+    renderer.render(gizmoScene, camera);
+    renderer.autoClear = autoClear;
+  };
+
+  // Handle under the pointer: { kind: 'plane', id } or { kind: 'box', axis, side }, with its position
+  const pickHandle = (event, element, camera) => {
+    if (handles.length === 0) return null;
+    const hit = createPointerRaycaster(event, element, camera).intersectObjects(handles, false)[0];
+    return hit ? { ...hit.object.userData.handle, position: hit.object.position.clone() } : null;
+  };
+
+  // False for points removed by the section (picking must skip them)
+  const isPointKept = (point) => clippingPlanes.every(plane => plane.distanceToPoint(point) >= 0);
+
+  const dispose = () => {
+    clear();
+    capGeometry.dispose();
+    handleGeometry.dispose();
+    handleMaterial.dispose();
+    outlineMaterial.dispose();
+  };
+
+  return { update, render, pickHandle, isPointKept, dispose };
+};
@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+import {
+  EMPTY_SECTIONS,
+  createAxisPlane,
+  createFacePlane,
+  fitSectionBox,
+  flipPlane,
+  getClippingPlanes,
+  getDragDistance,
+  getPlaneRange,
+  isSectionActive,
+  moveSectionBoxFace
+} from './sectionPlanes';
+
+const bounds = new THREE.Box3(new THREE.Vector3(0, 0, 0), new THREE.Vector3(10, 4, 6));
+
+// Helper: True if the clipping planes of a section state keep a point
+const keeps = (sections, point) => getClippingPlanes(sections)
+  .every(plane => plane.distanceToPoint(new THREE.Vector3(...point)) >= 0);
+
+describe('isSectionActive', () => {
+  it('needs an enabled plane or a box', () => {
+    const plane = createAxisPlane('p1', 'X', 'Y_UP', bounds);
+
+    expect(isSectionActive(EMPTY_SECTIONS)).toBe(false);
+    expect(isSectionActive({ ...EMPTY_SECTIONS, planes: [{ ...plane, enabled: false }] })).toBe(false);
+    expect(isSectionActive({ ...EMPTY_SECTIONS, planes: [plane] })).toBe(true);
+    expect(isSectionActive({ ...EMPTY_SECTIONS, box: fitSectionBox(bounds) })).toBe(true);
+  });
+});
+
+describe('section planes', () => {
+  it('cuts a project axis through the middle of the bounds, keeping the lower side', () => {
+    // Z-up project: its Z axis is the viewer Y axis
+    const plane = createAxisPlane('p1', 'Z', 'Z_UP', bounds);
+    const sections = { ...EMPTY_SECTIONS, planes: [plane] };
+
+    expect(plane.label).toBe('Z');
+    expect(keeps(sections, [5, 1, 3])).toBe(true);
+    expect(keeps(sections, [5, 3, 3])).toBe(false);
+  });
+
+  it('maps the project Y axis of a Z-up model to the viewer -Z axis', () => {
+    const sections = { ...EMPTY_SECTIONS, planes: [createAxisPlane('p1', 'Y', 'Z_UP', bounds)] };
+
+    expect(keeps(sections, [5, 2, 5])).toBe(true);
+    expect(keeps(sections, [5, 2, 1])).toBe(false);
+  });
+
+  it('removes what lies in front of a picked face, and flips to the other side', () => {
+    const plane = createFacePlane('p1', new THREE.Vector3(0, 0, 2), new THREE.Vector3(0, 0, 3));
+    const sections = { ...EMPTY_SECTIONS, planes: [plane] };
+    const flipped = { ...EMPTY_SECTIONS, planes: [flipPlane(plane)] };
+
+    expect(plane.label).toBe('Face');
+    expect(keeps(sections, [0, 0, 1])).toBe(true);
+    expect(keeps(sections, [0, 0, 3])).toBe(false);
+    expect(keeps(flipped, [0, 0, 1])).toBe(false);
+    expect(keeps(flipped, [0, 0, 3])).toBe(true);
+  });
+
+  it('gives the offsets between which a plane cuts the bounds', () => {
+    const plane = createAxisPlane('p1', 'X', 'Y_UP', bounds);
+
+    const range = getPlaneRange(plane, bounds);
+    expect(range.min).toBeCloseTo(-10);
+    expect(range.max).toBeCloseTo(0);
+  });
+
+  it('ignores disabled planes', () => {
+    const plane = { ...createAxisPlane('p1', 'X', 'Y_UP', bounds), enabled: false };
+
+    expect(getClippingPlanes({ ...EMPTY_SECTIONS, planes: [plane] })).toEqual([]);
+  });
+});
+
+describe('section box', () => {
+  it('fits the bounds with a margin and clips outside it', () => {
+    const box = fitSectionBox(bounds);
+    const sections = { ...EMPTY_SECTIONS, box };
+
+    expect(box.min.every(value => value < 0)).toBe(true);
+    expect(box.max[0]).toBeGreaterThan(10);
+    expect(getClippingPlanes(sections)).toHaveLength(6);
+    expect(keeps(sections, [5, 2, 3])).toBe(true);
+    expect(keeps(sections, [5, 2, 8])).toBe(false);
+  });
+
+  it('moves a face, never past the opposite one', () => {
+    const box = { min: [0, 0, 0], max: [10, 4, 6] };
+
+    expect(moveSectionBoxFace(box, 0, 'min', 3)).toEqual({ min: [3, 0, 0], max: [10, 4, 6] });
+    expect(moveSectionBoxFace(box, 2, 'max', -5).max[2]).toBeCloseTo(0.01);
+    expect(moveSectionBoxFace(box, 1, 'min', 9).min[1]).toBeCloseTo(3.99);
+    expect(box).toEqual({ min: [0, 0, 0], max: [10, 4, 6] });
+  });
+});
+
+describe('getDragDistance', () => {
+  it('projects the pointer ray onto the drag axis', () => {
+    const ray = new THREE.Ray(new THREE.Vector3(5, 0, 10), new THREE.Vector3(0, 0, -1));
+
+    expect(getDragDistance(ray, new THREE.Vector3(), new THREE.Vector3(1, 0, 0))).toBeCloseTo(5);
+  });
+
+  it('returns null when looking along the axis', () => {
+    const ray = new THREE.Ray(new THREE.Vector3(0, 0, 10), new THREE.Vector3(0, 0, -1));
+
+    expect(getDragDistance(ray, new THREE.Vector3(), new THREE.Vector3(0, 0, 1))).toBeNull();
+  });
+});
@@ -0,0 +1,305 @@
+import * as THREE from 'three';
+
+// Viewport selection: picking meshes under the pointer and drawing the
+// selection highlight. The highlight is an overlay sharing the geometry of the
+// selected meshes, so their materials (display, compare, opacity...) are never touched.
+
+const HIGHLIGHT_COLOR = 0x3d6bff;
+
+// Helper: True if the object and all of its parents are visible and it is still in a scene
+export const isObjectShown = (object) => {
+  let current = object;
+  while (current) {
+    if (!current.visible) return false;
+    if (current.isScene) return true;
+    current = current.parent;
+  }
+  return false;
+};
+
+// Raycaster through the pointer position of an event on the canvas element
+export const createPointerRaycaster = (event, element, camera) => {
+  const rect = element.getBoundingClientRect();
+  const pointer = new THREE.Vector2(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(pointer, camera);
+  return raycaster;
+};
+
+/**
+ * Nearest visible mesh under a pointer event, or null.
+ *
+ * @param {PointerEvent|MouseEvent} event
+ * @param {HTMLElement} element the canvas the event happened on
+ * @param {THREE.Camera} camera
+ * @param {Array<THREE.Object3D>} roots model roots to pick from
+ * @param {(mesh: THREE.Mesh, point: THREE.Vector3) => boolean} isPickable extra filter
+ *   (e.g. only browser objects, or only the part a section plane keeps)
+ * @returns {{object: THREE.Mesh, point: THREE.Vector3, normal: THREE.Vector3|null, distance: number}|null}
+ *   normal: world-space normal of the hit face, facing the camera
+ */
+export const pickObject = (event, element, camera, roots, isPickable = () => true) => {
+  const raycaster = createPointerRaycaster(event, element, camera);
+
+  // Raycasting ignores `visible`, so hidden meshes are filtered from the hits
+  const hit = raycaster.intersectObjects(roots, true)
+    .find(intersection => intersection.object.isMesh &&
+      isObjectShown(intersection.object) &&
+      isPickable(intersection.object, intersection.point));
+  if (!hit) return null;
+
+  let normal = null;
+  if (hit.face) {
+    normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+    if (normal.dot(raycaster.ray.direction) > 0) normal.negate();
+  }
+  return { object: hit.object, point: hit.point, normal, distance: hit.distance };
+};
+
+/**
+ * Selection highlight drawn on top of the selected meshes.
+ *
+ * @param {THREE.Scene} scene
+ */
+export const createSelectionHighlight = (scene) => {
+  const group = new THREE.Group();
+  group.name = 'selection-highlight';
+  scene.add(group);
+
+  const material = new THREE.MeshBasicMaterial({
+    color: HIGHLIGHT_COLOR,
+    transparent: true,
+    opacity: 0.45,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    // Drawn slightly in front of the original faces to avoid z-fighting
+    polygonOffset: true,
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -1
+  });
+
+  // Source mesh -> overlay mesh
+  const overlays = new Map();
+
+  const setSelection = (objects) => {
+    const selected = new Set(objects);
+    overlays.forEach((overlay, source) => {
+      if (!selected.has(source)) {
+        group.remove(overlay);
+        overlays.delete(source);
+      }
+    });
+
+    selected.forEach(source => {
+      if (overlays.has(source) || !source.geometry) return;
+      const overlay = new THREE.Mesh(source.geometry, material);
+      overlay.matrixAutoUpdate = false;
+      overlay.renderOrder = 1;
+      overlay.raycast = () => {};
+      overlays.set(source, overlay);
+      group.add(overlay);
+    });
+  };
+
+  // Called every frame: overlays follow the visibility and placement of their meshes
+  const update = () => {
+    overlays.forEach((overlay, source) => {
+      overlay.visible = isObjectShown(source);
+      if (overlay.visible) {
+        overlay.matrix.copy(source.matrixWorld);
+        overlay.matrixWorldNeedsUpdate = true;
+      }
+    });
+  };
+
+  const dispose = () => {
+    overlays.clear();
+    scene.remove(group);
+    material.dispose();
+  };
+
+  return { setSelection, update, dispose };
+};
+
+// === REGION SELECTION (box and lasso) ===
+
+// Region modes, AutoCAD style: "window" takes objects fully inside, "crossing" anything touching
+export const REGION_MODE = {
+  window: 'window',
+  crossing: 'crossing'
+};
+
+// Helper: Even-odd point in polygon test (screen coordinates)
+const isPointInPolygon = (x, y, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Helper: True if segments ab and cd cross (touching end points are covered by the vertex test)
+const segmentsIntersect = (ax, ay, bx, by, cx, cy, dx, dy) => {
+  const cross = (px, py, qx, qy, rx, ry) => (qx - px) * (ry - py) - (qy - py) * (rx - px);
+  const d1 = cross(cx, cy, dx, dy, ax, ay);
+  const d2 = cross(cx, cy, dx, dy, bx, by);
+  const d3 = cross(ax, ay, bx, by, cx, cy);
+  const d4 = cross(ax, ay, bx, by, dx, dy);
+  return (d1 > 0) !== (d2 > 0) && (d3 > 0) !== (d4 > 0);
+};
+
+const segmentCrossesPolygon = (ax, ay, bx, by, polygon) => {
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    if (segmentsIntersect(ax, ay, bx, by, polygon[j][0], polygon[j][1], polygon[i][0], polygon[i][1])) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Helper: True if (x, y) is inside triangle abc (either winding)
+const isPointInTriangle = (x, y, ax, ay, bx, by, cx, cy) => {
+  const d1 = (x - bx) * (ay - by) - (ax - bx) * (y - by);
+  const d2 = (x - cx) * (by - cy) - (bx - cx) * (y - cy);
+  const d3 = (x - ax) * (cy - ay) - (cx - ax) * (y - ay);
+  const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+  const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+  return !(hasNegative && hasPositive);
+};
+
+/**
+ * Signed area of a screen polygon; positive when drawn clockwise on screen
+ * (screen y points down). Used to pick the mode of a lasso.
+ */
+export const getPolygonWinding = (polygon) => {
+  let area = 0;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    area += polygon[j][0] * polygon[i][1] - polygon[i][0] * polygon[j][1];
+  }
+  return area / 2;
+};
+
+/**
+ * Meshes selected by a screen region.
+ *
+ * Each mesh is first tested through the projection of its bounding box (fast
+ * accept/reject); only meshes the box can't decide are tested vertex by vertex
+ * and, for crossing, triangle by triangle.
+ *
+ * @param {Array<THREE.Mesh>} objects candidates (already filtered to visible ones)
+ * @param {Array<[number, number]>} polygon region in canvas pixels
+ * @param {string} mode REGION_MODE
+ * @param {THREE.Camera} camera
+ * @param {number} width canvas width in pixels
+ * @param {number} height canvas height in pixels
+ * @returns {Array<THREE.Mesh>}
+ */
+export const selectInRegion = (objects, polygon, mode, camera, width, height) => {
+  if (polygon.length < 3) return [];
+
+  camera.updateMatrixWorld();
+  const viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  const objectMatrix = new THREE.Matrix4();
+  const clip = new THREE.Vector4();
+  const box = new THREE.Box3();
+
+  const xs = polygon.map(point => point[0]);
+  const ys = polygon.map(point => point[1]);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+
+  // Helper: Project a point into canvas pixels; null when behind the camera
+  const toScreen = (x, y, z, matrix) => {
+    clip.set(x, y, z, 1).applyMatrix4(matrix);
+    if (clip.w <= 0) return null;
+    return [((clip.x / clip.w) + 1) / 2 * width, (1 - clip.y / clip.w) / 2 * height];
+  };
+
+  // Helper: Decide from the projected bounding box: true/false, or null if undecided
+  const testBounds = (object) => {
+    box.setFromObject(object);
+    if (box.isEmpty()) return false;
+
+    let behind = false;
+    let allInside = true;
+    let left = Infinity;
+    let right = -Infinity;
+    let top = Infinity;
+    let bottom = -Infinity;
+    for (let corner = 0; corner < 8; corner++) {
+      const point = toScreen(
+        corner & 1 ? box.max.x : box.min.x,
+        corner & 2 ? box.max.y : box.min.y,
+        corner & 4 ? box.max.z : box.min.z,
+        viewProjection
+      );
+      if (!point) {
+        behind = true;
+        allInside = false;
+        continue;
+      }
+      left = Math.min(left, point[0]);
+      right = Math.max(right, point[0]);
+      top = Math.min(top, point[1]);
+      bottom = Math.max(bottom, point[1]);
+      if (allInside && !isPointInPolygon(point[0], point[1], polygon)) allInside = false;
+    }
+
+    if (!behind && (right < minX || left > maxX || bottom < minY || top > maxY)) return false;
+    if (allInside) return true;
+    // Part of the box behind the camera: the object can't be fully inside
+    if (behind && mode === REGION_MODE.window) return false;
+    return null;
+  };
+
+  // Helper: Exact test on the projected geometry
+  const testGeometry = (object) => {
+    const position = object.geometry?.attributes?.position;
+    if (!position) return false;
+
+    objectMatrix.multiplyMatrices(viewProjection, object.matrixWorld);
+    const screen = new Array(position.count);
+    for (let i = 0; i < position.count; i++) {
+      const point = toScreen(position.getX(i), position.getY(i), position.getZ(i), objectMatrix);
+      screen[i] = point;
+      const inside = point && isPointInPolygon(point[0], point[1], polygon);
+      if (mode === REGION_MODE.window && !inside) return false;
+      if (mode === REGION_MODE.crossing && inside) return true;
+    }
+    if (mode === REGION_MODE.window) return true;
+
+    // Crossing with no vertex inside: a triangle edge crosses the region, or the
+    // region lies inside a triangle (e.g. a small box drawn on a large wall)
+    const index = object.geometry.index;
+    const triangleCount = index ? index.count / 3 : position.count / 3;
+    const [px, py] = polygon[0];
+    for (let t = 0; t < triangleCount; t++) {
+      const a = screen[index ? index.getX(t * 3) : t * 3];
+      const b = screen[index ? index.getX(t * 3 + 1) : t * 3 + 1];
+      const c = screen[index ? index.getX(t * 3 + 2) : t * 3 + 2];
+      if (!a || !b || !c) continue;
+      if (segmentCrossesPolygon(a[0], a[1], b[0], b[1], polygon) ||
+          segmentCrossesPolygon(b[0], b[1], c[0], c[1], polygon) ||
+          segmentCrossesPolygon(c[0], c[1], a[0], a[1], polygon) ||
+          isPointInTriangle(px, py, a[0], a[1], b[0], b[1], c[0], c[1])) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  return objects.filter(object => {
+    const decided = testBounds(object);
+    return decided !== null ? decided : testGeometry(object);
+  });
+};
@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import {
+  REGION_MODE,
+  createSelectionHighlight,
+  getPolygonWinding,
+  isObjectShown,
+  pickObject,
+  selectInRegion
+} from './selection';
+
+// Helper: 100 x 100 px canvas at the page origin
+const element = { getBoundingClientRect: () => ({ left: 0, top: 0, width: 100, height: 100 }) };
+
+// Helper: Camera on +Z looking at the origin, matching the canvas aspect
+const createCamera = () => {
+  const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld();
+  return camera;
+};
+
+// Helper: Scene with a front box at the origin and a back box behind it
+const createScene = () => {
+  const scene = new THREE.Scene();
+  const model = new THREE.Group();
+  const front = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), new THREE.MeshBasicMaterial());
+  front.name = 'front';
+  const back = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), new THREE.MeshBasicMaterial());
+  back.name = 'back';
+  back.position.z = -5;
+  model.add(front, back);
+  scene.add(model);
+  scene.updateMatrixWorld();
+  return { scene, model, front, back };
+};
+
+const center = { clientX: 50, clientY: 50 };
+
+describe('isObjectShown', () => {
+  it('needs the object and its parents visible, and a scene above them', () => {
+    const { model, front } = createScene();
+
+    expect(isObjectShown(front)).toBe(true);
+    model.visible = false;
+    expect(isObjectShown(front)).toBe(false);
+    expect(isObjectShown(new THREE.Mesh())).toBe(false);
+  });
+});
+
+describe('pickObject', () => {
+  it('returns the nearest mesh under the pointer with a normal facing the camera', () => {
+    const { model, front } = createScene();
+
+    const hit = pickObject(center, element, createCamera(), [model]);
+
+    expect(hit.object).toBe(front);
+    expect(hit.distance).toBeCloseTo(9);
+    expect(hit.point.z).toBeCloseTo(1);
+    expect(hit.normal.toArray()).toEqual([0, 0, 1]);
+  });
+
+  it('skips hidden meshes and meshes the filter rejects', () => {
+    const { model, front, back } = createScene();
+    const camera = createCamera();
+
+    front.visible = false;
+    expect(pickObject(center, element, camera, [model]).object).toBe(back);
+
+    front.visible = true;
+    expect(pickObject(center, element, camera, [model], mesh => mesh !== front).object).toBe(back);
+  });
+
+  it('returns null when nothing is under the pointer', () => {
+    const { model } = createScene();
+
+    expect(pickObject({ clientX: 2, clientY: 2 }, element, createCamera(), [model])).toBeNull();
+  });
+});
+
+describe('createSelectionHighlight', () => {
+  it('overlays the selected meshes and follows their visibility and placement', () => {
+    const { scene, front, back } = createScene();
+    const highlight = createSelectionHighlight(scene);
+    const group = scene.getObjectByName('selection-highlight');
+
+    highlight.setSelection([front, back]);
+    expect(group.children).toHaveLength(2);
+    expect(group.children[0].geometry).toBe(front.geometry);
+
+    highlight.setSelection([back]);
+    expect(group.children).toHaveLength(1);
+    const [overlay] = group.children;
+
+    back.position.x = 3;
+    back.updateMatrixWorld();
+    highlight.update();
+    expect(new THREE.Vector3().setFromMatrixPosition(overlay.matrix).x).toBe(3);
+
+    back.visible = false;
+    highlight.update();
+    expect(overlay.visible).toBe(false);
+
+    highlight.dispose();
+    expect(scene.getObjectByName('selection-highlight')).toBeUndefined();
+  });
+
+  it('leaves the materials of the selected meshes untouched', () => {
+    const { scene, front } = createScene();
+    const material = front.material;
+
+    createSelectionHighlight(scene).setSelection([front]);
+
+    expect(front.material).toBe(material);
+  });
+});
+
+// Helper: Axis-aligned screen rectangle as a region polygon
+const rectangle = (left, top, right, bottom) => [[left, top], [right, top], [right, bottom], [left, bottom]];
+
+describe('selectInRegion', () => {
+  // Helper: The front/back boxes plus one to the right, which projects to x ~ 74..98 px
+  const createRegionScene = () => {
+    const { scene, front, back } = createScene();
+    const side = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), new THREE.MeshBasicMaterial());
+    side.position.x = 3;
+    scene.add(side);
+    scene.updateMatrixWorld();
+    return { objects: [front, back, side], front, back, side };
+  };
+
+  it('takes only objects fully inside a window', () => {
+    const { objects, front, back } = createRegionScene();
+
+    const selected = selectInRegion(objects, rectangle(20, 20, 80, 80), REGION_MODE.window, createCamera(), 100, 100);
+
+    expect(selected).toEqual([front, back]);
+  });
+
+  it('takes anything a crossing region touches', () => {
+    const { objects, side } = createRegionScene();
+    const camera = createCamera();
+
+    expect(selectInRegion(objects, rectangle(20, 20, 80, 80), REGION_MODE.crossing, camera, 100, 100)).toHaveLength(3);
+    // Only an edge of the side box crosses the region, none of its vertices is inside
+    expect(selectInRegion(objects, rectangle(70, 48, 80, 52), REGION_MODE.crossing, camera, 100, 100)).toEqual([side]);
+  });
+
+  it('selects a face a small crossing region lies inside of', () => {
+    const { objects, front } = createRegionScene();
+    const camera = createCamera();
+    const region = rectangle(48, 48, 52, 52);
+
+    expect(selectInRegion(objects, region, REGION_MODE.crossing, camera, 100, 100)).toContain(front);
+    expect(selectInRegion(objects, region, REGION_MODE.window, camera, 100, 100)).toEqual([]);
+  });
+
+  it('ignores degenerate regions and objects behind the camera in window mode', () => {
+    const { objects } = createRegionScene();
+    const behind = new THREE.Mesh(new THREE.BoxGeometry(40, 40, 40), new THREE.MeshBasicMaterial());
+    behind.position.z = 10;
+    behind.updateMatrixWorld();
+    const camera = createCamera();
+
+    expect(selectInRegion(objects, [[0, 0], [100, 100]], REGION_MODE.crossing, camera, 100, 100)).toEqual([]);
+    expect(selectInRegion([behind], rectangle(0, 0, 100, 100), REGION_MODE.window, camera, 100, 100)).toEqual([]);
+  });
+});
+
+describe('getPolygonWinding', () => {
+  it('is positive for a polygon drawn clockwise on screen', () => {
+    const polygon = rectangle(0, 0, 10, 10);
+
+    expect(getPolygonWinding(polygon)).toBe(100);
+    expect(getPolygonWinding([...polygon].reverse())).toBe(-100);
+  });
+});
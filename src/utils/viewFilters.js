@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+
+// View filters: "isolate" and "hide" commands and the ghost (X-ray) mode. They
+// are a layer on top of the model browser checkboxes: an object is drawn when
+// its checkbox is on AND no view filter hides it, so clearing the filters
+// gives back exactly what the browser shows.
+
+// { isolatedIds: Array|null, hiddenIds: Array }; isolatedIds null = no isolation
+export const EMPTY_VIEW_FILTER = { isolatedIds: null, hiddenIds: [] };
+
+export const isViewFilterActive = (filter) => filter.isolatedIds !== null || filter.hiddenIds.length > 0;
+
+// Isolating inside an isolation narrows it; isolated objects are never also hidden
+export const isolateObjects = (filter, objectIds) => {
+  const isolated = new Set(objectIds);
+  const previous = filter.isolatedIds ? new Set(filter.isolatedIds) : null;
+  return {
+    isolatedIds: previous ? objectIds.filter(id => previous.has(id)) : [...objectIds],
+    hiddenIds: filter.hiddenIds.filter(id => !isolated.has(id))
+  };
+};
+
+export const hideObjects = (filter, objectIds) => ({
+  ...filter,
+  hiddenIds: [...new Set([...filter.hiddenIds, ...objectIds])]
+});
+
+/**
+ * Predicate telling whether a view filter hides an object id. Sets are built
+ * once, so it can be called for every object of a large model.
+ */
+export const createViewFilterTest = (filter) => {
+  const isolated = filter.isolatedIds ? new Set(filter.isolatedIds) : null;
+  const hidden = new Set(filter.hiddenIds);
+  return (objectId) => hidden.has(objectId) || (isolated !== null && !isolated.has(objectId));
+};
+
+/**
+ * Ghost (X-ray) mode: swaps the material of the given meshes for a faint shared
+ * shell and puts the previous one back when they leave the ghosted set.
+ */
+export const createGhostMode = () => {
+  const material = new THREE.MeshLambertMaterial({
+    color: 0x9aa5b5,
+    transparent: true,
+    opacity: 0.12,
+    depthWrite: false,
+    side: THREE.DoubleSide
+  });
+  // Model opacity and other per-model material edits must leave it alone
+  material.userData.isViewerMaterial = true;
+
+  // Ghosted mesh -> its material before ghosting
+  const ghosted = new Map();
+
+  const apply = (meshes) => {
+    const next = new Set(meshes);
+    ghosted.forEach((original, mesh) => {
+      if (next.has(mesh)) return;
+      // Something else (e.g. the debug material) replaced it meanwhile: keep that
+      if (mesh.material === material) mesh.material = original;
+      ghosted.delete(mesh);
+    });
+
+    next.forEach(mesh => {
+      if (ghosted.has(mesh)) return;
+      ghosted.set(mesh, mesh.material);
+      mesh.material = material;
+    });
+  };
+
+  const clear = () => apply([]);
+
+  const dispose = () => {
+    clear();
+    material.dispose();
+  };
+
+  return { apply, clear, dispose };
+};
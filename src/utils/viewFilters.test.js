@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import {
+  EMPTY_VIEW_FILTER,
+  createGhostMode,
+  createViewFilterTest,
+  hideObjects,
+  isViewFilterActive,
+  isolateObjects
+} from './viewFilters';
+
+describe('view filter commands', () => {
+  it('starts inactive', () => {
+    expect(isViewFilterActive(EMPTY_VIEW_FILTER)).toBe(false);
+    expect(createViewFilterTest(EMPTY_VIEW_FILTER)('a')).toBe(false);
+  });
+
+  it('hides objects once each', () => {
+    const filter = hideObjects(hideObjects(EMPTY_VIEW_FILTER, ['a', 'b']), ['b', 'c']);
+    const isFiltered = createViewFilterTest(filter);
+
+    expect(filter.hiddenIds).toEqual(['a', 'b', 'c']);
+    expect(isViewFilterActive(filter)).toBe(true);
+    expect(isFiltered('b')).toBe(true);
+    expect(isFiltered('d')).toBe(false);
+  });
+
+  it('isolates objects and un-hides the isolated ones', () => {
+    const filter = isolateObjects(hideObjects(EMPTY_VIEW_FILTER, ['a', 'c']), ['a', 'b']);
+    const isFiltered = createViewFilterTest(filter);
+
+    expect(filter).toEqual({ isolatedIds: ['a', 'b'], hiddenIds: ['c'] });
+    expect(isFiltered('a')).toBe(false);
+    expect(isFiltered('c')).toBe(true);
+    expect(isFiltered('d')).toBe(true);
+  });
+
+  it('narrows an isolation when isolating inside it', () => {
+    const filter = isolateObjects(isolateObjects(EMPTY_VIEW_FILTER, ['a', 'b']), ['b', 'c']);
+
+    expect(filter.isolatedIds).toEqual(['b']);
+  });
+
+  it('leaves the previous filter untouched', () => {
+    const filter = hideObjects(EMPTY_VIEW_FILTER, ['a']);
+    isolateObjects(filter, ['a']);
+
+    expect(filter).toEqual({ isolatedIds: null, hiddenIds: ['a'] });
+    expect(EMPTY_VIEW_FILTER).toEqual({ isolatedIds: null, hiddenIds: [] });
+  });
+});
+
+describe('createGhostMode', () => {
+  // Helper: Mesh with its own material
+  const createMesh = () => new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshStandardMaterial());
+
+  it('swaps in a shared ghost material and restores the original ones', () => {
+    const ghost = createGhostMode();
+    const a = createMesh();
+    const b = createMesh();
+    const originalA = a.material;
+    const originalB = b.material;
+
+    ghost.apply([a, b]);
+    expect(a.material).toBe(b.material);
+    expect(a.material.userData.isViewerMaterial).toBe(true);
+
+    ghost.apply([b]);
+    expect(a.material).toBe(originalA);
+    expect(b.material).not.toBe(originalB);
+
+    ghost.clear();
+    expect(b.material).toBe(originalB);
+  });
+
+  it('keeps a material something else set on a ghosted mesh', () => {
+    const ghost = createGhostMode();
+    const mesh = createMesh();
+    const debug = new THREE.MeshNormalMaterial();
+
+    ghost.apply([mesh]);
+    mesh.material = debug;
+    ghost.clear();
+
+    expect(mesh.material).toBe(debug);
+  });
+
+  it('restores the meshes and frees the ghost material on dispose', () => {
+    const ghost = createGhostMode();
+    const mesh = createMesh();
+    const original = mesh.material;
+    ghost.apply([mesh]);
+    const ghostMaterial = mesh.material;
+    const onDispose = jest.fn();
+    ghostMaterial.addEventListener('dispose', onDispose);
+
+    ghost.dispose();
+
+    expect(mesh.material).toBe(original);
+    expect(onDispose).toHaveBeenCalled();
+  });
+});
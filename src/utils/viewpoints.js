@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import { EMPTY_SECTIONS } from './sectionPlanes';
+import { PROJECTIONS, getProjection, getViewHeight } from './cameraViews';
+
+// Saved viewpoints: camera, visibility, selection, sections and render mode of
+// the viewer, with a thumbnail. Object ids change on every load, so viewpoints
+// refer to objects by stable keys (external ID, else model name + node path).
+
+const EXPORT_VERSION = 1;
+
+export const RENDER_MODES = {
+  shaded: 'shaded',
+  xray: 'xray'
+};
+
+/**
+ * Stable keys of the model browser items: 'ext:<externalId>' when the metadata
+ * has one, else 'path:<model>/<node path>'; repeated keys get '#n' appended in
+ * load order.
+ *
+ * @param {Array} models model tree entries ({ name, items })
+ * @param {(object: THREE.Object3D) => string|undefined} getExternalId
+ * @returns {{idToKey: Map, keyToId: Map}}
+ */
+export const buildObjectKeys = (models, getExternalId) => {
+  const idToKey = new Map();
+  const keyToId = new Map();
+  const counts = new Map();
+
+  models.forEach(model => model.items.forEach(item => {
+    const externalId = getExternalId(item.object);
+    const baseKey = externalId ? `ext:${externalId}` : `path:${model.name}/${item.fullPath}`;
+    const count = counts.get(baseKey) || 0;
+    counts.set(baseKey, count + 1);
+
+    const key = count === 0 ? baseKey : `${baseKey}#${count}`;
+    idToKey.set(item.id, key);
+    keyToId.set(key, item.id);
+  }));
+
+  return { idToKey, keyToId };
+};
+
+/**
+ * Viewpoint of the current viewer state.
+ *
+ * @param {Object} state { id, name, modelKey, camera, target, objectVisibility, selectedIds,
+ *   viewFilter, sections, renderMode, thumbnail }
+ * @param {Map} idToKey object id -> stable key (see buildObjectKeys)
+ */
+export const createViewpoint = (state, idToKey) => {
+  const toKeys = (ids) => ids.map(id => idToKey.get(id)).filter(Boolean);
+  const hiddenIds = Object.keys(state.objectVisibility).filter(id => state.objectVisibility[id] === false);
+
+  return {
+    id: state.id,
+    modelKey: state.modelKey,
+    name: state.name,
+    timestamp: new Date().toISOString(),
+    camera: {
+      position: state.camera.position.toArray(),
+      target: state.target.toArray(),
+      projection: getProjection(state.camera),
+      // The framing of an orthographic view doesn't follow from the camera position
+      viewHeight: state.camera.isOrthographicCamera ? getViewHeight(state.camera) : null
+    },
+    hiddenObjects: toKeys(hiddenIds),
+    selectedObjects: toKeys(state.selectedIds),
+    viewFilter: {
+      isolatedObjects: state.viewFilter.isolatedIds ? toKeys(state.viewFilter.isolatedIds) : null,
+      hiddenObjects: toKeys(state.viewFilter.hiddenIds)
+    },
+    sections: state.sections,
+    renderMode: state.renderMode,
+    thumbnail: state.thumbnail
+  };
+};
+
+/**
+ * Viewer state of a viewpoint for the objects loaded now. Objects the saved view
+ * mentions but the model no longer has are skipped.
+ *
+ * @param {Object} viewpoint
+ * @param {Map} keyToId stable key -> object id (see buildObjectKeys)
+ */
+export const resolveViewpoint = (viewpoint, keyToId) => {
+  const toIds = (keys) => keys.map(key => keyToId.get(key)).filter(Boolean);
+
+  const objectVisibility = {};
+  toIds(viewpoint.hiddenObjects).forEach(id => {
+    objectVisibility[id] = false;
+  });
+
+  return {
+    camera: {
+      position: new THREE.Vector3(...viewpoint.camera.position),
+      target: new THREE.Vector3(...viewpoint.camera.target),
+      projection: viewpoint.camera.projection,
+      viewHeight: viewpoint.camera.viewHeight
+    },
+    objectVisibility,
+    selectedIds: toIds(viewpoint.selectedObjects),
+    viewFilter: {
+      isolatedIds: viewpoint.viewFilter.isolatedObjects ? toIds(viewpoint.viewFilter.isolatedObjects) : null,
+      hiddenIds: toIds(viewpoint.viewFilter.hiddenObjects)
+    },
+    sections: viewpoint.sections,
+    renderMode: viewpoint.renderMode
+  };
+};
+
+// Small JPEG of the canvas; call right after rendering a frame (the drawing buffer isn't preserved)
+export const captureThumbnail = (canvas, width = 160) => {
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = width;
+  thumbnail.height = Math.round(width * canvas.height / canvas.width) || width;
+  thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+  return thumbnail.toDataURL('image/jpeg', 0.8);
+};
+
+export const exportViewpoints = (viewpoints, modelKey) => JSON.stringify({
+  version: EXPORT_VERSION,
+  model: modelKey,
+  viewpoints: viewpoints.map(({ id, modelKey: viewpointModelKey, ...viewpoint }) => viewpoint)
+}, null, 2);
+
+// Helper: [x, y, z] of finite numbers
+const isPoint = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Helper: Section state of a file, or no sections when any plane or the box is malformed
+const sanitizeSections = (sections) => {
+  if (!sections || !Array.isArray(sections.planes)) return EMPTY_SECTIONS;
+  const validPlanes = sections.planes.every(plane =>
+    plane && isPoint(plane.normal) && Number.isFinite(plane.offset));
+  const box = sections.box ?? null;
+  const validBox = box === null || (isPoint(box.min) && isPoint(box.max));
+  if (!validPlanes || !validBox) return EMPTY_SECTIONS;
+
+  return {
+    planes: sections.planes,
+    box,
+    caps: typeof sections.caps === 'boolean' ? sections.caps : EMPTY_SECTIONS.caps
+  };
+};
+
+// Helper: Fills the fields older or hand-written files may lack
+const sanitizeViewpoint = (viewpoint, index) => {
+  const camera = viewpoint?.camera;
+  if (!camera || !isPoint(camera.position) || !isPoint(camera.target)) {
+    throw new Error(`View ${index + 1} has no valid camera`);
+  }
+
+  return {
+    name: typeof viewpoint.name === 'string' ? viewpoint.name : `View ${index + 1}`,
+    timestamp: viewpoint.timestamp || new Date().toISOString(),
+    camera: {
+      position: camera.position,
+      target: camera.target,
+      projection: PROJECTIONS[camera.projection] || PROJECTIONS.perspective,
+      viewHeight: camera.viewHeight > 0 ? camera.viewHeight : null
+    },
+    hiddenObjects: Array.isArray(viewpoint.hiddenObjects) ? viewpoint.hiddenObjects : [],
+    selectedObjects: Array.isArray(viewpoint.selectedObjects) ? viewpoint.selectedObjects : [],
+    viewFilter: {
+      isolatedObjects: Array.isArray(viewpoint.viewFilter?.isolatedObjects) ? viewpoint.viewFilter.isolatedObjects : null,
+      hiddenObjects: Array.isArray(viewpoint.viewFilter?.hiddenObjects) ? viewpoint.viewFilter.hiddenObjects : []
+    },
+    sections: sanitizeSections(viewpoint.sections),
+    renderMode: RENDER_MODES[viewpoint.renderMode] || RENDER_MODES.shaded,
+    thumbnail: typeof viewpoint.thumbnail === 'string' ? viewpoint.thumbnail : null
+  };
+};
+
+// Accepts the exported { version, model, viewpoints } document or a bare viewpoint array;
+// the caller gives the result ids and its model key
+export const importViewpoints = (text) => {
+  const data = JSON.parse(text);
+  const viewpoints = Array.isArray(data) ? data : data?.viewpoints;
+  if (!Array.isArray(viewpoints)) {
+    throw new Error('No viewpoints found');
+  }
+  return viewpoints.map(sanitizeViewpoint);
+};
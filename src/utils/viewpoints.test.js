@@ -0,0 +1,95 @@
+import { EMPTY_SECTIONS } from './sectionPlanes';
+import { PROJECTIONS } from './cameraViews';
+import { RENDER_MODES, exportViewpoints, importViewpoints } from './viewpoints';
+
+const createViewpoint = (overrides = {}) => ({
+  id: 'viewpoint-1',
+  modelKey: 'house.dae',
+  name: 'Entrance',
+  timestamp: '2024-01-01T00:00:00.000Z',
+  camera: { position: [10, 5, 10], target: [0, 0, 0], projection: PROJECTIONS.perspective, viewHeight: null },
+  hiddenObjects: ['ext:wall'],
+  selectedObjects: ['ext:door'],
+  viewFilter: { isolatedObjects: null, hiddenObjects: [] },
+  sections: {
+    planes: [{ id: 'plane-1', label: 'Y', normal: [0, -1, 0], offset: -2, enabled: true }],
+    box: { min: [-1, -1, -1], max: [1, 1, 1] },
+    caps: false
+  },
+  renderMode: RENDER_MODES.xray,
+  thumbnail: 'data:image/jpeg;base64,AAAA',
+  ...overrides
+});
+
+// Helper: Import of one hand-written viewpoint
+const importOne = (viewpoint) => importViewpoints(JSON.stringify([viewpoint]))[0];
+
+describe('exportViewpoints / importViewpoints', () => {
+  it('round-trips viewpoints without their ids and model key', () => {
+    const text = exportViewpoints([createViewpoint()], 'house.dae');
+    const data = JSON.parse(text);
+
+    expect(data.version).toBe(1);
+    expect(data.model).toBe('house.dae');
+    expect(data.viewpoints[0].id).toBeUndefined();
+    expect(data.viewpoints[0].modelKey).toBeUndefined();
+
+    const { id, modelKey, ...expected } = createViewpoint();
+    expect(importViewpoints(text)).toEqual([expected]);
+  });
+
+  it('accepts a bare viewpoint array', () => {
+    expect(importViewpoints(JSON.stringify([createViewpoint()]))).toHaveLength(1);
+  });
+
+  it('rejects documents without viewpoints', () => {
+    expect(() => importViewpoints('{"version": 1}')).toThrow('No viewpoints found');
+    expect(() => importViewpoints('not json')).toThrow();
+  });
+
+  it('rejects a viewpoint without a valid camera', () => {
+    const camera = { position: [0, 0], target: [0, 0, 0] };
+
+    expect(() => importViewpoints(JSON.stringify([createViewpoint(), createViewpoint({ camera })])))
+      .toThrow('View 2 has no valid camera');
+  });
+
+  it('fills the fields older files lack', () => {
+    const viewpoint = importOne({ camera: { position: [1, 2, 3], target: [0, 0, 0] } });
+
+    expect(viewpoint.name).toBe('View 1');
+    expect(viewpoint.camera.projection).toBe(PROJECTIONS.perspective);
+    expect(viewpoint.camera.viewHeight).toBeNull();
+    expect(viewpoint.hiddenObjects).toEqual([]);
+    expect(viewpoint.viewFilter).toEqual({ isolatedObjects: null, hiddenObjects: [] });
+    expect(viewpoint.sections).toBe(EMPTY_SECTIONS);
+    expect(viewpoint.renderMode).toBe(RENDER_MODES.shaded);
+    expect(viewpoint.thumbnail).toBeNull();
+  });
+
+  it('drops malformed sections', () => {
+    const { sections } = createViewpoint();
+    const invalid = [
+      { ...sections, box: { min: [0, 0, 0] } },
+      { ...sections, box: { min: [0, 0, 0], max: [1, 'a', 1] } },
+      { ...sections, planes: [{ ...sections.planes[0], normal: [0, 1] }] },
+      { ...sections, planes: [{ ...sections.planes[0], offset: '2' }] },
+      { ...sections, planes: [null] },
+      { ...sections, planes: 'none' }
+    ];
+
+    invalid.forEach(invalidSections => {
+      expect(importOne(createViewpoint({ sections: invalidSections })).sections).toBe(EMPTY_SECTIONS);
+    });
+  });
+
+  it('keeps valid sections without a box', () => {
+    const sections = { planes: createViewpoint().sections.planes };
+
+    expect(importOne(createViewpoint({ sections })).sections).toEqual({
+      planes: sections.planes,
+      box: null,
+      caps: EMPTY_SECTIONS.caps
+    });
+  });
+});
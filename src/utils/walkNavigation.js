@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+import { isObjectShown } from './selection';
+
+// First-person walk for walkthrough reviews: WASD or the arrow keys move in the
+// look direction, dragging with the left mouse button looks around, gravity
+// keeps the eyes EYE_HEIGHT above the floor and walls stop the walker. Lengths
+// are meters (viewer coordinates).
+
+export const EYE_HEIGHT = 1.7;
+// Steps (stairs, thresholds) up to this height are climbed
+const STEP_HEIGHT = 0.45;
+// Distance kept from walls
+const BODY_RADIUS = 0.3;
+// Meters per second; Shift runs
+const WALK_SPEED = 1.5;
+const RUN_FACTOR = 3;
+const GRAVITY = 9.81;
+// Radians per dragged pixel
+const LOOK_SPEED = 0.004;
+const MAX_PITCH = THREE.MathUtils.degToRad(85);
+// Longest frame step, so a stalled frame doesn't move the walker through a wall
+const MAX_STEP_TIME = 0.1;
+
+// Physical keys, so ZQSD on an AZERTY keyboard works like WASD
+const MOVE_KEYS = {
+  KeyW: 'forward',
+  ArrowUp: 'forward',
+  KeyS: 'back',
+  ArrowDown: 'back',
+  KeyA: 'left',
+  ArrowLeft: 'left',
+  KeyD: 'right',
+  ArrowRight: 'right'
+};
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+// Helper: True for keys typed into a form field rather than meant for the viewer
+const isTyping = (event) => {
+  const target = event.target;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
+
+/**
+ * Walks with the camera from where it is, looking level. update() moves it;
+ * dispose() stops listening to the keyboard and mouse.
+ *
+ * @param {Object} options
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {HTMLElement} options.element the canvas; dragging on it looks around
+ * @param {() => Array<THREE.Object3D>} options.getRoots model roots to stand on and collide with
+ * @param {(mesh: THREE.Mesh, point: THREE.Vector3) => boolean} options.isSolid filter of the
+ *   surfaces (e.g. parts removed by a section aren't)
+ * @param {() => void} options.onExit called when Escape is pressed
+ * @returns {{update: (delta: number) => void, dispose: () => void}}
+ */
+export const createWalkController = ({ camera, element, getRoots, isSolid, onExit }) => {
+  const look = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(camera.quaternion);
+  look.x = 0;
+  look.z = 0;
+
+  const pressed = new Set();
+  const raycaster = new THREE.Raycaster();
+  let running = false;
+  let fallSpeed = 0;
+  // Standing on a floor; no need to look for it again until moving
+  let settled = false;
+  let dragFrom = null;
+
+  // Helper: Nearest solid surface along a ray, or null
+  const castRay = (origin, direction, far) => {
+    raycaster.set(origin, direction);
+    raycaster.far = far;
+    return raycaster.intersectObjects(getRoots(), true)
+      .find(hit => hit.object.isMesh && isObjectShown(hit.object) && isSolid(hit.object, hit.point)) || null;
+  };
+
+  // Helper: Height of the floor under the walker: the first surface below knee height
+  const findFloor = (position) => {
+    const knee = new THREE.Vector3(position.x, position.y - EYE_HEIGHT + STEP_HEIGHT, position.z);
+    const hit = castRay(knee, DOWN, Infinity);
+    return hit ? hit.point.y : null;
+  };
+
+  // Helper: Horizontal move cut so the walker keeps BODY_RADIUS from walls, sliding along them.
+  // Checked at knee and eye height: lower obstacles are steps, higher ones are overhead.
+  const limitMove = (position, move) => {
+    const heights = [position.y - EYE_HEIGHT + STEP_HEIGHT, position.y];
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const length = move.length();
+      if (length === 0) return move;
+
+      const direction = move.clone().divideScalar(length);
+      const hit = heights
+        .map(height => castRay(new THREE.Vector3(position.x, height, position.z), direction, length + BODY_RADIUS))
+        .filter(Boolean)
+        .sort((a, b) => a.distance - b.distance)[0];
+      if (!hit) return move;
+
+      const wallNormal = hit.face
+        ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld).setY(0)
+        : new THREE.Vector3();
+      if (wallNormal.lengthSq() < 1e-6) return new THREE.Vector3();
+      wallNormal.normalize();
+      // Keep the part of the move along the wall
+      move.addScaledVector(wallNormal, -move.dot(wallNormal));
+    }
+    return new THREE.Vector3();
+  };
+
+  const update = (delta) => {
+    const time = Math.min(delta, MAX_STEP_TIME);
+    const forward = new THREE.Vector3(-Math.sin(look.y), 0, -Math.cos(look.y));
+    const right = new THREE.Vector3(-forward.z, 0, forward.x);
+    const move = new THREE.Vector3();
+    pressed.forEach(key => {
+      const action = MOVE_KEYS[key];
+      if (action === 'forward') move.add(forward);
+      if (action === 'back') move.sub(forward);
+      if (action === 'right') move.add(right);
+      if (action === 'left') move.sub(right);
+    });
+
+    const moving = move.lengthSq() > 0;
+    if (moving) {
+      move.setLength(WALK_SPEED * (running ? RUN_FACTOR : 1) * time);
+      camera.position.add(limitMove(camera.position, move));
+    }
+
+    if (moving || !settled) {
+      const floor = findFloor(camera.position);
+      if (floor === null) {
+        // Nothing below: hover rather than fall forever
+        fallSpeed = 0;
+      } else {
+        const eyeLevel = floor + EYE_HEIGHT;
+        if (camera.position.y > eyeLevel) {
+          fallSpeed += GRAVITY * time;
+          camera.position.y = Math.max(eyeLevel, camera.position.y - fallSpeed * time);
+        } else {
+          // On the floor, or a step up
+          camera.position.y = eyeLevel;
+        }
+        if (camera.position.y === eyeLevel) fallSpeed = 0;
+      }
+      settled = fallSpeed === 0;
+    }
+
+    camera.quaternion.setFromEuler(look);
+  };
+
+  const handleKeyDown = (event) => {
+    if (isTyping(event)) return;
+    running = event.shiftKey;
+    if (event.key === 'Escape') {
+      onExit();
+    } else if (MOVE_KEYS[event.code]) {
+      pressed.add(event.code);
+      // Arrow keys would scroll the page
+      event.preventDefault();
+    }
+  };
+
+  const handleKeyUp = (event) => {
+    running = event.shiftKey;
+    pressed.delete(event.code);
+  };
+
+  // Keys released while the window had no focus never send keyup
+  const handleBlur = () => pressed.clear();
+
+  const handlePointerDown = (event) => {
+    if (event.button === 0) dragFrom = { x: event.clientX, y: event.clientY };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragFrom) return;
+    look.y -= (event.clientX - dragFrom.x) * LOOK_SPEED;
+    look.x = THREE.MathUtils.clamp(look.x - (event.clientY - dragFrom.y) * LOOK_SPEED, -MAX_PITCH, MAX_PITCH);
+    dragFrom = { x: event.clientX, y: event.clientY };
+  };
+
+  const handlePointerUp = () => {
+    dragFrom = null;
+  };
+
+  window.addEventListener('keydown', handleKeyDown);
+  window.addEventListener('keyup', handleKeyUp);
+  window.addEventListener('blur', handleBlur);
+  element.addEventListener('pointerdown', handlePointerDown);
+  window.addEventListener('pointermove', handlePointerMove);
+  window.addEventListener('pointerup', handlePointerUp);
+
+  const dispose = () => {
+    window.removeEventListener('keydown', handleKeyDown);
+    window.removeEventListener('keyup', handleKeyUp);
+    window.removeEventListener('blur', handleBlur);
+    element.removeEventListener('pointerdown', handlePointerDown);
+    window.removeEventListener('pointermove', handlePointerMove);
+    window.removeEventListener('pointerup', handlePointerUp);
+  };
+
+  return { update, dispose };
+};
@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+import { EYE_HEIGHT, createWalkController } from './walkNavigation';
+
+// Helper: Scene with a floor at y = 0, a 0.3 m step from z = -1 to -3 and a wall at z = -6
+const createScene = () => {
+  const scene = new THREE.Scene();
+  const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+
+  const floor = new THREE.Mesh(new THREE.PlaneGeometry(20, 20), material);
+  floor.rotation.x = -Math.PI / 2;
+  const step = new THREE.Mesh(new THREE.BoxGeometry(4, 0.3, 2), material);
+  step.position.set(0, 0.15, -2);
+  const wall = new THREE.Mesh(new THREE.BoxGeometry(20, 3, 0.2), material);
+  wall.name = 'wall';
+  wall.position.set(0, 1.5, -6);
+
+  scene.add(floor, step, wall);
+  scene.updateMatrixWorld();
+  return scene;
+};
+
+// Helper: Walk controller with a camera looking down -Z (or at lookAt) from the given position
+const createWalk = ({ position = [0, EYE_HEIGHT, 2], lookAt = null, isSolid = () => true } = {}) => {
+  const scene = createScene();
+  const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+  camera.position.set(...position);
+  if (lookAt) camera.lookAt(...lookAt);
+  const element = document.createElement('canvas');
+  const onExit = jest.fn();
+  const walk = createWalkController({ camera, element, getRoots: () => [scene], isSolid, onExit });
+  return { camera, element, onExit, walk };
+};
+
+// Helper: Runs the controller for a number of 0.1 s frames
+const run = (walk, frames) => {
+  for (let frame = 0; frame < frames; frame++) walk.update(0.1);
+};
+
+const pressKey = (code, options = {}) => window.dispatchEvent(new KeyboardEvent('keydown', { code, key: code, ...options }));
+const releaseKey = (code) => window.dispatchEvent(new KeyboardEvent('keyup', { code, key: code }));
+
+describe('createWalkController', () => {
+  let current = null;
+  afterEach(() => {
+    current?.walk.dispose();
+    current = null;
+  });
+
+  it('falls to eye height above the floor', () => {
+    current = createWalk({ position: [0, 5, 2] });
+    const { camera, walk } = current;
+
+    walk.update(0.1);
+    expect(camera.position.y).toBeLessThan(5);
+    expect(camera.position.y).toBeGreaterThan(EYE_HEIGHT);
+
+    run(walk, 20);
+    expect(camera.position.y).toBeCloseTo(EYE_HEIGHT);
+  });
+
+  it('walks in the look direction while a move key is held', () => {
+    current = createWalk();
+    const { camera, walk } = current;
+
+    pressKey('KeyW');
+    run(walk, 5);
+    expect(camera.position.z).toBeCloseTo(2 - 0.75);
+    expect(camera.position.x).toBeCloseTo(0);
+
+    releaseKey('KeyW');
+    run(walk, 5);
+    expect(camera.position.z).toBeCloseTo(2 - 0.75);
+
+    pressKey('ArrowRight');
+    run(walk, 5);
+    expect(camera.position.x).toBeCloseTo(0.75);
+  });
+
+  it('climbs steps and stops at walls', () => {
+    current = createWalk();
+    const { camera, walk } = current;
+
+    pressKey('KeyW');
+    run(walk, 15);
+    // 1.5 m/s for 1.5 s, not on the step yet
+    expect(camera.position.z).toBeCloseTo(-0.25);
+    expect(camera.position.y).toBeCloseTo(EYE_HEIGHT);
+    run(walk, 10);
+    expect(camera.position.y).toBeCloseTo(0.3 + EYE_HEIGHT);
+
+    run(walk, 60);
+    // Stepped down again, short of the wall face at z = -5.9
+    expect(camera.position.y).toBeCloseTo(EYE_HEIGHT);
+    expect(camera.position.z).toBeGreaterThan(-5.9 + 0.25);
+  });
+
+  it('walks through surfaces that are not solid', () => {
+    current = createWalk({ isSolid: (mesh) => mesh.name !== 'wall' });
+    const { camera, walk } = current;
+
+    pressKey('KeyW', { shiftKey: true });
+    run(walk, 40);
+
+    expect(camera.position.z).toBeLessThan(-6);
+  });
+
+  it('starts level and looks around while dragging', () => {
+    // Looking down at the floor in front
+    current = createWalk({ lookAt: [0, 0, 0] });
+    const { camera, element, walk } = current;
+    const getDirection = () => new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+
+    walk.update(0.1);
+    expect(getDirection().y).toBeCloseTo(0);
+    expect(getDirection().z).toBeCloseTo(-1);
+
+    element.dispatchEvent(new MouseEvent('pointerdown', { button: 0, clientX: 0, clientY: 0 }));
+    window.dispatchEvent(new MouseEvent('pointermove', { clientX: -100, clientY: 0 }));
+    window.dispatchEvent(new MouseEvent('pointerup'));
+    // No longer dragging
+    window.dispatchEvent(new MouseEvent('pointermove', { clientX: -500, clientY: 0 }));
+    walk.update(0.1);
+
+    // 100 px left at 0.004 rad/px turns 0.4 rad to the left
+    expect(getDirection().x).toBeCloseTo(-Math.sin(0.4));
+    expect(getDirection().y).toBeCloseTo(0);
+  });
+
+  it('exits on Escape and ignores keys typed into form fields', () => {
+    current = createWalk();
+    const { camera, onExit, walk } = current;
+    const input = document.createElement('input');
+    document.body.appendChild(input);
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyW', key: 'w', bubbles: true }));
+    run(walk, 5);
+    expect(camera.position.z).toBeCloseTo(2);
+
+    pressKey('Escape');
+    expect(onExit).toHaveBeenCalledTimes(1);
+    input.remove();
+  });
+
+  it('stops moving when the window loses focus or once disposed', () => {
+    current = createWalk();
+    const { camera, walk } = current;
+
+    pressKey('KeyW');
+    window.dispatchEvent(new Event('blur'));
+    run(walk, 5);
+    expect(camera.position.z).toBeCloseTo(2);
+
+    walk.dispose();
+    pressKey('KeyW');
+    run(walk, 5);
+    expect(camera.position.z).toBeCloseTo(2);
+  });
+});